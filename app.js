@@ -7,6 +7,15 @@ require('dotenv').config();
 // Import database connection
 const connectDB = require('./src/config/database');
 
+// Middleware de autenticación (identifica al usuario del token en cada petición)
+const { authenticate } = require('./src/middleware/auth');
+
+// Servicio de correo
+const mailer = require('./src/services/mailer');
+
+// Tareas programadas
+const productScheduler = require('./src/services/productScheduler');
+
 // Import Routes
 const authRoutes = require('./src/routes/authRoutes');
 const userRoutes = require('./src/routes/userRoutes');
@@ -24,6 +33,11 @@ const uploadRoutes = require('./src/routes/uploadRoutes');
 const debugRoutes = require('./src/routes/debugRoutes');
 const purchaseRoutes = require('./src/routes/purchaseRoutes');
 const saleRoutes = require('./src/routes/saleRoutes');
+const returnRoutes = require('./src/routes/returnRoutes');
+const shippingRoutes = require('./src/routes/shippingRoutes');
+const locationRoutes = require('./src/routes/locationRoutes');
+const categoryRoutes = require('./src/routes/categoryRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
 
 const app = express();
 
@@ -69,6 +83,9 @@ app.use((req, res, next) => {
 // app.use(express.static(frontendPath));
 
 
+// Usuario autenticado disponible en req.user para todas las rutas de la API
+app.use('/api', authenticate);
+
 // API Routes with logging
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -85,7 +102,12 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/purchases', purchaseRoutes);
 app.use('/api/sales', saleRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/debug', debugRoutes);
 
@@ -179,9 +201,15 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5050;
 
 if (require.main === module) {
+  // En producción no se arranca sin un transporte de correo configurado
+  mailer.assertConfigured();
+
   app.listen(PORT, () => {
     // Server started successfully
   });
+
+  // Publicar y retirar productos según sus fechas programadas
+  productScheduler.start();
 }
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * TAXONOMÍA INICIAL DE CATEGORÍAS
+ *
+ * Árbol de categorías que crea la migración de categorías. Los alias
+ * permiten asignar los textos libres que ya tenían los productos y las
+ * tiendas ("electronicos", "Electronics", etc.) a la categoría correcta.
+ * Los atributos iniciales solo se cargan en categorías que aún no tienen.
+ * Los nombres en español coinciden con los de la tabla de IVA.
+ */
+
+module.exports = [
+  {
+    name: { es: 'Electrónicos', en: 'Electronics' },
+    icon: 'devices',
+    aliases: ['electronica', 'electronico', 'tecnologia', 'technology'],
+    children: [
+      {
+        name: { es: 'Celulares', en: 'Cell Phones' },
+        icon: 'smartphone',
+        aliases: ['telefonos', 'smartphones', 'phones', 'moviles'],
+        attributes: [
+          { key: 'pantalla', label: { es: 'Pantalla', en: 'Screen size' }, type: 'number', unit: 'pulgadas', min: 1, max: 20 },
+          { key: 'ram', label: { es: 'Memoria RAM', en: 'RAM' }, type: 'enum', values: ['2 GB', '3 GB', '4 GB', '6 GB', '8 GB', '12 GB', '16 GB'] },
+          { key: 'almacenamiento', label: { es: 'Almacenamiento', en: 'Storage' }, type: 'enum', values: ['32 GB', '64 GB', '128 GB', '256 GB', '512 GB', '1 TB'] },
+          { key: 'liberado', label: { es: 'Liberado', en: 'Unlocked' }, type: 'boolean' }
+        ]
+      },
+      {
+        name: { es: 'Computadoras', en: 'Computers' },
+        icon: 'computer',
+        aliases: ['computacion', 'laptops', 'portatiles'],
+        attributes: [
+          { key: 'pantalla', label: { es: 'Pantalla', en: 'Screen size' }, type: 'number', unit: 'pulgadas', min: 7, max: 49 },
+          { key: 'ram', label: { es: 'Memoria RAM', en: 'RAM' }, type: 'enum', values: ['4 GB', '8 GB', '16 GB', '32 GB', '64 GB'] },
+          { key: 'procesador', label: { es: 'Procesador', en: 'Processor' }, type: 'text' }
+        ]
+      },
+      { name: { es: 'Audio', en: 'Audio' }, icon: 'headphones', aliases: ['audifonos', 'parlantes', 'sonido'] },
+      { name: { es: 'Videojuegos', en: 'Video Games' }, icon: 'sports_esports', aliases: ['consolas', 'gaming', 'games'] }
+    ]
+  },
+  {
+    name: { es: 'Ropa y Accesorios', en: 'Clothing & Accessories' },
+    icon: 'checkroom',
+    aliases: ['ropa', 'moda', 'fashion', 'clothing', 'vestimenta'],
+    attributes: [
+      { key: 'color', label: { es: 'Color', en: 'Color' }, type: 'text' }
+    ],
+    children: [
+      {
+        name: { es: 'Calzado', en: 'Shoes' },
+        icon: 'footprint',
+        aliases: ['zapatos', 'tenis', 'shoes'],
+        attributes: [
+          { key: 'talla', label: { es: 'Talla', en: 'Size' }, type: 'number', unit: 'EU', min: 15, max: 50 }
+        ]
+      },
+      { name: { es: 'Joyería', en: 'Jewelry' }, icon: 'diamond', aliases: ['joyas', 'bisuteria', 'jewelry'] },
+      { name: { es: 'Bolsos', en: 'Bags' }, icon: 'shopping_bag', aliases: ['carteras', 'mochilas', 'bags'] }
+    ]
+  },
+  {
+    name: { es: 'Hogar y Cocina', en: 'Home & Kitchen' },
+    icon: 'home',
+    aliases: ['hogar', 'casa', 'cocina', 'home', 'kitchen', 'muebles', 'decoracion']
+  },
+  {
+    name: { es: 'Alimentos', en: 'Food' },
+    icon: 'restaurant',
+    aliases: ['comida', 'food', 'bebidas', 'abarrotes'],
+    children: [
+      { name: { es: 'Canasta Básica', en: 'Staples' }, icon: 'shopping_basket', aliases: ['basicos'] },
+      { name: { es: 'Café', en: 'Coffee' }, icon: 'coffee', aliases: ['cafe', 'coffee'] }
+    ]
+  },
+  {
+    name: { es: 'Salud', en: 'Health' },
+    icon: 'health_and_safety',
+    aliases: ['health', 'bienestar'],
+    children: [
+      { name: { es: 'Medicamentos', en: 'Medicines' }, icon: 'medication', aliases: ['farmacia', 'medicinas', 'pharmacy'] }
+    ]
+  },
+  {
+    name: { es: 'Belleza y Cuidado Personal', en: 'Beauty & Personal Care' },
+    icon: 'spa',
+    aliases: ['belleza', 'cosmeticos', 'maquillaje', 'beauty', 'cuidado personal']
+  },
+  {
+    name: { es: 'Deportes', en: 'Sports' },
+    icon: 'sports_soccer',
+    aliases: ['deporte', 'sports', 'fitness', 'ejercicio']
+  },
+  {
+    name: { es: 'Juguetes', en: 'Toys' },
+    icon: 'toys',
+    aliases: ['juegos', 'toys', 'ninos']
+  },
+  {
+    name: { es: 'Libros', en: 'Books' },
+    icon: 'menu_book',
+    aliases: ['books', 'libreria', 'lectura']
+  },
+  {
+    name: { es: 'Mascotas', en: 'Pets' },
+    icon: 'pets',
+    aliases: ['pets', 'animales']
+  },
+  {
+    name: { es: 'Automotriz', en: 'Automotive' },
+    icon: 'directions_car',
+    aliases: ['autos', 'carros', 'vehiculos', 'automotive']
+  },
+  {
+    name: { es: 'Artesanías', en: 'Handicrafts' },
+    icon: 'palette',
+    aliases: ['artesania', 'hecho a mano', 'handmade', 'crafts', 'arte']
+  },
+  {
+    name: { es: 'Otros', en: 'Other' },
+    icon: 'category',
+    aliases: ['otro', 'other', 'varios', 'general']
+  }
+];
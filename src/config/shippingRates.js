@@ -0,0 +1,63 @@
+/**
+ * TARIFAS DE ENVÍO POR DEFECTO
+ *
+ * Se usan para las tiendas que no han definido su propia tabla de
+ * tarifas. Los montos están en colones y los tiempos en días hábiles.
+ */
+
+module.exports = {
+  // Peso usado para productos sin peso registrado (kg)
+  defaultWeightKg: 1,
+
+  // Divisor para calcular el peso volumétrico a partir de cm³
+  volumetricDivisor: 5000,
+
+  // Cantones de la Gran Área Metropolitana por provincia
+  gamCantones: {
+    'San José': [
+      'San José', 'Escazú', 'Desamparados', 'Aserrí', 'Mora', 'Goicoechea',
+      'Santa Ana', 'Alajuelita', 'Vázquez de Coronado', 'Tibás', 'Moravia',
+      'Montes de Oca', 'Curridabat'
+    ],
+    'Alajuela': ['Alajuela', 'Atenas', 'Poás'],
+    'Cartago': ['Cartago', 'Paraíso', 'La Unión', 'Alvarado', 'Oreamuno', 'El Guarco'],
+    'Heredia': [
+      'Heredia', 'Barva', 'Santo Domingo', 'Santa Bárbara', 'San Rafael',
+      'San Isidro', 'Belén', 'Flores', 'San Pablo'
+    ]
+  },
+
+  // Tarifas por defecto
+  rates: [
+    {
+      name: 'Envío estándar GAM',
+      method: 'standard',
+      coverage: 'gam',
+      baseCost: 2500,
+      costPerKg: 500,
+      includedWeightKg: 1,
+      etaMinDays: 1,
+      etaMaxDays: 3
+    },
+    {
+      name: 'Envío estándar zona rural',
+      method: 'standard',
+      coverage: 'rural',
+      baseCost: 3500,
+      costPerKg: 700,
+      includedWeightKg: 1,
+      etaMinDays: 3,
+      etaMaxDays: 6
+    },
+    {
+      name: 'Envío express GAM',
+      method: 'express',
+      coverage: 'gam',
+      baseCost: 4500,
+      costPerKg: 800,
+      includedWeightKg: 1,
+      etaMinDays: 0,
+      etaMaxDays: 1
+    }
+  ]
+};
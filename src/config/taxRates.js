@@ -0,0 +1,40 @@
+/**
+ * TABLA DE TARIFAS DE IVA
+ *
+ * Tarifas aplicables según el código CABYS (por prefijo, gana el más
+ * largo) o, si el producto no tiene código, según su categoría. Los
+ * productos sin coincidencia usan la tarifa general.
+ *
+ * Tarifas vigentes de la Ley de Fortalecimiento de las Finanzas Públicas:
+ * 13% general, 4%, 2%, 1% y exento (0).
+ */
+
+module.exports = {
+  // Tarifa general
+  defaultRate: 0.13,
+
+  // Tarifas permitidas en la tabla
+  allowedRates: [0.13, 0.04, 0.02, 0.01, 0],
+
+  // Prefijos del código CABYS
+  cabysPrefixes: {
+    '0111': 0.01,   // Cereales
+    '0112': 0.01,   // Hortalizas y legumbres
+    '0113': 0.01,   // Frutas
+    '2111': 0.01,   // Carnes
+    '2351': 0.01,   // Arroz
+    '3526': 0.02,   // Medicamentos
+    '3221': 0,      // Libros impresos
+    '9311': 0.04    // Servicios de salud
+  },
+
+  // Categorías de producto (se comparan sin tildes ni mayúsculas)
+  categories: {
+    'canasta basica': 0.01,
+    'alimentos': 0.01,
+    'medicamentos': 0.02,
+    'farmacia': 0.02,
+    'salud': 0.04,
+    'libros': 0
+  }
+};
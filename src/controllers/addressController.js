@@ -0,0 +1,203 @@
+const { resolveAddress } = require('../services/locations');
+
+// Campos de una dirección guardada que puede enviar el usuario
+const ADDRESS_FIELDS = [
+  'alias',
+  'country',
+  'provincia',
+  'canton',
+  'distrito',
+  'numeroCasillero',
+  'codigoPostal',
+  'observaciones'
+];
+
+// Responder errores de validación o del servidor
+const sendError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Dirección inválida',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+// Tomar solo los campos permitidos del cuerpo de la petición
+const pickAddressFields = (body) => {
+  const data = {};
+  ADDRESS_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Validar la dirección contra el catálogo y completar el código postal
+const validateAddress = (data) => {
+  const { error, address } = resolveAddress(data);
+  if (error) {
+    const validationError = new Error(error);
+    validationError.status = 400;
+    throw validationError;
+  }
+  return address;
+};
+
+// Buscar una dirección de la libreta del usuario
+const findAddress = (user, addressId) => {
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    const error = new Error('Dirección no encontrada');
+    error.status = 404;
+    throw error;
+  }
+  return address;
+};
+
+// Obtener las direcciones guardadas del usuario
+const getMyAddresses = async (req, res) => {
+  try {
+    const { user } = req;
+
+    res.json({
+      success: true,
+      data: {
+        addresses: user.addresses
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error al obtener las direcciones');
+  }
+};
+
+// Guardar una nueva dirección
+const addAddress = async (req, res) => {
+  try {
+    const { user } = req;
+    const address = validateAddress(pickAddressFields(req.body));
+
+    user.addresses.push(address);
+    const saved = user.addresses[user.addresses.length - 1];
+
+    // La primera dirección queda como predeterminada
+    if (req.body.isDefault || user.addresses.length === 1) {
+      user.setDefaultAddress(saved._id);
+    }
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Dirección guardada exitosamente',
+      data: {
+        address: saved
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error al guardar la dirección');
+  }
+};
+
+// Actualizar una dirección guardada
+const updateAddress = async (req, res) => {
+  try {
+    const { user } = req;
+    const address = findAddress(user, req.params.addressId);
+
+    // Al cambiar la ubicación se vuelve a calcular el código postal
+    const changes = pickAddressFields(req.body);
+    const locationChanged = ['country', 'provincia', 'canton', 'distrito']
+      .some(field => changes[field] !== undefined);
+
+    const merged = validateAddress({
+      ...address.toObject(),
+      ...changes,
+      codigoPostal: changes.codigoPostal || (locationChanged ? undefined : address.codigoPostal)
+    });
+
+    ADDRESS_FIELDS.forEach(field => {
+      address[field] = merged[field];
+    });
+
+    if (req.body.isDefault) {
+      user.setDefaultAddress(address._id);
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Dirección actualizada exitosamente',
+      data: {
+        address
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error al actualizar la dirección');
+  }
+};
+
+// Eliminar una dirección guardada
+const deleteAddress = async (req, res) => {
+  try {
+    const { user } = req;
+    const address = findAddress(user, req.params.addressId);
+    const wasDefault = address.isDefault;
+
+    address.deleteOne();
+
+    // Si se eliminó la predeterminada, la siguiente toma su lugar
+    if (wasDefault && user.addresses.length > 0) {
+      user.setDefaultAddress(user.addresses[0]._id);
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Dirección eliminada exitosamente'
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error al eliminar la dirección');
+  }
+};
+
+// Marcar una dirección como predeterminada
+const setDefaultAddress = async (req, res) => {
+  try {
+    const { user } = req;
+    const address = findAddress(user, req.params.addressId);
+
+    user.setDefaultAddress(address._id);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Dirección predeterminada actualizada',
+      data: {
+        addresses: user.addresses
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error al actualizar la dirección predeterminada');
+  }
+};
+
+module.exports = {
+  getMyAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  setDefaultAddress
+};
@@ -0,0 +1,508 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Store = require('../models/Store');
+const Product = require('../models/Product');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const suggestIndex = require('../services/suggestIndex');
+const sessions = require('../services/sessions');
+
+const USER_FIELDS = 'username email fullName photo userType roles isActive suspension createdAt';
+
+// Responder errores de validación o del servidor
+const sendError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos inválidos',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: `Valor no válido para ${error.path}`
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Buscar el recurso de la ruta o responder 404
+const findTarget = async (Model, id, message) => {
+  const target = mongoose.isValidObjectId(id) ? await Model.findById(id) : null;
+  if (!target) throw httpError(404, message);
+  return target;
+};
+
+const escapeRegex = (value) => String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Página y límite de la consulta (máximo 100 por página)
+const pagination = ({ page = 1, limit = 20 }) => {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const limitNumber = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  return { page: pageNumber, limit: limitNumber, skip: (pageNumber - 1) * limitNumber };
+};
+
+const paginationData = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+const suspendedFilter = (value) => (value === 'true'
+  ? { 'suspension.suspendedAt': { $ne: null } }
+  : { 'suspension.suspendedAt': null });
+
+// Listar usuarios (búsqueda por nombre, usuario o email; filtros por tipo, rol y suspensión)
+const listUsers = async (req, res) => {
+  try {
+    const { search, userType, role, suspended } = req.query;
+    const page = pagination(req.query);
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ fullName: pattern }, { username: pattern }, { email: pattern }];
+    }
+    if (userType) filter.userType = userType;
+    if (role) filter.roles = role;
+    if (suspended !== undefined) Object.assign(filter, suspendedFilter(suspended));
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(page.skip)
+        .limit(page.limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: paginationData(page, total)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al obtener usuarios');
+  }
+};
+
+// Suspender un usuario (solo un administrador puede suspender a otro administrador o moderador)
+const suspendUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const user = await findTarget(User, req.params.id, 'Usuario no encontrado');
+
+    if (user._id.equals(req.user._id)) {
+      throw httpError(400, 'No puedes suspender tu propia cuenta');
+    }
+    if (user.roles.length > 0 && !req.user.hasRole('admin')) {
+      throw httpError(403, 'Solo un administrador puede suspender a administradores o moderadores');
+    }
+    if (user.isSuspended) {
+      throw httpError(409, 'El usuario ya está suspendido');
+    }
+
+    user.suspension = { suspendedAt: new Date(), reason, suspendedBy: req.user._id };
+    await user.save();
+    const revokedSessions = await sessions.revokeAllSessions(user._id, 'suspended');
+
+    await AuditLog.record(req, {
+      action: 'user.suspend',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { revokedSessions }
+    });
+
+    res.json({
+      success: true,
+      message: 'Usuario suspendido',
+      data: { user: await User.findById(user._id).select(USER_FIELDS) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al suspender usuario');
+  }
+};
+
+// Reactivar un usuario suspendido
+const reactivateUser = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const user = await findTarget(User, req.params.id, 'Usuario no encontrado');
+
+    if (!user.isSuspended) {
+      throw httpError(409, 'El usuario no está suspendido');
+    }
+    if (user.roles.length > 0 && !req.user.hasRole('admin')) {
+      throw httpError(403, 'Solo un administrador puede reactivar a administradores o moderadores');
+    }
+
+    const previous = user.toObject().suspension;
+    user.suspension = { suspendedAt: null, reason: undefined, suspendedBy: null };
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: 'user.reactivate',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { suspension: previous }
+    });
+
+    res.json({
+      success: true,
+      message: 'Usuario reactivado',
+      data: { user: await User.findById(user._id).select(USER_FIELDS) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al reactivar usuario');
+  }
+};
+
+// Asignar los roles de un usuario (solo administradores)
+const updateUserRoles = async (req, res) => {
+  try {
+    const { roles, reason } = req.body;
+
+    if (!Array.isArray(roles) || roles.some(role => !User.USER_ROLES.includes(role))) {
+      throw httpError(400, `Roles no válidos. Permitidos: ${User.USER_ROLES.join(', ')}`);
+    }
+
+    const user = await findTarget(User, req.params.id, 'Usuario no encontrado');
+    const nextRoles = [...new Set(roles)];
+
+    if (user._id.equals(req.user._id) && !nextRoles.includes('admin')) {
+      throw httpError(400, 'No puedes quitarte el rol de administrador');
+    }
+
+    const previousRoles = [...user.roles];
+    user.roles = nextRoles;
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: 'user.roles',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { from: previousRoles, to: nextRoles }
+    });
+
+    res.json({
+      success: true,
+      message: 'Roles actualizados',
+      data: { user: await User.findById(user._id).select(USER_FIELDS) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al actualizar roles');
+  }
+};
+
+// Registrar o quitar la exoneración de IVA de un usuario ({ taxExemption: {...} | null })
+const updateTaxExemption = async (req, res) => {
+  try {
+    const { taxExemption, reason } = req.body;
+    const user = await findTarget(User, req.params.id, 'Usuario no encontrado');
+
+    let nextExemption;
+    if (taxExemption) {
+      const { documentType, documentNumber, institution, issuedAt, expiresAt } = taxExemption;
+      const percentage = Number(taxExemption.percentage);
+
+      if (!/^\d{2}$/.test(String(documentType || ''))) {
+        throw httpError(400, 'Tipo de documento de exoneración no válido (código de 2 dígitos de Hacienda)');
+      }
+      if (!documentNumber || !institution) {
+        throw httpError(400, 'Número de documento e institución de la exoneración son requeridos');
+      }
+      if (!(percentage > 0 && percentage <= 100)) {
+        throw httpError(400, 'Porcentaje de exoneración debe estar entre 1 y 100');
+      }
+
+      const issuedDate = new Date(issuedAt);
+      const expiresDate = expiresAt ? new Date(expiresAt) : undefined;
+      if (isNaN(issuedDate) || (expiresDate && (isNaN(expiresDate) || expiresDate <= issuedDate))) {
+        throw httpError(400, 'Fechas de la exoneración no válidas');
+      }
+
+      nextExemption = {
+        documentType: String(documentType),
+        documentNumber: String(documentNumber),
+        institution: String(institution),
+        issuedAt: issuedDate,
+        expiresAt: expiresDate,
+        percentage
+      };
+    }
+
+    const previous = user.toObject().taxExemption;
+    user.taxExemption = nextExemption;
+    await user.save();
+
+    await AuditLog.record(req, {
+      action: nextExemption ? 'user.tax_exemption' : 'user.tax_exemption_remove',
+      targetType: 'User',
+      targetId: user._id,
+      reason,
+      details: { from: previous, to: nextExemption }
+    });
+
+    res.json({
+      success: true,
+      message: nextExemption ? 'Exoneración de IVA registrada' : 'Exoneración de IVA eliminada',
+      data: { user: await User.findById(user._id).select(`${USER_FIELDS} taxExemption`) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al actualizar la exoneración de IVA');
+  }
+};
+
+// Listar tiendas (búsqueda por nombre o email del propietario; filtros por verificación y suspensión)
+const listStores = async (req, res) => {
+  try {
+    const { search, verified, suspended } = req.query;
+    const page = pagination(req.query);
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      const owners = await User.find({
+        userType: 'store',
+        $or: [{ fullName: pattern }, { username: pattern }, { email: pattern }]
+      }).distinct('_id');
+      filter.userId = { $in: owners };
+    }
+    if (verified !== undefined) filter.verified = verified === 'true';
+    if (suspended !== undefined) Object.assign(filter, suspendedFilter(suspended));
+
+    const [stores, total] = await Promise.all([
+      Store.find(filter)
+        .populate('userId', 'username email fullName photo suspension')
+        .sort({ createdAt: -1 })
+        .skip(page.skip)
+        .limit(page.limit),
+      Store.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        stores,
+        pagination: paginationData(page, total)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al obtener tiendas');
+  }
+};
+
+// Avisar al propietario de la tienda de una acción de la administración
+const notifyStoreOwner = (store, title, message) => Notification.createNotification({
+  userId: store.userId,
+  type: 'store',
+  title,
+  message,
+  priority: 'high',
+  actionUrl: `/stores/${store._id}`,
+  relatedId: store._id,
+  relatedType: 'Store'
+}).catch(() => null);
+
+// Suspender una tienda: deja de mostrarse y sus productos dejan de venderse
+const suspendStore = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const store = await findTarget(Store, req.params.id, 'Tienda no encontrada');
+
+    if (store.isSuspended) {
+      throw httpError(409, 'La tienda ya está suspendida');
+    }
+
+    store.suspension = { suspendedAt: new Date(), reason, suspendedBy: req.user._id };
+    await store.save();
+    const { modifiedCount } = await Product.updateMany({ storeId: store._id }, { storeSuspended: true });
+    suggestIndex.invalidate();
+
+    await AuditLog.record(req, {
+      action: 'store.suspend',
+      targetType: 'Store',
+      targetId: store._id,
+      reason,
+      details: { productsHidden: modifiedCount }
+    });
+    await notifyStoreOwner(store, 'Tienda suspendida',
+      reason ? `Tu tienda fue suspendida: ${reason}` : 'Tu tienda fue suspendida por la administración');
+
+    res.json({
+      success: true,
+      message: 'Tienda suspendida',
+      data: { store, productsHidden: modifiedCount }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al suspender tienda');
+  }
+};
+
+// Reactivar una tienda suspendida y volver a mostrar sus productos
+const reactivateStore = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const store = await findTarget(Store, req.params.id, 'Tienda no encontrada');
+
+    if (!store.isSuspended) {
+      throw httpError(409, 'La tienda no está suspendida');
+    }
+
+    const previous = store.toObject().suspension;
+    store.suspension = { suspendedAt: null, reason: undefined, suspendedBy: null };
+    await store.save();
+    const { modifiedCount } = await Product.updateMany({ storeId: store._id }, { storeSuspended: false });
+    suggestIndex.invalidate();
+
+    await AuditLog.record(req, {
+      action: 'store.reactivate',
+      targetType: 'Store',
+      targetId: store._id,
+      reason,
+      details: { suspension: previous, productsRestored: modifiedCount }
+    });
+    await notifyStoreOwner(store, 'Tienda reactivada', 'Tu tienda y sus productos vuelven a estar visibles');
+
+    res.json({
+      success: true,
+      message: 'Tienda reactivada',
+      data: { store, productsRestored: modifiedCount }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al reactivar tienda');
+  }
+};
+
+// Marcar o desmarcar una tienda como verificada
+const verifyStore = async (req, res) => {
+  try {
+    const { verified = true, reason } = req.body;
+
+    if (typeof verified !== 'boolean') {
+      throw httpError(400, 'verified debe ser true o false');
+    }
+
+    const store = await findTarget(Store, req.params.id, 'Tienda no encontrada');
+    const previous = store.verified;
+    store.verified = verified;
+    await store.save();
+
+    await AuditLog.record(req, {
+      action: verified ? 'store.verify' : 'store.unverify',
+      targetType: 'Store',
+      targetId: store._id,
+      reason,
+      details: { from: previous, to: verified }
+    });
+    if (verified && !previous) {
+      await notifyStoreOwner(store, 'Tienda verificada', 'Tu tienda ahora aparece como verificada');
+    }
+
+    res.json({
+      success: true,
+      message: verified ? 'Tienda verificada' : 'Verificación de la tienda retirada',
+      data: { store }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al verificar tienda');
+  }
+};
+
+// Destacar o quitar de destacados un producto
+const featureProduct = async (req, res) => {
+  try {
+    const { featured = true, reason } = req.body;
+
+    if (typeof featured !== 'boolean') {
+      throw httpError(400, 'featured debe ser true o false');
+    }
+
+    const product = await findTarget(Product, req.params.id, 'Producto no encontrado');
+    const previous = product.featured;
+    // Actualización directa para no pasar por las validaciones de edición de la tienda
+    await Product.updateOne({ _id: product._id }, { featured });
+
+    await AuditLog.record(req, {
+      action: featured ? 'product.feature' : 'product.unfeature',
+      targetType: 'Product',
+      targetId: product._id,
+      reason,
+      details: { from: previous, to: featured }
+    });
+
+    res.json({
+      success: true,
+      message: featured ? 'Producto destacado' : 'Producto quitado de destacados',
+      data: { product: { _id: product._id, name: product.name, featured } }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al actualizar producto');
+  }
+};
+
+// Consultar el registro de acciones de la administración
+const getAuditLog = async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId } = req.query;
+    const page = pagination(req.query);
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'username fullName email')
+        .sort({ createdAt: -1 })
+        .skip(page.skip)
+        .limit(page.limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: paginationData(page, total)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al obtener el registro de auditoría');
+  }
+};
+
+module.exports = {
+  listUsers,
+  suspendUser,
+  reactivateUser,
+  updateUserRoles,
+  updateTaxExemption,
+  listStores,
+  suspendStore,
+  reactivateStore,
+  verifyStore,
+  featureProduct,
+  getAuditLog
+};
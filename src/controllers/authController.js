@@ -1,11 +1,11 @@
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Store = require('../models/Store');
-
-// Generar JWT
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
-};
+const Category = require('../models/Category');
+const { resolveAddress } = require('../services/locations');
+const sessions = require('../services/sessions');
+const emailVerification = require('../services/emailVerification');
+const passwordReset = require('../services/passwordReset');
 
 const register = async (req, res) => {
   try {
@@ -74,12 +74,17 @@ const register = async (req, res) => {
       const store = new Store({
         userId: user._id,
         description: description || '',
-        categories: categories || []
+        categories: await Category.canonicalNames(categories || [])
       });
       await store.save();
     }
-    // Generar token
-    const token = generateToken(user._id);
+    // Enviar el enlace de verificación del correo (si falla se puede pedir otro)
+    const verificationEmailSent = await emailVerification.sendVerificationEmail(user)
+      .then(() => true)
+      .catch(() => false);
+
+    // Abrir sesión en este dispositivo
+    const tokens = await sessions.createSession(user, req);
 
     // Actualizar último login
     user.lastLogin = new Date();
@@ -89,7 +94,8 @@ const register = async (req, res) => {
       message: 'Usuario registrado exitosamente',
       data: {
         user: user.getPublicProfile(),
-        token
+        ...tokens,
+        verificationEmailSent
       }
     });
 
@@ -133,6 +139,15 @@ const login = async (req, res) => {
       });
     }
 
+    // Verificar que la cuenta no esté suspendida por la administración
+    if (user.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cuenta suspendida',
+        data: { reason: user.suspension.reason || null }
+      });
+    }
+
     // Verificar contraseña
     const isPasswordValid = await user.comparePassword(password);
 
@@ -143,8 +158,8 @@ const login = async (req, res) => {
       });
     }
 
-    // Generar token
-    const token = generateToken(user._id);
+    // Abrir sesión en este dispositivo
+    const tokens = await sessions.createSession(user, req);
 
     // Actualizar último login
     user.lastLogin = new Date();
@@ -162,7 +177,7 @@ const login = async (req, res) => {
       message: 'Login exitoso',
       data: {
         user: userData,
-        token
+        ...tokens
       }
     });
 
@@ -207,6 +222,7 @@ const updateProfile = async (req, res) => {
       fullName,
       country,
       address,
+      location,
       phone,
       socialNetworks,
       // Campos específicos para tiendas
@@ -223,6 +239,28 @@ const updateProfile = async (req, res) => {
       socialNetworks
     };
 
+    // Validar la ubicación contra el catálogo y completar el código postal
+    if (location !== undefined) {
+      const { error, address: resolved } = resolveAddress({
+        ...location,
+        country: country || req.user.country
+      });
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      updateData.location = {
+        provincia: resolved.provincia,
+        canton: resolved.canton,
+        distrito: resolved.distrito,
+        codigoPostal: resolved.codigoPostal
+      };
+    }
+
     // Remover campos undefined
     Object.keys(updateData).forEach(key => 
       updateData[key] === undefined && delete updateData[key]
@@ -238,7 +276,7 @@ const updateProfile = async (req, res) => {
     if (user.userType === 'store' && (description !== undefined || categories !== undefined)) {
       const storeUpdateData = {};
       if (description !== undefined) storeUpdateData.description = description;
-      if (categories !== undefined) storeUpdateData.categories = categories;
+      if (categories !== undefined) storeUpdateData.categories = await Category.canonicalNames(categories);
 
       await Store.findOneAndUpdate(
         { userId: user._id },
@@ -263,13 +301,28 @@ const updateProfile = async (req, res) => {
   }
 };
 
-// Logout (invalidar token - esto requeriría una blacklist de tokens)
+// Renovar el access token con el refresh token (que se cambia por uno nuevo)
+const refreshToken = async (req, res) => {
+  try {
+    const tokens = await sessions.refreshSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error interno del servidor'
+    });
+  }
+};
+
+// Logout (cierra la sesión del token; sus tokens dejan de ser válidos)
 const logout = async (req, res) => {
   try {
-    // En una implementación real, aquí podrías:
-    // 1. Agregar el token a una blacklist
-    // 2. Usar Redis para invalidar tokens
-    // 3. Implementar refresh tokens
+    await sessions.revokeSession(req.auth.sessionId, 'logout');
 
     res.json({
       success: true,
@@ -306,9 +359,15 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Cerrar las demás sesiones; la actual sigue abierta
+    const revokedSessions = await sessions.revokeAllSessions(user._id, 'password_change', {
+      except: req.auth.sessionId
+    });
+
     res.json({
       success: true,
-      message: 'Contraseña actualizada exitosamente'
+      message: 'Contraseña actualizada exitosamente',
+      data: { revokedSessions }
     });
 
   } catch (error) {
@@ -323,6 +382,7 @@ const changePassword = async (req, res) => {
 const deactivateAccount = async (req, res) => {
   try {
     await User.findByIdAndUpdate(req.user._id, { isActive: false });
+    await sessions.revokeAllSessions(req.user._id, 'deactivated');
 
     res.json({
       success: true,
@@ -337,10 +397,175 @@ const deactivateAccount = async (req, res) => {
   }
 };
 
+// Verificar el correo con el token del enlace enviado por correo
+const verifyEmail = async (req, res) => {
+  try {
+    const user = await emailVerification.verifyEmail(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Correo verificado exitosamente',
+      data: {
+        user: user.getPublicProfile()
+      }
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error interno del servidor'
+    });
+  }
+};
+
+// Reenviar el enlace de verificación del correo
+const resendVerification = async (req, res) => {
+  try {
+    await emailVerification.resendVerification(req.user);
+
+    res.json({
+      success: true,
+      message: `Enviamos un nuevo enlace de verificación a ${req.user.email}`
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error interno del servidor'
+    });
+  }
+};
+
+// Pedir el enlace para restablecer la contraseña (la respuesta no indica si el correo existe)
+const forgotPassword = async (req, res) => {
+  try {
+    passwordReset.requestReset(req.body.email);
+
+    res.json({
+      success: true,
+      message: 'Si el correo está registrado, recibirás un enlace para restablecer tu contraseña'
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error interno del servidor'
+    });
+  }
+};
+
+// Restablecer la contraseña con el token del enlace (cierra todas las sesiones)
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    const { revokedSessions } = await passwordReset.resetPassword(token, newPassword);
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente. Inicia sesión con tu nueva contraseña',
+      data: { revokedSessions }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Contraseña inválida',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error interno del servidor'
+    });
+  }
+};
+
+// Listar las sesiones abiertas del usuario (marca la de la petición actual)
+const getSessions = async (req, res) => {
+  try {
+    const userSessions = await sessions.listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: userSessions.map(session => ({
+          ...session.toObject(),
+          current: session._id.equals(req.auth.sessionId)
+        }))
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Cerrar una sesión del usuario (por ejemplo, la de un dispositivo perdido)
+const revokeSession = async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await sessions.revokeSession(req.params.id, 'revoked', { userId: req.user._id })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Cerrar todas las sesiones del usuario (con ?exceptCurrent=true conserva la actual)
+const revokeAllSessions = async (req, res) => {
+  try {
+    const exceptCurrent = req.query.exceptCurrent === 'true';
+    const revokedSessions = await sessions.revokeAllSessions(req.user._id, 'revoked', {
+      except: exceptCurrent ? req.auth.sessionId : undefined
+    });
+
+    res.json({
+      success: true,
+      message: exceptCurrent ? 'Se cerraron las demás sesiones' : 'Se cerraron todas las sesiones',
+      data: { revokedSessions }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  refreshToken,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   getProfile,
   updateProfile,
   changePassword,
@@ -0,0 +1,222 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const suggestIndex = require('../services/suggestIndex');
+
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'icon', 'order', 'attributes', 'aliases', 'isActive'];
+
+// Responder errores de validación o del servidor
+const sendError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de la categoría inválidos',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'Ya existe una categoría con ese slug'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+// Buscar la categoría padre indicada por ID o slug
+const findParent = async (value) => {
+  if (!value) return null;
+
+  const parent = await Category.resolve(value);
+  if (!parent) {
+    const error = new Error('Categoría padre no encontrada');
+    error.status = 404;
+    throw error;
+  }
+  return parent._id;
+};
+
+// Obtener el árbol de categorías (o la lista plana con ?flat=true)
+const getCategories = async (req, res) => {
+  try {
+    if (req.query.flat === 'true') {
+      const categories = await Category.find({ isActive: true })
+        .sort({ order: 1, 'name.es': 1 });
+
+      return res.json({
+        success: true,
+        data: { categories }
+      });
+    }
+
+    const tree = await Category.getTree();
+
+    res.json({
+      success: true,
+      data: { categories: tree }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al obtener categorías');
+  }
+};
+
+// Obtener una categoría por ID o slug con sus subcategorías, ruta desde la raíz y atributos
+const getCategory = async (req, res) => {
+  try {
+    const category = await Category.resolve(req.params.idOrSlug);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    const [children, ancestors, descendantIds, attributes] = await Promise.all([
+      Category.find({ parent: category._id, isActive: true }).sort({ order: 1, 'name.es': 1 }),
+      Category.find({ _id: { $in: category.ancestors } }).select('name slug icon'),
+      Category.getDescendantIds(category._id),
+      Category.getAttributes(category)
+    ]);
+
+    // Los ancestros se devuelven en el orden guardado (de la raíz hacia abajo)
+    const breadcrumb = category.ancestors
+      .map(id => ancestors.find(ancestor => ancestor._id.equals(id)))
+      .filter(Boolean);
+
+    const productsCount = await Product.countDocuments({
+      categoryId: { $in: descendantIds },
+      ...Product.visibleFilter()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        category,
+        children,
+        breadcrumb,
+        // Atributos propios y heredados que deben declarar sus productos
+        attributes,
+        productsCount
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al obtener la categoría');
+  }
+};
+
+// Crear categoría (solo administradores)
+const createCategory = async (req, res) => {
+  try {
+    const category = new Category({
+      ...Object.fromEntries(EDITABLE_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]])),
+      parent: await findParent(req.body.parent)
+    });
+
+    await category.save();
+    suggestIndex.invalidate();
+
+    res.status(201).json({
+      success: true,
+      message: 'Categoría creada exitosamente',
+      data: { category }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al crear la categoría');
+  }
+};
+
+// Actualizar o mover una categoría (solo administradores)
+const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+
+      // El nombre se actualiza por idioma para no borrar la otra traducción
+      if (field === 'name' && typeof req.body.name === 'object') {
+        Object.entries(req.body.name).forEach(([language, value]) => category.set(`name.${language}`, value));
+      } else {
+        category.set(field, req.body[field]);
+      }
+    });
+
+    if (req.body.parent !== undefined) {
+      category.parent = await findParent(req.body.parent);
+    }
+
+    const renamed = category.isModified('name.es');
+    await category.save();
+
+    // Mantener el nombre guardado en los productos de la categoría
+    if (renamed) {
+      await Product.updateMany({ categoryId: category._id }, { category: category.name.es });
+    }
+    suggestIndex.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Categoría actualizada exitosamente',
+      data: { category }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al actualizar la categoría');
+  }
+};
+
+// Eliminar categoría sin subcategorías ni productos (solo administradores)
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    const [childrenCount, productsCount] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Product.countDocuments({ categoryId: category._id })
+    ]);
+
+    if (childrenCount > 0 || productsCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'La categoría tiene subcategorías o productos; muévalos o desactívela',
+        data: { childrenCount, productsCount }
+      });
+    }
+
+    await category.deleteOne();
+    suggestIndex.invalidate();
+
+    res.json({
+      success: true,
+      message: 'Categoría eliminada exitosamente'
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al eliminar la categoría');
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,95 @@
+const locations = require('../services/locations');
+
+// Obtener todas las provincias
+const getProvincias = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      provincias: locations.getProvincias()
+    }
+  });
+};
+
+// Obtener los cantones de una provincia (por código o nombre)
+const getCantones = async (req, res) => {
+  const cantones = locations.getCantones(req.params.provincia);
+
+  if (!cantones) {
+    return res.status(404).json({
+      success: false,
+      message: 'Provincia no encontrada'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      cantones
+    }
+  });
+};
+
+// Obtener los distritos de un cantón con su código postal
+const getDistritos = async (req, res) => {
+  const distritos = locations.getDistritos(req.params.provincia, req.params.canton);
+
+  if (!distritos) {
+    return res.status(404).json({
+      success: false,
+      message: 'Provincia o cantón no encontrado'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      distritos
+    }
+  });
+};
+
+// Obtener la ubicación que corresponde a un código postal
+const getByPostalCode = async (req, res) => {
+  const location = locations.findByPostalCode(req.params.codigoPostal);
+
+  if (!location) {
+    return res.status(404).json({
+      success: false,
+      message: 'Código postal no encontrado'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      location
+    }
+  });
+};
+
+// Validar una combinación de provincia, cantón y distrito
+const validateAddress = async (req, res) => {
+  const { error, address } = locations.resolveAddress(req.body.address || req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      address
+    }
+  });
+};
+
+module.exports = {
+  getProvincias,
+  getCantones,
+  getDistritos,
+  getByPostalCode,
+  validateAddress
+};
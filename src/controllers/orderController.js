@@ -1,46 +1,223 @@
 
 
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Store = require('../models/Store');
-const User = require('../models/User');
 const Purchase = require('../models/Purchase');
 const Sale = require('../models/Sale');
+const Cart = require('../models/Cart');
+const { buildQuote, findAmountMismatches } = require('../services/orderPricing');
+const { generateInvoice } = require('../services/invoicing');
+const { resolveAddress } = require('../services/locations');
+const inventory = require('../services/inventory');
+const emailVerification = require('../services/emailVerification');
+const { getOrderRole } = require('../middleware/auth');
 
-// Verificar token y obtener usuario
-const verifyToken = async (req) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      throw new Error('Token no proporcionado');
+// Reservar stock de cada item solo si hay existencias suficientes y
+// registrar la venta en el libro de inventario
+const reserveStock = async (order, actor, session) => {
+  const failures = [];
+  const movements = [];
+
+  for (const item of order.items) {
+    const updated = await Product.findOneAndUpdate(
+      Product.stockFilter(item.product, item.quantity, item.variant),
+      {
+        $inc: {
+          ...Product.stockIncrement(-item.quantity, item.variant),
+          salesCount: item.quantity
+        }
+      },
+      { new: true, session }
+    );
+
+    if (updated) {
+      movements.push(await inventory.recordMovement(updated, {
+        variant: item.variant,
+        type: 'sale',
+        quantity: -item.quantity,
+        reason: `Orden ${order.orderNumber || order._id}`,
+        actor,
+        order: order._id
+      }, { session }));
+    } else {
+      const product = await Product.findById(item.product)
+        .select('name stock isActive storeSuspended variants')
+        .session(session);
+      const variant = item.variant && product ? product.getVariant(item.variant) : null;
+      const sellable = product && product.isActive && !product.storeSuspended;
+
+      failures.push({
+        product: item.product,
+        variant: item.variant,
+        requested: item.quantity,
+        available: sellable
+          ? (item.variant ? variant?.stock || 0 : product.stock)
+          : 0,
+        message: sellable
+          ? `Stock insuficiente para ${product.name}`
+          : `Producto ${item.product} no disponible`
+      });
     }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      throw new Error('Usuario no encontrado');
+  }
+
+  if (failures.length > 0) {
+    const error = new Error('No fue posible reservar el stock de la orden');
+    error.status = 409;
+    error.errors = failures;
+    throw error;
+  }
+
+  return movements;
+};
+
+// Respuesta para las compras que superan el monto permitido sin correo verificado
+const unverifiedCheckout = (res, quote) => res.status(403).json({
+  success: false,
+  message: `Verifica tu correo electrónico para hacer compras de más de ₡${emailVerification.UNVERIFIED_CHECKOUT_LIMIT.toLocaleString('es-CR')}`,
+  data: {
+    total: quote.total,
+    limit: emailVerification.UNVERIFIED_CHECKOUT_LIMIT
+  }
+});
+
+// Registrar la orden, descontar stock y crear los registros de compra y venta
+// en una sola transacción: si algún paso falla no queda nada a medias
+const placeOrder = async (user, quote, { shippingAddress, paymentMethod }) => {
+  const session = await mongoose.startSession();
+  let order;
+  let movements = [];
+
+  // Cada tienda despacha su grupo con el envío cotizado
+  const fulfillments = quote.shipments.map(shipment => ({
+    store: shipment.store,
+    shippingMethod: shipment.method,
+    shippingCost: shipment.cost,
+    estimatedDeliveryDate: shipment.estimatedDelivery.to
+  }));
+  const estimatedDeliveryDate = fulfillments.length > 0
+    ? new Date(Math.max(...fulfillments.map(group => group.estimatedDeliveryDate.getTime())))
+    : undefined;
+
+  try {
+    await session.withTransaction(async () => {
+      order = new Order({
+        buyer: user._id,
+        items: quote.items,
+        fulfillments,
+        estimatedDeliveryDate,
+        shippingAddress,
+        paymentMethod,
+        subtotal: quote.subtotal,
+        shippingCost: quote.shippingCost,
+        tax: quote.tax,
+        taxBreakdown: quote.taxBreakdown,
+        total: quote.total
+      });
+
+      await order.save({ session });
+
+      movements = await reserveStock(order, user._id, session);
+
+      for (const item of order.items) {
+        // Obtener la tienda para identificar al vendedor
+        const store = await Store.findById(item.store).session(session);
+        if (!store) {
+          throw new Error(`Tienda ${item.store} no encontrada`);
+        }
+
+        // Crear registro de compra
+        const purchase = new Purchase({
+          order: order._id,
+          buyer: user._id,
+          product: item.product,
+          variant: item.variant,
+          sku: item.sku,
+          variantLabel: item.variantLabel,
+          store: item.store,
+          quantity: item.quantity,
+          unitPrice: item.price,
+          totalAmount: item.total,
+          paymentMethod: paymentMethod,
+          paymentStatus: 'completed',
+          status: 'completed'
+        });
+
+        await purchase.save({ session });
+
+        // Crear registro de venta
+        const sale = new Sale({
+          order: order._id,
+          store: item.store,
+          seller: store.userId,
+          buyer: user._id,
+          product: item.product,
+          variant: item.variant,
+          sku: item.sku,
+          variantLabel: item.variantLabel,
+          quantity: item.quantity,
+          unitPrice: item.price,
+          totalAmount: item.total,
+          taxRate: item.tax.rate,
+          taxAmount: item.tax.amount,
+          taxExemptAmount: item.tax.exemptAmount,
+          platformCommissionRate: 0.05, // 5% de comisión
+          netAmount: item.total * (1 - 0.05),
+          paymentMethod: paymentMethod,
+          paymentStatus: 'completed',
+          status: 'completed'
+        });
+
+        await sale.save({ session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Los avisos de stock bajo se envían una vez confirmada la orden
+  inventory.notifyLowStock(movements).catch(() => {});
+
+  // Poblar datos para la respuesta
+  await order.populate([
+    { path: 'buyer', select: 'name email' },
+    { path: 'items.product', select: 'name images' },
+    { path: 'items.store', select: 'description' }
+  ]);
+
+  return order;
+};
+
+// Obtener la dirección de envío: la enviada en la petición, una guardada
+// (addressId) o la predeterminada de la libreta. La orden guarda una copia
+// para que editar la libreta no cambie su historial.
+const getShippingAddress = (user, { addressId, shippingAddress }) => {
+  if (addressId || !shippingAddress) {
+    const saved = addressId ? user.addresses.id(addressId) : user.getDefaultAddress();
+    if (!saved) {
+      return {
+        error: addressId ? 'Dirección guardada no encontrada' : 'Dirección de envío es requerida'
+      };
     }
-    
-    return user;
-  } catch (error) {
-    throw new Error('Token inválido o usuario no encontrado');
+
+    const { _id, isDefault, createdAt, updatedAt, ...snapshot } = saved.toObject();
+    return { address: { ...snapshot, addressId: _id } };
   }
+
+  // Validar la dirección contra el catálogo y completar el código postal
+  return resolveAddress(shippingAddress);
 };
 
 // Crear una nueva orden
 const createOrder = async (req, res) => {
   try {
-    const user = await verifyToken(req);
+    const { user } = req;
     
     const {
       items,
-      shippingAddress,
-      paymentMethod,
-      subtotal,
-      shippingCost = 0,
-      tax = 0
+      shippingMethods,
+      paymentMethod
     } = req.body;
 
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -50,117 +227,138 @@ const createOrder = async (req, res) => {
       });
     }
 
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      if (!product || !product.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: `Producto ${item.product} no disponible`
-        });
-      }
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Stock insuficiente para ${product.name}`
-        });
-      }
+    const { error: addressError, address: shippingAddress } = getShippingAddress(user, req.body);
+    if (addressError) {
+      return res.status(400).json({
+        success: false,
+        message: addressError
+      });
     }
 
-    const order = new Order({
-      buyer: user._id,
-      items: items.map(item => ({
-        ...item,
-        total: item.price * item.quantity
-      })),
-      shippingAddress,
-      paymentMethod,
-      subtotal,
-      shippingCost,
-      tax,
-      total: subtotal + shippingCost + tax
-    });
+    // Los montos se calculan en el servidor con los precios actuales
+    const quote = await buildQuote(items, { buyer: user, shippingAddress, shippingMethods });
 
-    await order.save();
+    if (quote.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: quote.errors[0].message,
+        errors: quote.errors
+      });
+    }
 
-    for (const item of items) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { 
-          $inc: { 
-            stock: -item.quantity,
-            salesCount: item.quantity
-          }
+    // Los montos enviados por el cliente solo se validan contra la cotización
+    const mismatches = findAmountMismatches(quote, req.body);
+    if (mismatches.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Los montos de la orden no coinciden con los precios actuales',
+        errors: mismatches,
+        data: {
+          subtotal: quote.subtotal,
+          shippingCost: quote.shippingCost,
+          tax: quote.tax,
+          total: quote.total
         }
-      );
+      });
+    }
 
-      // Obtener información del producto y la tienda para los registros
-      const product = await Product.findById(item.product).populate('store');
-      const store = await Store.findById(item.store).populate('userId');
+    if (!emailVerification.canCheckout(user, quote.total)) {
+      return unverifiedCheckout(res, quote);
+    }
 
-      // Crear registro de compra
-      const purchase = new Purchase({
-        order: order._id,
-        buyer: user._id,
-        product: item.product,
-        store: item.store,
-        quantity: item.quantity,
-        unitPrice: item.price,
-        totalAmount: item.total,
-        paymentMethod: paymentMethod,
-        paymentStatus: 'completed',
-        status: 'completed'
+    const order = await placeOrder(user, quote, { shippingAddress, paymentMethod });
+
+    res.status(201).json({
+      success: true,
+      message: 'Orden creada exitosamente',
+      data: order
+    });
+
+  } catch (error) {
+    // Algún item no pudo reservarse: la orden completa se revirtió
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+};
+
+// Crear una orden a partir del carrito del usuario
+const checkout = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const { shippingMethods, paymentMethod } = req.body;
+
+    const { error: addressError, address: shippingAddress } = getShippingAddress(user, req.body);
+    if (addressError) {
+      return res.status(400).json({
+        success: false,
+        message: addressError
       });
+    }
 
-      await purchase.save();
+    const cart = await Cart.getOrCreateCart(user._id);
 
-      // Crear registro de venta
-      const sale = new Sale({
-        order: order._id,
-        store: item.store,
-        seller: store.userId._id,
-        buyer: user._id,
-        product: item.product,
-        quantity: item.quantity,
-        unitPrice: item.price,
-        totalAmount: item.total,
-        platformCommissionRate: 0.05, // 5% de comisión
-        netAmount: item.total * (1 - 0.05),
-        paymentMethod: paymentMethod,
-        paymentStatus: 'completed',
-        status: 'completed'
+    if (cart.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'El carrito está vacío'
       });
+    }
+
+    // Recalcular precios y stock actuales de los productos del carrito
+    const quote = await buildQuote(cart.items.map(item => ({
+      product: item.productId,
+      variant: item.variantId,
+      quantity: item.quantity
+    })), { buyer: user, shippingAddress, shippingMethods });
 
-      await sale.save();
+    if (quote.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: quote.errors[0].message,
+        errors: quote.errors
+      });
+    }
 
-  
+    if (!emailVerification.canCheckout(user, quote.total)) {
+      return unverifiedCheckout(res, quote);
     }
 
-    // Poblar datos para la respuesta
-    await order.populate([
-      { path: 'buyer', select: 'name email' },
-      { path: 'items.product', select: 'name images' },
-      { path: 'items.store', select: 'description' }
-    ]);
+    const order = await placeOrder(user, quote, { shippingAddress, paymentMethod });
+
+    // Vaciar el carrito solo después de registrar la orden
+    await cart.clear();
 
     res.status(201).json({
       success: true,
-      message: 'Orden creada exitosamente',
+      message: 'Checkout procesado exitosamente',
       data: order
     });
 
   } catch (error) {
-    
-    // Si es error de autenticación, retornar 401
-    if (error.message.includes('Token') || error.message.includes('Usuario')) {
-      return res.status(401).json({
+    // Algún item no pudo reservarse: la orden completa se revirtió
+    if (error.status === 409) {
+      return res.status(409).json({
         success: false,
-        message: error.message
+        message: error.message,
+        errors: error.errors
       });
     }
-    
+
     res.status(500).json({
       success: false,
-      message: 'Error interno del servidor',
+      message: 'Error procesando el checkout',
       error: error.message
     });
   }
@@ -170,7 +368,7 @@ const createOrder = async (req, res) => {
 const getMyOrders = async (req, res) => {
   try {
     // Verificar autenticación
-    const user = await verifyToken(req);
+    const { user } = req;
     
     const { page = 1, limit = 10, status } = req.query;
     
@@ -207,15 +405,6 @@ const getMyOrders = async (req, res) => {
     });
 
   } catch (error) {
-    
-    // Si es error de autenticación, retornar 401
-    if (error.message.includes('Token') || error.message.includes('Usuario')) {
-      return res.status(401).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor',
@@ -251,9 +440,13 @@ const getStoreOrders = async (req, res) => {
       }
     };
     
-    // Agregar filtro de estado si se proporciona
+    // Filtrar por el estado del grupo de entrega de la tienda
+    // (las órdenes sin grupos se filtran por el estado general)
     if (status) {
-      matchFilters.status = status;
+      matchFilters.$or = [
+        { fulfillments: { $elemMatch: { store: storeObjectId, status } } },
+        { fulfillments: { $size: 0 }, status }
+      ];
     }
 
     // Agregar filtros de fecha si se proporcionan
@@ -295,7 +488,18 @@ const getStoreOrders = async (req, res) => {
               }
             }
           },
-          storeItemCount: { $size: '$storeItems' }
+          storeItemCount: { $size: '$storeItems' },
+          fulfillment: {
+            $arrayElemAt: [
+              {
+                $filter: {
+                  input: { $ifNull: ['$fulfillments', []] },
+                  cond: { $eq: ['$$this.store', storeObjectId] }
+                }
+              },
+              0
+            ]
+          }
         }
       },
       
@@ -381,6 +585,9 @@ const getStoreOrders = async (req, res) => {
           // Totales específicos de la tienda
           storeSubtotal: 1,
           storeItemCount: 1,
+          // Estado del grupo de entrega de la tienda (estado general si no existe)
+          storeStatus: { $ifNull: ['$fulfillment.status', '$status'] },
+          fulfillment: 1,
           // Items de la tienda con información de productos
           items: '$processedItems',
           // Información del comprador
@@ -491,6 +698,15 @@ const getOrderById = async (req, res) => {
       });
     }
 
+    // Solo el comprador y las tiendas con productos en la orden pueden verla
+    const { role } = await getOrderRole(order, req.user);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver esta orden'
+      });
+    }
+
     res.json({
       success: true,
       data: order
@@ -505,13 +721,154 @@ const getOrderById = async (req, res) => {
   }
 };
 
+// Cancelar grupos de entrega de una orden devolviendo el stock y revirtiendo
+// las ventas y compras asociadas, todo en una sola transacción
+const cancelOrderGroups = async (orderId, { changedBy, role, store, reason }) => {
+  const session = await mongoose.startSession();
+  let order;
+
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+      if (!order) {
+        const error = new Error('Orden no encontrada');
+        error.status = 404;
+        throw error;
+      }
+
+      order.ensureFulfillments();
+      const openStores = order.fulfillments
+        .filter(group => group.status !== 'cancelled')
+        .map(group => group.store.toString());
+
+      order.cancelReason = reason;
+      order.cancelledBy = changedBy;
+      await order.transitionTo('cancelled', { changedBy, role, note: reason, store });
+
+      // Tiendas cuyo grupo se canceló en esta operación
+      const cancelledStores = order.fulfillments
+        .filter(group => group.status === 'cancelled' && openStores.includes(group.store.toString()))
+        .map(group => group.store);
+
+      const cancelledItems = order.items.filter(item =>
+        cancelledStores.some(storeId => storeId.equals(item.store))
+      );
+
+      // Devolver el stock y descontar las ventas del producto
+      for (const item of cancelledItems) {
+        const product = await Product.restoreStock(item.product, item.quantity, item.variant, {
+          session,
+          salesCount: -item.quantity
+        });
+        if (product) {
+          await inventory.recordMovement(product, {
+            variant: item.variant,
+            type: 'cancellation',
+            quantity: item.quantity,
+            // El motivo completo queda en order.cancelReason
+            reason: `Cancelación orden ${order.orderNumber || order._id}`,
+            actor: changedBy,
+            order: order._id
+          }, { session });
+        }
+      }
+
+      const sales = await Sale.find({
+        order: order._id,
+        store: { $in: cancelledStores },
+        status: 'completed'
+      }).session(session);
+
+      for (const sale of sales) {
+        await sale.cancel(reason);
+      }
+
+      const purchases = await Purchase.find({
+        order: order._id,
+        store: { $in: cancelledStores },
+        status: 'completed'
+      }).session(session);
+
+      for (const purchase of purchases) {
+        await purchase.cancel(reason);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return order;
+};
+
+// Cancelar una orden (comprador) o el grupo de entrega de una tienda
+const cancelOrder = async (req, res) => {
+  try {
+    const { user } = req;
+    const { reason, storeId } = req.body;
+    const { id } = req.params;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe indicar el motivo de la cancelación'
+      });
+    }
+
+    const order = await Order.findById(id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Orden no encontrada'
+      });
+    }
+
+    const { role, store } = await getOrderRole(order, user);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para cancelar esta orden'
+      });
+    }
+
+    const cancelledOrder = await cancelOrderGroups(order._id, {
+      changedBy: user._id,
+      role,
+      store: role === 'store' ? store : storeId,
+      reason: reason.trim()
+    });
+
+    res.json({
+      success: true,
+      message: 'Orden cancelada exitosamente',
+      data: cancelledOrder
+    });
+
+  } catch (error) {
+    // Cancelación no permitida por la tabla de estados o por el rol
+    if ([403, 404, 409].includes(error.status)) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+};
+
 // Actualizar estado de una orden
 const updateOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { user } = req;
+    const { status, note, storeId, trackingNumber, carrier } = req.body;
     const { id } = req.params;
 
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+    const validStatuses = Order.FULFILLMENT_STATUSES;
     
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
@@ -520,16 +877,7 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { 
-        status,
-        ...(status === 'shipped' && { shippedDate: new Date() }),
-        ...(status === 'delivered' && { deliveredDate: new Date() }),
-        ...(status === 'cancelled' && { cancelledDate: new Date() })
-      },
-      { new: true }
-    );
+    const order = await Order.findById(id);
 
     if (!order) {
       return res.status(404).json({
@@ -538,6 +886,52 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
+    const { role, store } = await getOrderRole(order, user);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para modificar esta orden'
+      });
+    }
+
+    // Una tienda solo puede cambiar su propio grupo de entrega;
+    // el comprador puede indicar la tienda o aplicar el cambio a toda la orden
+    const targetStore = role === 'store' ? store : storeId;
+
+    // La cancelación también devuelve stock y revierte ventas y compras
+    if (status === 'cancelled') {
+      const cancelledOrder = await cancelOrderGroups(order._id, {
+        changedBy: user._id,
+        role,
+        store: targetStore,
+        reason: note
+      });
+
+      return res.json({
+        success: true,
+        message: 'Estado de orden actualizado',
+        data: cancelledOrder
+      });
+    }
+
+    await order.transitionTo(status, {
+      changedBy: user._id,
+      role,
+      note,
+      store: targetStore,
+      trackingNumber,
+      carrier
+    });
+
+    // Emitir la factura electrónica de cada grupo entregado. Si la emisión
+    // falla, la factura se genera al solicitar su descarga.
+    if (status === 'delivered') {
+      const deliveredGroups = order.fulfillments.filter(group => group.status === 'delivered');
+      for (const group of deliveredGroups) {
+        await generateInvoice(order, group.store).catch(() => null);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Estado de orden actualizado',
@@ -545,6 +939,14 @@ const updateOrderStatus = async (req, res) => {
     });
 
   } catch (error) {
+    // Transición no permitida por la tabla de estados o por el rol
+    if ([403, 404, 409].includes(error.status)) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor',
@@ -652,9 +1054,11 @@ const seedOrders = async (req, res) => {
 
 module.exports = {
   createOrder,
+  checkout,
   getMyOrders,
   getStoreOrders,
   getOrderById,
   updateOrderStatus,
+  cancelOrder,
   seedOrders
 };
@@ -1,6 +1,50 @@
 const Product = require('../models/Product');
 const Store = require('../models/Store');
+const Category = require('../models/Category');
 const mongoose = require('mongoose');
+const productSearch = require('../services/productSearch');
+const suggestIndex = require('../services/suggestIndex');
+const { validateSpecifications } = require('../services/productAttributes');
+const priceTracking = require('../services/priceTracking');
+const inventory = require('../services/inventory');
+const PriceHistory = require('../models/PriceHistory');
+const StockMovement = require('../models/StockMovement');
+
+// Configuración de inventario enviada por la tienda (solo los campos indicados)
+const inventorySettings = (settings = {}) => Object.fromEntries(
+  ['trackInventory', 'lowStockThreshold']
+    .filter(key => settings[key] !== undefined)
+    .map(key => [`settings.${key}`, settings[key]])
+);
+
+// Combinar las variantes enviadas con las guardadas para conservar sus IDs
+// (los carritos y pedidos las referencian): se buscan por _id o, si no
+// traen _id, por SKU; las que no coinciden se crean como variantes nuevas
+const mergeVariants = (current, incoming) => incoming.map(({ _id, ...fields }) => {
+  const sku = fields.sku ? String(fields.sku).trim().toUpperCase() : null;
+  const existing = current.find(variant =>
+    _id ? variant._id.toString() === String(_id) : (sku && variant.sku === sku)
+  );
+
+  return existing
+    ? { ...existing.toObject({ virtuals: false }), ...fields, _id: existing._id }
+    : fields;
+});
+
+// Estados en los que el producto se muestra (o se mostrará) al público; una
+// tienda sin el correo verificado no puede llevar sus productos a ellos
+const PUBLISHING_STATUSES = ['active', 'scheduled'];
+
+const unverifiedPublish = (res) => res.status(403).json({
+  success: false,
+  message: 'Verifica tu correo electrónico para publicar productos'
+});
+
+// Buscar la categoría activa indicada por ID, slug o nombre
+const resolveCategory = async (value) => {
+  const category = await Category.resolve(value);
+  return category && category.isActive ? category : null;
+};
 
 // Obtener lista paginada de productos con filtros
 const getProducts = async (req, res) => {
@@ -18,10 +62,10 @@ const getProducts = async (req, res) => {
       featured
     } = req.query;
 
-    const filter = { isActive: true };
+    const filter = Product.visibleFilter();
     
     if (category) {
-      filter.category = new RegExp(category, 'i');
+      Object.assign(filter, await Category.productFilter(category));
     }
     
     if (minPrice || maxPrice) {
@@ -81,6 +125,46 @@ const getProducts = async (req, res) => {
   }
 };
 
+// Búsqueda con facetas (categoría, tienda, precio, calificación y etiquetas)
+const searchProducts = async (req, res) => {
+  try {
+    const data = await productSearch.searchProducts(req.query);
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Autocompletado por prefijo de productos, categorías, etiquetas y tiendas
+const suggestProducts = async (req, res) => {
+  try {
+    const { q = '', limit = 5 } = req.query;
+
+    const data = await suggestIndex.suggest(String(q), {
+      limit: Math.min(20, Math.max(1, parseInt(limit) || 5))
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
 // Obtener producto por ID
 const getProductById = async (req, res) => {
   try {
@@ -94,7 +178,7 @@ const getProductById = async (req, res) => {
         }
       });
 
-    if (!product || !product.isActive) {
+    if (!product || !product.isVisible()) {
       return res.status(404).json({
         success: false,
         message: 'Producto no encontrado'
@@ -103,9 +187,11 @@ const getProductById = async (req, res) => {
 
     await product.incrementViews();
 
+    const priceInsights = await priceTracking.getPriceInsights(product);
+
     res.json({
       success: true,
-      data: { product }
+      data: { product, priceInsights }
     });
 
   } catch (error) {
@@ -119,39 +205,30 @@ const getProductById = async (req, res) => {
 // Crear producto (solo tiendas)
 const createProduct = async (req, res) => {
   try {
-    // Verificar JWT
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token de autorización requerido'
-      });
-    }
-
-    let userId;
-    try {
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.userId;
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token inválido'
-      });
-    }
+    const userId = req.user._id;
 
     const {
       name,
       description,
       category,
+      categoryId,
+      sku,
+      cabysCode,
       price,
       stock,
       physicalLocation,
       averageShippingTime,
+      weight,
+      dimensions,
       featured = false,
+      status,
+      publishDate,
+      unpublishAt,
       specifications = {},
-      tags = []
+      settings,
+      tags = [],
+      options = [],
+      variants = []
     } = req.body;
 
     // Obtener tienda del usuario
@@ -164,6 +241,36 @@ const createProduct = async (req, res) => {
       });
     }
 
+    if (store.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'La tienda está suspendida y no puede publicar productos'
+      });
+    }
+
+    // Sin correo verificado solo se pueden crear borradores
+    if (!req.user.emailVerified && PUBLISHING_STATUSES.includes(status || 'active')) {
+      return unverifiedPublish(res);
+    }
+
+    const categoryDoc = await resolveCategory(categoryId || category);
+    if (!categoryDoc) {
+      return res.status(400).json({
+        success: false,
+        message: 'Categoría no válida'
+      });
+    }
+
+    // Validar las especificaciones contra los atributos de la categoría
+    const specificationCheck = validateSpecifications(specifications, await Category.getAttributes(categoryDoc));
+    if (specificationCheck.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Especificaciones del producto inválidas',
+        errors: specificationCheck.errors
+      });
+    }
+
     // Manejar imágenes
     let images = [];
     if (req.files && req.files.length > 0) {
@@ -178,18 +285,38 @@ const createProduct = async (req, res) => {
       storeId: store._id,
       name,
       description,
-      category,
+      category: categoryDoc.name.es,
+      categoryId: categoryDoc._id,
+      sku,
+      cabysCode,
       price,
       stock,
       physicalLocation,
       averageShippingTime,
+      weight,
+      dimensions,
       images,
       featured,
-      specifications: new Map(Object.entries(specifications)),
-      tags
+      // Una tienda puede crear el producto como borrador o programado
+      ...(status ? { status } : {}),
+      ...(publishDate ? { publishDate } : {}),
+      ...(unpublishAt ? { unpublishAt } : {}),
+      specifications: new Map(Object.entries(specificationCheck.specifications)),
+      tags,
+      options,
+      variants
     });
+    product.set(inventorySettings(settings));
 
     await product.save();
+    suggestIndex.invalidate();
+
+    // El stock inicial es el primer movimiento del libro de inventario
+    await inventory.recordStockChanges(product, new Map(), {
+      type: 'adjustment',
+      reason: 'Stock inicial',
+      actor: userId
+    });
 
     // Actualizar contador de productos en la tienda
     await Store.findByIdAndUpdate(store._id, {
@@ -203,6 +330,19 @@ const createProduct = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del producto inválidos',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un producto con ese SKU en la tienda'
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor'
@@ -213,27 +353,7 @@ const createProduct = async (req, res) => {
 // Actualizar producto
 const updateProduct = async (req, res) => {
   try {
-    // Verificar JWT
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token de autorización requerido'
-      });
-    }
-
-    let userId;
-    try {
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.userId;
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token inválido'
-      });
-    }
+    const userId = req.user._id;
 
     const productId = req.params.id;
     const updateData = req.body;
@@ -256,28 +376,124 @@ const updateProduct = async (req, res) => {
       });
     }
 
+    let categoryDoc;
+    if (updateData.categoryId || updateData.category) {
+      categoryDoc = await resolveCategory(updateData.categoryId || updateData.category);
+      if (!categoryDoc) {
+        return res.status(400).json({
+          success: false,
+          message: 'Categoría no válida'
+        });
+      }
+    }
+
+    // Revalidar las especificaciones si cambian ellas o la categoría
+    let specifications;
+    if (updateData.specifications !== undefined || categoryDoc) {
+      const attributes = await Category.getAttributes(categoryDoc || product.categoryId);
+      const specificationCheck = validateSpecifications(
+        updateData.specifications !== undefined ? updateData.specifications : product.specifications,
+        attributes
+      );
+      if (specificationCheck.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Especificaciones del producto inválidas',
+          errors: specificationCheck.errors
+        });
+      }
+      specifications = specificationCheck.specifications;
+    }
+
     // Preparar datos de actualización
     const cleanUpdateData = {
       name: updateData.name,
       description: updateData.description,
       price: updateData.price,
-      category: updateData.category,
-      stock: updateData.stock,
+      category: categoryDoc?.name.es,
+      categoryId: categoryDoc?._id,
+      sku: updateData.sku,
+      cabysCode: updateData.cabysCode,
+      // Con variantes el stock se calcula a partir de ellas
+      stock: product.hasVariants || updateData.variants?.length ? undefined : updateData.stock,
       physicalLocation: updateData.physicalLocation,
       averageShippingTime: updateData.averageShippingTime,
-      specifications: updateData.specifications,
-      isActive: updateData.isActive !== undefined ? updateData.isActive : product.isActive
+      weight: updateData.weight,
+      dimensions: updateData.dimensions,
+      specifications,
+      ...inventorySettings(updateData.settings)
     };
 
+    // isActive (API anterior) activa o pausa el producto según su ciclo de vida
+    const nextStatus = updateData.isActive !== undefined
+      ? (updateData.isActive ? 'active' : 'paused')
+      : product.status;
+    if (nextStatus !== product.status && !Product.PRODUCT_TRANSITIONS[product.status].includes(nextStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: `No se puede cambiar el producto de ${product.status} a ${nextStatus}`
+      });
+    }
+    if (nextStatus !== product.status && PUBLISHING_STATUSES.includes(nextStatus) && !req.user.emailVerified) {
+      return unverifiedPublish(res);
+    }
+
     if (updateData.images && Array.isArray(updateData.images)) {
       cleanUpdateData.images = updateData.images;
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
-      cleanUpdateData,
-      { new: true, runValidators: true }
-    );
+    let updatedProduct;
+    let stockMovements = [];
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        // El stock anterior se lee en la misma transacción que la edición para
+        // que una venta simultánea no quede registrada como ajuste
+        const current = await Product.findById(productId).session(session);
+        const previousStock = inventory.snapshotStock(current);
+
+        if (updateData.options !== undefined || updateData.variants !== undefined) {
+          // Las variantes se guardan con save() para validar las combinaciones y sumar el stock
+          updatedProduct = current;
+          Object.entries(cleanUpdateData).forEach(([key, value]) => {
+            if (value !== undefined) updatedProduct.set(key, value);
+          });
+          if (updateData.options !== undefined) updatedProduct.options = updateData.options;
+          if (updateData.variants !== undefined) {
+            updatedProduct.variants = Array.isArray(updateData.variants)
+              ? mergeVariants(updatedProduct.variants, updateData.variants)
+              : updateData.variants;
+          }
+          await updatedProduct.save({ session });
+        } else {
+          updatedProduct = await Product.findByIdAndUpdate(
+            productId,
+            cleanUpdateData,
+            { new: true, runValidators: true, session }
+          );
+        }
+
+        if (nextStatus !== updatedProduct.status) {
+          await updatedProduct.transitionTo(nextStatus);
+        }
+
+        // Los cambios de stock hechos a mano quedan en el libro como ajustes
+        stockMovements = await inventory.recordStockChanges(updatedProduct, previousStock, {
+          type: 'adjustment',
+          reason: updateData.stockReason || 'Edición del producto',
+          actor: userId
+        }, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    // Los avisos de stock bajo y de bajada de precio se envían una vez confirmada la edición
+    inventory.notifyLowStock(stockMovements).catch(() => {});
+    priceTracking.notifyPendingPriceDrops(updatedProduct);
+
+    suggestIndex.invalidate();
 
     res.json({
       success: true,
@@ -286,6 +502,19 @@ const updateProduct = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del producto inválidos',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya existe un producto con ese SKU en la tienda'
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor',
@@ -297,27 +526,7 @@ const updateProduct = async (req, res) => {
 // Eliminar producto
 const deleteProduct = async (req, res) => {
   try {
-    // Verificar JWT
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token de autorización requerido'
-      });
-    }
-
-    let userId;
-    try {
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      userId = decoded.userId;
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token inválido'
-      });
-    }
+    const userId = req.user._id;
 
     const productId = req.params.id;
 
@@ -337,12 +546,19 @@ const deleteProduct = async (req, res) => {
       });
     }
 
-    // Marcar como inactivo en lugar de eliminar
-    await Product.findByIdAndUpdate(productId, { isActive: false });
+    // Archivar en lugar de eliminar; el contador de la tienda solo baja la
+    // primera vez (un producto ya archivado no se vuelve a descontar)
+    const { modifiedCount } = await Product.updateOne(
+      { _id: productId, status: { $ne: 'archived' } },
+      { status: 'archived', isActive: false }
+    );
 
-    await Store.findByIdAndUpdate(product.storeId._id, {
-      $inc: { totalProducts: -1 }
-    });
+    if (modifiedCount > 0) {
+      suggestIndex.invalidate();
+      await Store.findByIdAndUpdate(product.storeId._id, {
+        $inc: { totalProducts: -1 }
+      });
+    }
 
     res.json({
       success: true,
@@ -378,10 +594,10 @@ const getStoreProducts = async (req, res) => {
       });
     }
 
-    const filter = { storeId, isActive: true };
+    const filter = { storeId, ...Product.visibleFilter() };
     
     if (category) {
-      filter.category = new RegExp(category, 'i');
+      Object.assign(filter, await Category.productFilter(category));
     }
     
     if (featured !== undefined) {
@@ -423,12 +639,16 @@ const getStoreProducts = async (req, res) => {
 // Obtener categorías disponibles
 const getCategories = async (req, res) => {
   try {
-    const categories = await Product.distinct('category', { isActive: true });
+    const [categories, tree] = await Promise.all([
+      Product.distinct('category', Product.visibleFilter()),
+      Category.getTree()
+    ]);
     
     res.json({
       success: true,
       data: {
-        categories: categories.sort()
+        categories: categories.sort(),
+        tree
       }
     });
 
@@ -457,8 +677,8 @@ const getRelatedProducts = async (req, res) => {
     // Buscar productos relacionados por categoría
     const relatedProducts = await Product.find({
       _id: { $ne: id },
-      category: product.category,
-      isActive: true
+      ...(product.categoryId ? { categoryId: product.categoryId } : { category: product.category }),
+      ...Product.visibleFilter()
     })
     .populate('storeId', 'userId description rating')
     .limit(parseInt(limit))
@@ -477,13 +697,366 @@ const getRelatedProducts = async (req, res) => {
   }
 };
 
+// Obtener el historial de precios de un producto (o de una variante) para gráficos
+const getPriceHistory = async (req, res) => {
+  try {
+    const { days = 90, variantId } = req.query;
+
+    const product = await Product.findById(req.params.id).select('price sku variants hasVariants isActive storeSuspended unpublishAt');
+    if (!product || !product.isVisible()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const variant = variantId ? product.getVariant(variantId) : null;
+    if (variantId && !variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variante no encontrada'
+      });
+    }
+
+    // Las variantes sin precio propio siguen el historial del producto
+    const ownPrice = variant && variant.price !== undefined && variant.price !== null;
+    const periodDays = Math.min(Math.max(parseInt(days) || 90, 1), 365);
+    const since = new Date(Date.now() - periodDays * 24 * 60 * 60 * 1000);
+
+    const [history, insights] = await Promise.all([
+      PriceHistory.getHistory(product._id, { variantId: ownPrice ? variant._id : null, since })
+        .select('price previousPrice changedAt'),
+      priceTracking.getPriceInsights(product, variant?._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        productId: product._id,
+        variantId: variant?._id || null,
+        days: periodDays,
+        history,
+        ...insights
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Obtener los productos de la tienda del usuario en cualquier estado
+const getMyProducts = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const { page = 1, limit = 20, status } = req.query;
+
+    const store = await Store.findOne({ userId });
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Perfil de tienda no encontrado. El usuario debe ser una tienda.'
+      });
+    }
+
+    const filter = { storeId: store._id };
+    if (status) {
+      // Los productos anteriores al ciclo de vida solo tienen isActive
+      filter.$or = [{ status }];
+      if (['active', 'paused'].includes(status)) {
+        filter.$or.push({ status: { $exists: false }, isActive: status === 'active' });
+      }
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        products,
+        pagination: {
+          total,
+          page: parseInt(page),
+          pages: Math.ceil(total / limit),
+          limit: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Obtener una página del libro de inventario de un producto y su conciliación
+const getStockMovements = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const { page = 1, limit = 20, variantId, type } = req.query;
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const store = await Store.findOne({ userId });
+    if (!store || !product.storeId.equals(store._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver el inventario de este producto'
+      });
+    }
+
+    const filter = { product: product._id };
+    if (variantId) filter.variant = variantId;
+    if (type) filter.type = type;
+
+    const [movements, total, reconciliation] = await Promise.all([
+      StockMovement.find(filter)
+        .populate('actor', 'fullName')
+        .populate('order', 'orderNumber')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      StockMovement.countDocuments(filter),
+      inventory.reconcile(product)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        reconciliation,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Ajustar el stock a mano (entrada o salida de unidades) con su motivo
+const adjustStock = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const { variantId, reason } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'La cantidad debe ser un entero distinto de cero'
+      });
+    }
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe indicar el motivo del ajuste'
+      });
+    }
+    if (reason.trim().length > StockMovement.REASON_MAX_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `El motivo no puede exceder ${StockMovement.REASON_MAX_LENGTH} caracteres`
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const store = await Store.findOne({ userId });
+    if (!store || !product.storeId.equals(store._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para actualizar este producto'
+      });
+    }
+
+    if (product.hasVariants && !(variantId && product.variants.id(variantId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe indicar una variante del producto'
+      });
+    }
+
+    // Se aplica de forma atómica y sin dejar el stock en negativo
+    const variant = product.hasVariants ? variantId : null;
+    const filter = variant
+      ? { _id: product._id, variants: { $elemMatch: { _id: variant, stock: { $gte: -quantity } } } }
+      : { _id: product._id, stock: { $gte: -quantity } };
+
+    // El stock y su movimiento se guardan juntos para que el libro no se descuadre
+    let movement;
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        movement = null;
+        const updated = await Product.findOneAndUpdate(
+          filter,
+          { $inc: Product.stockIncrement(quantity, variant) },
+          { new: true, session }
+        );
+        if (!updated) return;
+
+        movement = await inventory.recordMovement(updated, {
+          variant,
+          type: 'adjustment',
+          quantity,
+          reason: reason.trim(),
+          actor: userId
+        }, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!movement) {
+      return res.status(409).json({
+        success: false,
+        message: 'El ajuste dejaría el stock en negativo'
+      });
+    }
+
+    inventory.notifyLowStock([movement]).catch(() => {});
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock ajustado exitosamente',
+      data: { movement, stock: movement.balanceAfter }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del ajuste inválidos',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor'
+    });
+  }
+};
+
+// Cambiar el estado del ciclo de vida (publicar, programar, pausar, archivar...)
+const updateProductStatus = async (req, res) => {
+  try {
+    const userId = req.user._id;
+
+    const { status, publishDate, unpublishAt } = req.body;
+
+    if (!Product.PRODUCT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Estado no válido. Use uno de: ${Product.PRODUCT_STATUSES.join(', ')}`
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const store = await Store.findOne({ userId });
+    if (!store || !product.storeId.equals(store._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para actualizar este producto'
+      });
+    }
+
+    if (status !== product.status && PUBLISHING_STATUSES.includes(status) && !req.user.emailVerified) {
+      return unverifiedPublish(res);
+    }
+
+    const wasArchived = product.status === 'archived';
+    await product.transitionTo(status, { publishDate, unpublishAt });
+    suggestIndex.invalidate();
+
+    // Archivar o restaurar ajusta el contador de productos de la tienda
+    if (wasArchived !== (product.status === 'archived')) {
+      await Store.findByIdAndUpdate(store._id, {
+        $inc: { totalProducts: wasArchived ? 1 : -1 }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: product.status === 'scheduled'
+        ? 'Producto programado exitosamente'
+        : 'Estado del producto actualizado exitosamente',
+      data: { product }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos del producto inválidos',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error interno del servidor'
+    });
+  }
+};
+
 module.exports = {
   getProducts,
+  searchProducts,
+  suggestProducts,
   getProductById,
   createProduct,
   updateProduct,
   deleteProduct,
   getStoreProducts,
   getCategories,
-  getRelatedProducts
+  getRelatedProducts,
+  getPriceHistory,
+  getMyProducts,
+  updateProductStatus,
+  getStockMovements,
+  adjustStock
 };
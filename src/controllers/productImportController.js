@@ -0,0 +1,118 @@
+const ProductImportJob = require('../models/ProductImportJob');
+const productImport = require('../services/productImport');
+
+// Responder errores de validación o del servidor
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+// La tienda del usuario (req.store) la carga requireStoreOwner en storeRoutes
+
+// Importar productos desde un archivo CSV o XLSX (en segundo plano)
+const importProducts = async (req, res) => {
+  try {
+    const { user, store } = req;
+
+    if (store.isSuspended) {
+      return res.status(403).json({
+        success: false,
+        message: 'La tienda está suspendida y no puede publicar productos'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Archivo requerido (campo "file")'
+      });
+    }
+
+    const dryRun = ['true', '1'].includes(String(req.body.dryRun ?? req.query.dryRun));
+
+    // La validación sin guardar no publica nada, así que no exige el correo verificado
+    if (!dryRun && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Verifica tu correo electrónico para importar productos'
+      });
+    }
+    const job = await productImport.startImport({ store, user, file: req.file, dryRun });
+
+    res.status(202).json({
+      success: true,
+      message: dryRun
+        ? 'Validación de productos iniciada'
+        : 'Importación de productos iniciada',
+      data: { job }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al importar productos');
+  }
+};
+
+// Listar los trabajos de importación recientes de la tienda
+const getImportJobs = async (req, res) => {
+  try {
+    const { store } = req;
+
+    const jobs = await ProductImportJob.find({ storeId: store._id })
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({
+      success: true,
+      data: { jobs }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al obtener importaciones');
+  }
+};
+
+// Obtener el avance y el reporte de errores de un trabajo de importación
+const getImportJob = async (req, res) => {
+  try {
+    const { store } = req;
+
+    const job = await ProductImportJob.findOne({ _id: req.params.jobId, storeId: store._id });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Importación no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error al obtener la importación');
+  }
+};
+
+// Exportar los productos de la tienda en el mismo formato de importación
+const exportProducts = async (req, res) => {
+  try {
+    const { store } = req;
+
+    const { buffer, contentType, fileName } = await productImport.exportProducts(store, req.query.format || 'csv');
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    sendError(res, error, 'Error al exportar productos');
+  }
+};
+
+module.exports = {
+  importProducts,
+  getImportJobs,
+  getImportJob,
+  exportProducts
+};
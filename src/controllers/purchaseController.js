@@ -1,31 +1,12 @@
-const jwt = require('jsonwebtoken');
 const Purchase = require('../models/Purchase');
-const User = require('../models/User');
-
-// Verificar token y obtener usuario
-const verifyToken = async (req) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      throw new Error('Token no proporcionado');
-    }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      throw new Error('Usuario no encontrado');
-    }
-    
-    return user;
-  } catch (error) {
-    throw new Error('Token inválido o usuario no encontrado');
-  }
-};
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const { generateInvoice } = require('../services/invoicing');
 
 // Obtener todas las compras del usuario
 const getMyPurchases = async (req, res) => {
   try {
-    const user = await verifyToken(req);
+    const { user } = req;
     
     const { page = 1, limit = 10, status } = req.query;
     
@@ -63,14 +44,6 @@ const getMyPurchases = async (req, res) => {
     });
 
   } catch (error) {
-    
-    if (error.message.includes('Token') || error.message.includes('Usuario')) {
-      return res.status(401).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor',
@@ -82,7 +55,7 @@ const getMyPurchases = async (req, res) => {
 // Obtener detalles de una compra específica
 const getPurchaseDetails = async (req, res) => {
   try {
-    const user = await verifyToken(req);
+    const { user } = req;
     const { id } = req.params;
 
     const purchase = await Purchase.findOne({
@@ -101,20 +74,21 @@ const getPurchaseDetails = async (req, res) => {
       });
     }
 
+    // Resumen de la factura electrónica, si ya fue emitida
+    const invoice = await Invoice.findOne({
+      order: purchase.order._id,
+      store: purchase.store._id
+    }).select('clave consecutivo status issueDate total');
+
     res.json({
       success: true,
-      data: purchase
+      data: {
+        ...purchase.toObject(),
+        invoice
+      }
     });
 
   } catch (error) {
-    
-    if (error.message.includes('Token') || error.message.includes('Usuario')) {
-      return res.status(401).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor',
@@ -126,7 +100,7 @@ const getPurchaseDetails = async (req, res) => {
 // Obtener estadísticas de compras del usuario
 const getPurchaseStats = async (req, res) => {
   try {
-    const user = await verifyToken(req);
+    const { user } = req;
 
     const stats = await Purchase.aggregate([
       { $match: { buyer: user._id } },
@@ -182,14 +156,54 @@ const getPurchaseStats = async (req, res) => {
     });
 
   } catch (error) {
-    
-    if (error.message.includes('Token') || error.message.includes('Usuario')) {
-      return res.status(401).json({
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+};
+
+// Descargar la factura electrónica (XML) de una compra
+const getPurchaseInvoice = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const purchase = await Purchase.findOne({
+      _id: req.params.id,
+      buyer: user._id
+    });
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada'
+      });
+    }
+
+    const order = await Order.findById(purchase.order);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Orden no encontrada'
+      });
+    }
+
+    const invoice = await generateInvoice(order, purchase.store);
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${invoice.clave}.xml"`);
+    res.send(invoice.getDocument());
+
+  } catch (error) {
+    // Factura aún no disponible para esta orden
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({
         success: false,
         message: error.message
       });
     }
-    
+
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor',
@@ -201,5 +215,6 @@ const getPurchaseStats = async (req, res) => {
 module.exports = {
   getMyPurchases,
   getPurchaseDetails,
-  getPurchaseStats
+  getPurchaseStats,
+  getPurchaseInvoice
 };
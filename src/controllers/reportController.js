@@ -58,11 +58,8 @@ const createReport = async (req, res) => {
       });
     }
 
-    // ID ficticio para testing (sin auth)
-    const reporterId = '507f1f77bcf86cd799439011';
-
     const report = new Report({
-      reporterId: reporterId,
+      reporterId: req.user._id,
       reportType,
       reportedItemId,
       reportTypeModel,
@@ -187,7 +184,7 @@ const assignModerator = async (req, res) => {
     const { moderatorId } = req.body;
     
     const moderator = await User.findById(moderatorId);
-    if (!moderator || moderator.role !== 'admin') {
+    if (!moderator || !moderator.hasRole('moderator')) {
       return res.status(400).json({
         success: false,
         message: 'Moderador inválido'
@@ -240,7 +237,7 @@ const addModeratorAction = async (req, res) => {
       });
     }
 
-    await report.addModeratorAction(action, description, req.user.id);
+    await report.addModeratorAction(action, description, req.user._id);
 
     await report.populate([
       { path: 'moderatorActions.moderatorId', select: 'name email' },
@@ -278,11 +275,11 @@ const resolveReport = async (req, res) => {
     report.resolution = {
       outcome,
       description,
-      resolvedBy: req.user.id,
+      resolvedBy: req.user._id,
       resolvedAt: new Date()
     };
 
-    await report.addModeratorAction('resolved', description, req.user.id);
+    await report.addModeratorAction('resolved', description, req.user._id);
 
     res.json({
       success: true,
@@ -0,0 +1,556 @@
+const mongoose = require('mongoose');
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const Purchase = require('../models/Purchase');
+const Sale = require('../models/Sale');
+const Notification = require('../models/Notification');
+const inventory = require('../services/inventory');
+
+// Responder errores de estado y generales
+const sendError = (res, error) => {
+  if ([403, 404, 409].includes(error.status)) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Error interno del servidor',
+    error: error.message
+  });
+};
+
+// Notificar a la otra parte sobre un cambio en la devolución
+const notify = (userId, returnRequest, title, message) => {
+  return Notification.createNotification({
+    userId,
+    type: 'return',
+    title,
+    message,
+    data: { returnId: returnRequest._id, orderId: returnRequest.order },
+    actionUrl: `/returns/${returnRequest._id}`,
+    relatedId: returnRequest._id,
+    relatedType: 'ReturnRequest'
+  });
+};
+
+// Obtener la devolución y verificar que el usuario sea dueño de la tienda
+const findStoreReturn = async (returnId, user) => {
+  const store = await Store.findOne({ userId: user._id });
+  const returnRequest = await ReturnRequest.findById(returnId);
+
+  if (!returnRequest) {
+    const error = new Error('Devolución no encontrada');
+    error.status = 404;
+    throw error;
+  }
+
+  if (!store || !returnRequest.store.equals(store._id)) {
+    const error = new Error('No tienes permisos para gestionar esta devolución');
+    error.status = 403;
+    throw error;
+  }
+
+  return returnRequest;
+};
+
+// Solicitar devolución de items de una orden entregada
+const createReturn = async (req, res) => {
+  try {
+    const { user } = req;
+    const { orderId, items, reason, description } = req.body;
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe indicar al menos un producto a devolver'
+      });
+    }
+
+    // URLs de las fotos de evidencia
+    const evidence = Array.isArray(req.body.evidence) ? req.body.evidence : [];
+
+    if (evidence.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe adjuntar al menos una foto como evidencia'
+      });
+    }
+
+    const order = await Order.findOne({ _id: orderId, buyer: user._id });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Orden no encontrada'
+      });
+    }
+
+    order.ensureFulfillments();
+
+    // Devoluciones previas que aún cuentan contra las cantidades compradas
+    const previousReturns = await ReturnRequest.find({
+      order: order._id,
+      status: { $ne: 'rejected' }
+    });
+
+    // Un mismo producto puede venir en varias líneas; se valida la cantidad total
+    const returnItems = [];
+    for (const requested of items) {
+      // Si la orden tiene varias variantes del producto hay que indicar cuál
+      const productLines = order.items.filter(item => item.product.toString() === String(requested.product));
+      if (!requested.variant && productLines.length > 1) {
+        return res.status(400).json({
+          success: false,
+          message: `Debe indicar la variante a devolver del producto ${requested.product}`
+        });
+      }
+
+      const orderItem = productLines.find(item =>
+        !requested.variant || String(item.variant) === String(requested.variant)
+      );
+      if (!orderItem) {
+        return res.status(400).json({
+          success: false,
+          message: `El producto ${requested.product} no pertenece a esta orden`
+        });
+      }
+
+      const fulfillment = order.getFulfillment(orderItem.store);
+      if (!fulfillment || fulfillment.status !== 'delivered') {
+        return res.status(409).json({
+          success: false,
+          message: 'Solo se pueden devolver productos entregados'
+        });
+      }
+
+      const quantity = parseInt(requested.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: `Cantidad a devolver inválida para el producto ${orderItem.product}`
+        });
+      }
+
+      const existing = returnItems.find(item => item.orderItem === orderItem);
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        returnItems.push({
+          orderItem,
+          product: orderItem.product,
+          variant: orderItem.variant,
+          store: orderItem.store,
+          quantity,
+          unitPrice: orderItem.price
+        });
+      }
+    }
+
+    for (const { orderItem, quantity } of returnItems) {
+      const alreadyReturned = previousReturns.reduce((sum, previous) =>
+        sum + previous.items
+          .filter(item =>
+            item.product.equals(orderItem.product) &&
+            String(item.variant || '') === String(orderItem.variant || '')
+          )
+          .reduce((total, item) => total + item.quantity, 0), 0);
+
+      if (quantity > orderItem.quantity - alreadyReturned) {
+        return res.status(400).json({
+          success: false,
+          message: `Cantidad a devolver inválida para el producto ${orderItem.product}`
+        });
+      }
+    }
+
+    // Cada devolución se gestiona con una sola tienda
+    const storeId = returnItems[0].store;
+    if (returnItems.some(item => !item.store.equals(storeId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Los productos de una devolución deben pertenecer a la misma tienda'
+      });
+    }
+
+    const returnRequest = new ReturnRequest({
+      order: order._id,
+      buyer: user._id,
+      store: storeId,
+      items: returnItems.map(({ product, variant, quantity, unitPrice }) => ({ product, variant, quantity, unitPrice })),
+      reason,
+      description,
+      evidence
+    });
+
+    await returnRequest.save();
+
+    const store = await Store.findById(storeId);
+    await notify(
+      store.userId,
+      returnRequest,
+      'Nueva solicitud de devolución',
+      `El pedido ${order.orderNumber} tiene una solicitud de devolución (${returnRequest.returnNumber})`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Solicitud de devolución creada exitosamente',
+      data: returnRequest
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    sendError(res, error);
+  }
+};
+
+// Obtener devoluciones del comprador
+const getMyReturns = async (req, res) => {
+  try {
+    const { user } = req;
+    const { page = 1, limit = 10, status } = req.query;
+
+    const filters = { buyer: user._id };
+    if (status) {
+      filters.status = status;
+    }
+
+    const returns = await ReturnRequest.find(filters)
+      .populate([
+        { path: 'items.product', select: 'name images' },
+        { path: 'order', select: 'orderNumber' }
+      ])
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ReturnRequest.countDocuments(filters);
+
+    res.json({
+      success: true,
+      data: {
+        returns,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Obtener devoluciones recibidas por la tienda del usuario
+const getStoreReturns = async (req, res) => {
+  try {
+    const { user } = req;
+    const { page = 1, limit = 10, status } = req.query;
+
+    const store = await Store.findOne({ userId: user._id });
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Perfil de tienda no encontrado'
+      });
+    }
+
+    const filters = { store: store._id };
+    if (status) {
+      filters.status = status;
+    }
+
+    const returns = await ReturnRequest.find(filters)
+      .populate([
+        { path: 'items.product', select: 'name images' },
+        { path: 'order', select: 'orderNumber' },
+        { path: 'buyer', select: 'fullName email' }
+      ])
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ReturnRequest.countDocuments(filters);
+
+    res.json({
+      success: true,
+      data: {
+        returns,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Obtener detalles de una devolución (comprador o tienda)
+const getReturnById = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate([
+        { path: 'items.product', select: 'name images price' },
+        { path: 'order', select: 'orderNumber' },
+        { path: 'buyer', select: 'fullName email' }
+      ]);
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Devolución no encontrada'
+      });
+    }
+
+    const store = await Store.findOne({ userId: user._id });
+    const isBuyer = returnRequest.buyer._id.equals(user._id);
+    const isStore = store && returnRequest.store.equals(store._id);
+
+    if (!isBuyer && !isStore) {
+      return res.status(403).json({
+        success: false,
+        message: 'No tienes permisos para ver esta devolución'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Aprobar una devolución (tienda)
+const approveReturn = async (req, res) => {
+  try {
+    const { user } = req;
+    const returnRequest = await findStoreReturn(req.params.id, user);
+
+    returnRequest.storeNote = req.body.note;
+    await returnRequest.transitionTo('approved', { changedBy: user._id, note: req.body.note });
+
+    await notify(
+      returnRequest.buyer,
+      returnRequest,
+      'Devolución aprobada',
+      `Tu devolución ${returnRequest.returnNumber} fue aprobada. Envía el producto a la tienda`
+    );
+
+    res.json({
+      success: true,
+      message: 'Devolución aprobada',
+      data: returnRequest
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Rechazar una devolución (tienda)
+const rejectReturn = async (req, res) => {
+  try {
+    const { user } = req;
+    const { note } = req.body;
+
+    if (!note || !note.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe indicar el motivo del rechazo'
+      });
+    }
+
+    const returnRequest = await findStoreReturn(req.params.id, user);
+
+    returnRequest.storeNote = note.trim();
+    await returnRequest.transitionTo('rejected', { changedBy: user._id, note: note.trim() });
+
+    await notify(
+      returnRequest.buyer,
+      returnRequest,
+      'Devolución rechazada',
+      `Tu devolución ${returnRequest.returnNumber} fue rechazada: ${note.trim()}`
+    );
+
+    res.json({
+      success: true,
+      message: 'Devolución rechazada',
+      data: returnRequest
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Registrar el envío del producto de regreso a la tienda (comprador)
+const shipReturn = async (req, res) => {
+  try {
+    const { user } = req;
+    const { trackingNumber, carrier } = req.body;
+
+    if (!trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Número de seguimiento es requerido'
+      });
+    }
+
+    const returnRequest = await ReturnRequest.findOne({ _id: req.params.id, buyer: user._id });
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Devolución no encontrada'
+      });
+    }
+
+    returnRequest.returnShipping = {
+      trackingNumber,
+      carrier,
+      shippedDate: new Date()
+    };
+    await returnRequest.transitionTo('shipped_back', { changedBy: user._id });
+
+    const store = await Store.findById(returnRequest.store);
+    await notify(
+      store.userId,
+      returnRequest,
+      'Devolución en camino',
+      `El comprador envió la devolución ${returnRequest.returnNumber} (guía ${trackingNumber})`
+    );
+
+    res.json({
+      success: true,
+      message: 'Envío de devolución registrado',
+      data: returnRequest
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Confirmar recepción del producto devuelto y procesar el reembolso (tienda)
+const receiveReturn = async (req, res) => {
+  try {
+    const { user } = req;
+    const restock = req.body.restock === true || req.body.restock === 'true';
+
+    // Verificar permisos antes de abrir la transacción
+    await findStoreReturn(req.params.id, user);
+
+    const session = await mongoose.startSession();
+    let returnRequest;
+
+    try {
+      await session.withTransaction(async () => {
+        returnRequest = await ReturnRequest.findById(req.params.id).session(session);
+
+        let refundAmount = 0;
+        for (const item of returnRequest.items) {
+          const lineFilter = {
+            order: returnRequest.order,
+            store: returnRequest.store,
+            product: item.product,
+            variant: item.variant || null,
+            status: 'completed'
+          };
+          const reason = `Devolución ${returnRequest.returnNumber}`;
+
+          const sale = await Sale.findOne(lineFilter).session(session);
+          if (!sale) {
+            const error = new Error(`No se encontró la venta pendiente de reembolso del producto ${item.product}`);
+            error.status = 409;
+            throw error;
+          }
+
+          // Se reembolsa la parte proporcional de lo cobrado, IVA incluido
+          item.refundAmount = sale.refundableAmount(item.quantity);
+          refundAmount += item.refundAmount;
+          await sale.processRefund(item.refundAmount, reason, item.quantity);
+
+          const purchase = await Purchase.findOne(lineFilter).session(session);
+          if (purchase) {
+            purchase.recordReturn(item.quantity, reason);
+            await purchase.save({ session });
+          }
+
+          if (restock) {
+            const product = await Product.restoreStock(item.product, item.quantity, item.variant, {
+              session,
+              salesCount: -item.quantity
+            });
+            if (product) {
+              await inventory.recordMovement(product, {
+                variant: item.variant,
+                type: 'return',
+                quantity: item.quantity,
+                reason,
+                actor: user._id,
+                order: returnRequest.order
+              }, { session });
+            }
+          }
+        }
+
+        returnRequest.refundAmount = Math.round(refundAmount * 100) / 100;
+        returnRequest.restocked = restock;
+        returnRequest.receivedDate = new Date();
+        returnRequest.refundDate = new Date();
+        await returnRequest.transitionTo('refunded', { changedBy: user._id, note: req.body.note });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await notify(
+      returnRequest.buyer,
+      returnRequest,
+      'Reembolso procesado',
+      `La tienda recibió la devolución ${returnRequest.returnNumber} y reembolsó ₡${returnRequest.refundAmount.toLocaleString('es-CR')}`
+    );
+
+    res.json({
+      success: true,
+      message: 'Devolución recibida y reembolso procesado',
+      data: returnRequest
+    });
+
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+module.exports = {
+  createReturn,
+  getMyReturns,
+  getStoreReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  shipReturn,
+  receiveReturn
+};
@@ -1,34 +1,15 @@
 
 
-const jwt = require('jsonwebtoken');
 const Sale = require('../models/Sale');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
 const Store = require('../models/Store');
-const User = require('../models/User');
-
-// Verificar token y obtener usuario
-const verifyToken = async (req) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
-      throw new Error('Token no proporcionado');
-    }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      throw new Error('Usuario no encontrado');
-    }
-    
-    return user;
-  } catch (error) {
-    throw new Error('Token inválido o usuario no encontrado');
-  }
-};
+const { generateInvoice } = require('../services/invoicing');
 
 // Obtener todas las ventas de las tiendas del usuario
 const getMySales = async (req, res) => {
   try {
-    const user = await verifyToken(req);
+    const { user } = req;
     
     const { page = 1, limit = 10, status, storeId } = req.query;
     
@@ -71,14 +52,6 @@ const getMySales = async (req, res) => {
     });
 
   } catch (error) {
-    
-    if (error.message.includes('Token') || error.message.includes('Usuario')) {
-      return res.status(401).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor',
@@ -90,7 +63,7 @@ const getMySales = async (req, res) => {
 // Obtener detalles de una venta específica
 const getSaleDetails = async (req, res) => {
   try {
-    const user = await verifyToken(req);
+    const { user } = req;
     const { id } = req.params;
 
     const sale = await Sale.findOne({
@@ -110,20 +83,21 @@ const getSaleDetails = async (req, res) => {
       });
     }
 
+    // Resumen de la factura electrónica, si ya fue emitida
+    const invoice = await Invoice.findOne({
+      order: sale.order._id,
+      store: sale.store._id
+    }).select('clave consecutivo status issueDate total');
+
     res.json({
       success: true,
-      data: sale
+      data: {
+        ...sale.toObject(),
+        invoice
+      }
     });
 
   } catch (error) {
-    
-    if (error.message.includes('Token') || error.message.includes('Usuario')) {
-      return res.status(401).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor',
@@ -135,7 +109,7 @@ const getSaleDetails = async (req, res) => {
 // Obtener estadísticas de ventas del usuario
 const getSalesStats = async (req, res) => {
   try {
-    const user = await verifyToken(req);
+    const { user } = req;
 
     const stats = await Sale.aggregate([
       { $match: { seller: user._id } },
@@ -146,6 +120,9 @@ const getSalesStats = async (req, res) => {
           totalRevenue: { $sum: '$totalAmount' },
           totalNetRevenue: { $sum: '$netAmount' },
           totalCommission: { $sum: '$platformCommission' },
+          // IVA cobrado, separado del ingreso (totalAmount no incluye impuesto)
+          totalTaxCollected: { $sum: '$taxAmount' },
+          totalTaxExempted: { $sum: '$taxExemptAmount' },
           totalQuantity: { $sum: '$quantity' },
           avgSaleAmount: { $avg: '$totalAmount' }
         }
@@ -173,13 +150,28 @@ const getSalesStats = async (req, res) => {
           },
           count: { $sum: 1 },
           revenue: { $sum: '$totalAmount' },
-          netRevenue: { $sum: '$netAmount' }
+          netRevenue: { $sum: '$netAmount' },
+          taxCollected: { $sum: '$taxAmount' }
         }
       },
       { $sort: { '_id.year': -1, '_id.month': -1 } },
       { $limit: 12 }
     ]);
 
+    // IVA cobrado por tarifa
+    const taxByRate = await Sale.aggregate([
+      { $match: { seller: user._id, status: { $ne: 'cancelled' } } },
+      {
+        $group: {
+          _id: '$taxRate',
+          taxableAmount: { $sum: '$totalAmount' },
+          taxCollected: { $sum: '$taxAmount' },
+          taxExempted: { $sum: '$taxExemptAmount' }
+        }
+      },
+      { $sort: { _id: -1 } }
+    ]);
+
     const topProducts = await Sale.aggregate([
       { $match: { seller: user._id } },
       {
@@ -217,24 +209,67 @@ const getSalesStats = async (req, res) => {
           totalRevenue: 0,
           totalNetRevenue: 0,
           totalCommission: 0,
+          totalTaxCollected: 0,
+          totalTaxExempted: 0,
           totalQuantity: 0,
           avgSaleAmount: 0
         },
         byStatus: statusStats,
         monthly: monthlyStats,
+        taxByRate,
         topProducts: topProducts
       }
     });
 
   } catch (error) {
-    
-    if (error.message.includes('Token') || error.message.includes('Usuario')) {
-      return res.status(401).json({
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: error.message
+    });
+  }
+};
+
+// Descargar la factura electrónica (XML) de una venta
+const getSaleInvoice = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const sale = await Sale.findOne({
+      _id: req.params.id,
+      seller: user._id
+    });
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venta no encontrada'
+      });
+    }
+
+    const order = await Order.findById(sale.order);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Orden no encontrada'
+      });
+    }
+
+    const invoice = await generateInvoice(order, sale.store);
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${invoice.clave}.xml"`);
+    res.send(invoice.getDocument());
+
+  } catch (error) {
+    // Factura aún no disponible para esta orden
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({
         success: false,
         message: error.message
       });
     }
-    
+
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor',
@@ -246,5 +281,6 @@ const getSalesStats = async (req, res) => {
 module.exports = {
   getMySales,
   getSaleDetails,
-  getSalesStats
+  getSalesStats,
+  getSaleInvoice
 };
@@ -0,0 +1,192 @@
+const Store = require('../models/Store');
+const Cart = require('../models/Cart');
+const shippingConfig = require('../config/shippingRates');
+const { quoteShipping, validateShippingAddress } = require('../services/shippingCalculator');
+const { resolveAddress } = require('../services/locations');
+const { priceItems } = require('../services/orderPricing');
+
+// Responder errores de la petición o del servidor
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+// Las cotizaciones con la libreta o el carrito necesitan un usuario autenticado
+const authRequired = () => Object.assign(new Error('Token de acceso requerido'), { status: 401 });
+
+// Cotizar envío por tienda para los items indicados o el carrito del usuario
+const quoteShippingOptions = async (req, res) => {
+  try {
+    const { items, addressId } = req.body;
+
+    // Se puede cotizar con una dirección de la libreta del usuario
+    let requestedAddress = req.body.address;
+    if (addressId) {
+      const { user } = req;
+      if (!user) throw authRequired();
+      const saved = user.addresses.id(addressId);
+      if (!saved) {
+        return res.status(404).json({
+          success: false,
+          message: 'Dirección guardada no encontrada'
+        });
+      }
+      requestedAddress = saved.toObject();
+    }
+
+    // Normalizar la dirección con los nombres oficiales; el distrito es opcional
+    const { error: locationError, address } = resolveAddress(requestedAddress, { requireDistrito: false });
+    const addressError = locationError || validateShippingAddress(address);
+    if (addressError) {
+      return res.status(400).json({
+        success: false,
+        message: addressError
+      });
+    }
+
+    // Sin items explícitos se cotiza el carrito del usuario autenticado
+    let requestedItems = items;
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+      const { user } = req;
+      if (!user) throw authRequired();
+      const cart = await Cart.getOrCreateCart(user._id);
+      requestedItems = cart.items.map(item => ({
+        product: item.productId,
+        variant: item.variantId,
+        quantity: item.quantity
+      }));
+    }
+
+    if (requestedItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No hay productos para cotizar'
+      });
+    }
+
+    // Los productos se resuelven igual que al comprar (precio de la variante, disponibilidad)
+    const { items: pricedItems, products, errors } = await priceItems(requestedItems, req.user);
+    const quoteItems = pricedItems.map((item, index) => ({
+      product: products[index],
+      quantity: item.quantity,
+      total: item.total
+    }));
+
+    const storeQuotes = quoteItems.length > 0 ? await quoteShipping(quoteItems, address) : [];
+    const stores = await Store.find({ _id: { $in: storeQuotes.map(quote => quote.store) } })
+      .select('userId')
+      .populate('userId', 'fullName');
+
+    const shipments = storeQuotes.map(quote => ({
+      ...quote,
+      storeName: stores.find(store => store._id.toString() === quote.store)?.userId?.fullName,
+      available: quote.options.length > 0
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        shipments,
+        errors,
+        // Total con la opción más barata de cada tienda
+        cheapestTotal: Math.round(shipments.reduce(
+          (sum, shipment) => sum + (shipment.options[0]?.cost || 0), 0
+        ) * 100) / 100
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error al cotizar el envío');
+  }
+};
+
+// Obtener las tarifas de envío de una tienda
+const getStoreRates = async (req, res) => {
+  try {
+    const store = await Store.findById(req.params.storeId).select('shippingRates');
+
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tienda no encontrada'
+      });
+    }
+
+    const customRates = store.shippingRates.length > 0;
+
+    res.json({
+      success: true,
+      data: {
+        store: store._id,
+        usesDefaultRates: !customRates,
+        rates: customRates ? store.shippingRates : shippingConfig.rates
+      }
+    });
+
+  } catch (error) {
+    sendError(res, error, 'Error al obtener las tarifas de envío');
+  }
+};
+
+// Reemplazar la tabla de tarifas de la tienda del usuario
+const updateMyRates = async (req, res) => {
+  try {
+    const { user } = req;
+    const { rates } = req.body;
+
+    if (!Array.isArray(rates)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Las tarifas deben enviarse como una lista'
+      });
+    }
+
+    const store = await Store.findOne({ userId: user._id });
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tienda no encontrada'
+      });
+    }
+
+    const invalid = rates.find(rate =>
+      rate.coverage === 'provincia' && (!Array.isArray(rate.provincias) || rate.provincias.length === 0)
+    );
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Las tarifas por provincia deben indicar las provincias que cubren'
+      });
+    }
+
+    store.shippingRates = rates;
+    await store.save();
+
+    res.json({
+      success: true,
+      message: 'Tarifas de envío actualizadas',
+      data: {
+        rates: store.shippingRates
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Tarifas de envío inválidas',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    sendError(res, error, 'Error al actualizar las tarifas de envío');
+  }
+};
+
+module.exports = {
+  quoteShippingOptions,
+  getStoreRates,
+  updateMyRates
+};
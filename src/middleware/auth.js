@@ -0,0 +1,209 @@
+/**
+ * MIDDLEWARE DE AUTENTICACIÓN Y AUTORIZACIÓN
+ *
+ * authenticate se monta en app.js para todas las rutas de la API: si la
+ * petición trae un token válido deja el usuario en req.user, y si no lo
+ * trae la deja pasar como anónima. Cada router decide luego qué exige:
+ *
+ * - requireAuth: usuario autenticado, activo y no suspendido, con un token
+ *   de una sesión abierta (401 si no).
+ * - optionalAuth: usa el usuario si lo hay, sin exigirlo.
+ * - requireRole('store' | 'moderator' | 'admin'): además el rol (403 si no).
+ *   'store' es el tipo de usuario; moderator y admin vienen de user.roles.
+ * - requireStoreOwner / requireProductOwner: el recurso es del usuario y
+ *   queda en req.store o req.product (404 si no existe, 403 si es ajeno).
+ *
+ * Los helpers getUserStore, ownsStore, ownsProduct y getOrderRole sirven
+ * para las comprobaciones de propiedad dentro de los controladores.
+ *
+ * @middleware Auth
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Store = require('../models/Store');
+const Product = require('../models/Product');
+const sessions = require('../services/sessions');
+
+// Roles que se pueden exigir a una ruta
+const ROLES = ['store', 'moderator', 'admin'];
+
+// Respuesta de error de autenticación o permisos
+const deny = (res, status, message) => res.status(status).json({
+  success: false,
+  message
+});
+
+const getToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) return null;
+  return header.slice(7).trim() || null;
+};
+
+// Resolver el usuario del token una sola vez por petición
+const resolveUser = async (req) => {
+  if (req.auth) return req.auth;
+
+  const token = getToken(req);
+  req.auth = { user: null, sessionId: null, error: null };
+  if (!token) return req.auth;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Los tokens sin sesión (anteriores a las sesiones) ya no se aceptan
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId).select('-password'),
+      decoded.sessionId ? sessions.findActiveSession(decoded.sessionId, decoded.userId) : null
+    ]);
+
+    if (!session) {
+      req.auth.error = 'Sesión expirada o revocada';
+    } else if (!user) {
+      req.auth.error = 'Usuario no encontrado';
+    } else if (!user.isActive) {
+      req.auth.error = 'Cuenta desactivada';
+    } else if (user.isSuspended) {
+      req.auth.error = 'Cuenta suspendida';
+    } else {
+      req.auth.user = user;
+      req.auth.sessionId = session._id;
+      req.user = user;
+    }
+  } catch (error) {
+    // El cliente renueva el access token con su refresh token al recibir "Token expirado"
+    req.auth.error = error.name === 'TokenExpiredError' ? 'Token expirado' : 'Token inválido';
+  }
+
+  return req.auth;
+};
+
+// Verificar si el usuario tiene un rol (los administradores también moderan)
+const hasRole = (user, role) => {
+  if (!user) return false;
+
+  if (role === 'store') return user.userType === 'store';
+  return typeof user.hasRole === 'function' && user.hasRole(role);
+};
+
+// Montado en app.js: identifica al usuario si hay token, sin exigirlo
+const authenticate = async (req, res, next) => {
+  await resolveUser(req);
+  next();
+};
+
+const optionalAuth = authenticate;
+
+const requireAuth = async (req, res, next) => {
+  const { user, error } = await resolveUser(req);
+  if (!user) {
+    return deny(res, 401, error || 'Token de acceso requerido');
+  }
+  next();
+};
+
+const requireRole = (...roles) => {
+  const unknown = roles.filter(role => !ROLES.includes(role));
+  if (unknown.length > 0) {
+    throw new Error(`Rol desconocido: ${unknown.join(', ')}`);
+  }
+
+  return async (req, res, next) => {
+    const { user, error } = await resolveUser(req);
+    if (!user) {
+      return deny(res, 401, error || 'Token de acceso requerido');
+    }
+    if (!roles.some(role => hasRole(user, role))) {
+      return deny(res, 403, 'No tienes permisos para realizar esta acción');
+    }
+    next();
+  };
+};
+
+// Tienda del usuario (null si no tiene)
+const getUserStore = (user) => Store.findOne({ userId: user._id });
+
+const idOf = (value) => (value && value._id) || value;
+
+// Verificar si la tienda pertenece al usuario
+const ownsStore = (user, store) => Boolean(
+  user && store && store.userId && idOf(store.userId).equals(user._id)
+);
+
+// Verificar si el producto es de una tienda del usuario
+const ownsProduct = async (user, product) => {
+  if (!user || !product) return false;
+  if (product.storeId && product.storeId.userId) return ownsStore(user, product.storeId);
+
+  return Boolean(await Store.exists({ _id: idOf(product.storeId), userId: user._id }));
+};
+
+// Rol del usuario respecto a una orden: tienda con items en ella o comprador
+const getOrderRole = async (order, user) => {
+  const store = await getUserStore(user);
+  if (store && order.items.some(item => idOf(item.store).equals(store._id))) {
+    return { role: 'store', store: store._id };
+  }
+
+  if (idOf(order.buyer).equals(user._id)) {
+    return { role: 'buyer' };
+  }
+
+  return {};
+};
+
+// Exigir que el usuario tenga tienda (y que sea la indicada en la ruta, si hay parámetro)
+const requireStoreOwner = (param) => async (req, res, next) => {
+  const { user, error } = await resolveUser(req);
+  if (!user) {
+    return deny(res, 401, error || 'Token de acceso requerido');
+  }
+
+  const store = await getUserStore(user);
+  if (!store) {
+    return deny(res, 403, 'Perfil de tienda no encontrado. El usuario debe ser una tienda.');
+  }
+  if (param && req.params[param] !== store._id.toString()) {
+    return deny(res, 403, 'No tienes permisos para modificar esta tienda');
+  }
+
+  req.store = store;
+  next();
+};
+
+// Exigir que el producto de la ruta sea de la tienda del usuario
+const requireProductOwner = (param = 'id') => async (req, res, next) => {
+  const { user, error } = await resolveUser(req);
+  if (!user) {
+    return deny(res, 401, error || 'Token de acceso requerido');
+  }
+
+  const productId = req.params[param];
+  const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+  if (!product) {
+    return deny(res, 404, 'Producto no encontrado');
+  }
+  if (!await ownsProduct(user, product)) {
+    return deny(res, 403, 'No tienes permisos para modificar este producto');
+  }
+
+  req.product = product;
+  next();
+};
+
+module.exports = {
+  ROLES,
+  authenticate,
+  optionalAuth,
+  requireAuth,
+  requireRole,
+  requireStoreOwner,
+  requireProductOwner,
+  hasRole,
+  getUserStore,
+  ownsStore,
+  ownsProduct,
+  getOrderRole
+};
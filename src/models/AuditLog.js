@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Tipos de recurso sobre los que actúa la administración
+const AUDIT_TARGET_TYPES = ['User', 'Store', 'Product'];
+
+const auditLogSchema = new mongoose.Schema({
+  // Administrador o moderador que hizo la acción
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Autor de la acción es requerido']
+  },
+  // Acción realizada, por ejemplo "user.suspend" o "product.feature"
+  action: {
+    type: String,
+    required: [true, 'Acción es requerida'],
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: {
+      values: AUDIT_TARGET_TYPES,
+      message: 'Tipo de recurso no válido'
+    },
+    required: [true, 'Tipo de recurso es requerido']
+  },
+  targetId: {
+    type: mongoose.Schema.ObjectId,
+    refPath: 'targetType',
+    required: [true, 'Recurso es requerido']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Motivo no puede exceder 500 caracteres']
+  },
+  // Valores anteriores y nuevos del cambio
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Índices
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1 });
+
+// Método estático para registrar una acción hecha desde una petición
+auditLogSchema.statics.record = function(req, { action, targetType, targetId, reason, details }) {
+  return this.create({
+    actor: req.user._id,
+    action,
+    targetType,
+    targetId,
+    reason,
+    details,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+};
+
+auditLogSchema.statics.AUDIT_TARGET_TYPES = AUDIT_TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
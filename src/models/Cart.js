@@ -6,6 +6,11 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Variante elegida cuando el producto tiene variantes
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   quantity: {
     type: Number,
     required: true,
@@ -17,6 +22,15 @@ const cartItemSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Precio no puede ser negativo']
   },
+  // Precio con el que se agregó antes del último cambio (para mostrar "bajó/subió")
+  previousPrice: {
+    type: Number,
+    default: null
+  },
+  priceChangedAt: {
+    type: Date,
+    default: null
+  },
   addedAt: {
     type: Date,
     default: Date.now
@@ -66,18 +80,27 @@ cartSchema.pre('save', function(next) {
   next();
 });
 
+// Verificar si un item corresponde al producto y la variante indicados
+const matchesItem = (item, productId, variantId) =>
+  item.productId.toString() === productId.toString() &&
+  String(item.variantId || '') === String(variantId || '');
+
 // Método para agregar item al carrito
-cartSchema.methods.addItem = function(productId, quantity, price) {
-  const existingItem = this.items.find(item => 
-    item.productId.toString() === productId.toString()
-  );
+cartSchema.methods.addItem = function(productId, quantity, price, variantId = null) {
+  const existingItem = this.items.find(item => matchesItem(item, productId, variantId));
   
   if (existingItem) {
     existingItem.quantity += quantity;
-    existingItem.price = price; // Actualizar precio por si cambió
+    // Conservar el precio anterior si cambió desde que se agregó
+    if (existingItem.price !== price) {
+      existingItem.previousPrice = existingItem.price;
+      existingItem.priceChangedAt = new Date();
+      existingItem.price = price;
+    }
   } else {
     this.items.push({
       productId,
+      variantId,
       quantity,
       price,
       addedAt: new Date()
@@ -88,17 +111,15 @@ cartSchema.methods.addItem = function(productId, quantity, price) {
 };
 
 // Método para actualizar cantidad de un item
-cartSchema.methods.updateItemQuantity = function(productId, quantity) {
-  const item = this.items.find(item => 
-    item.productId.toString() === productId.toString()
-  );
+cartSchema.methods.updateItemQuantity = function(productId, quantity, variantId = null) {
+  const item = this.items.find(item => matchesItem(item, productId, variantId));
   
   if (!item) {
     throw new Error('Producto no encontrado en el carrito');
   }
   
   if (quantity <= 0) {
-    return this.removeItem(productId);
+    return this.removeItem(productId, variantId);
   }
   
   item.quantity = quantity;
@@ -106,10 +127,8 @@ cartSchema.methods.updateItemQuantity = function(productId, quantity) {
 };
 
 // Método para remover item del carrito
-cartSchema.methods.removeItem = function(productId) {
-  this.items = this.items.filter(item => 
-    item.productId.toString() !== productId.toString()
-  );
+cartSchema.methods.removeItem = function(productId, variantId = null) {
+  this.items = this.items.filter(item => !matchesItem(item, productId, variantId));
   return this.save();
 };
 
@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const { normalizeText } = require('../utils/text');
+
+// Generar slug a partir del nombre (sin tildes)
+const slugify = (value) => normalizeText(value)
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Atributo que deben declarar los productos de la categoría en specifications
+const attributeSchema = new mongoose.Schema({
+  // Clave con la que se guarda en specifications (ej: "pantalla", "ram")
+  key: {
+    type: String,
+    required: [true, 'Clave del atributo es requerida'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]+$/, 'Clave del atributo solo puede tener letras, números y guion bajo']
+  },
+  label: {
+    es: {
+      type: String,
+      required: [true, 'Nombre del atributo es requerido'],
+      trim: true
+    },
+    en: {
+      type: String,
+      trim: true
+    }
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['text', 'number', 'boolean', 'enum'],
+      message: 'Tipo de atributo no válido'
+    },
+    default: 'text'
+  },
+  // Unidad de los atributos numéricos (ej: "pulgadas", "GB")
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Valores permitidos de los atributos enum
+  values: [{
+    type: String,
+    trim: true
+  }],
+  min: Number,
+  max: Number,
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Si se ofrece como filtro y faceta en la búsqueda
+  filterable: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+  // Nombre para mostrar en español e inglés
+  name: {
+    es: {
+      type: String,
+      required: [true, 'Nombre en español es requerido'],
+      trim: true,
+      maxlength: [60, 'Nombre no puede exceder 60 caracteres']
+    },
+    en: {
+      type: String,
+      trim: true,
+      maxlength: [60, 'Nombre no puede exceder 60 caracteres']
+    }
+  },
+  slug: {
+    type: String,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Descripción no puede exceder 300 caracteres']
+  },
+  icon: {
+    type: String,
+    trim: true
+  },
+
+  // Jerarquía: categoría padre y ancestros desde la raíz
+  parent: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category'
+  }],
+
+  // Posición entre las categorías hermanas
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  // Atributos propios; las subcategorías heredan los de sus ancestros
+  attributes: [attributeSchema],
+
+  // Textos alternativos que se asignan a esta categoría
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+categorySchema.index({ parent: 1, order: 1 });
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ aliases: 1 });
+
+// Virtual para la profundidad en el árbol (0 = raíz)
+categorySchema.virtual('depth').get(function() {
+  return this.ancestors ? this.ancestors.length : 0;
+});
+
+// Validar que los atributos no repitan claves y que los enum tengan valores
+categorySchema.pre('validate', function(next) {
+  const keys = new Set();
+
+  for (const attribute of this.attributes || []) {
+    if (keys.has(attribute.key)) {
+      this.invalidate('attributes', `Atributo repetido: ${attribute.key}`);
+    }
+    keys.add(attribute.key);
+
+    if (attribute.type === 'enum' && attribute.values.length === 0) {
+      this.invalidate('attributes', `El atributo ${attribute.key} debe indicar sus valores permitidos`);
+    }
+  }
+
+  next();
+});
+
+// Middleware para generar el slug, normalizar alias y calcular ancestros
+categorySchema.pre('save', async function(next) {
+  try {
+    if (!this.slug) {
+      this.slug = slugify(this.name.es);
+    }
+
+    this.aliases = [...new Set((this.aliases || []).map(normalizeText).filter(Boolean))];
+
+    if (this.isNew || this.isModified('parent')) {
+      if (!this.parent) {
+        this.ancestors = [];
+      } else {
+        const parent = await this.constructor.findById(this.parent);
+        if (!parent) {
+          const error = new Error('Categoría padre no encontrada');
+          error.status = 404;
+          throw error;
+        }
+
+        // Una categoría no puede quedar debajo de sí misma ni de sus descendientes
+        if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+          const error = new Error('Una categoría no puede moverse dentro de sí misma');
+          error.status = 409;
+          throw error;
+        }
+
+        this.ancestors = [...parent.ancestors, parent._id];
+      }
+
+      this.$locals.ancestorsChanged = !this.isNew;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Al mover una categoría, actualizar los ancestros de sus descendientes
+categorySchema.post('save', async function() {
+  if (!this.$locals.ancestorsChanged) return;
+  this.$locals.ancestorsChanged = false;
+
+  const descendants = await this.constructor.find({ ancestors: this._id });
+  if (descendants.length === 0) return;
+
+  await this.constructor.bulkWrite(descendants.map(descendant => {
+    const position = descendant.ancestors.findIndex(id => id.equals(this._id));
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: {
+          $set: {
+            ancestors: [...this.ancestors, this._id, ...descendant.ancestors.slice(position + 1)]
+          }
+        }
+      }
+    };
+  }));
+});
+
+// Método estático para obtener los IDs de una categoría y todas sus descendientes
+categorySchema.statics.getDescendantIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select('_id');
+  return [categoryId, ...descendants.map(category => category._id)];
+};
+
+// Método estático para encontrar una categoría por ID, slug, nombre o alias
+categorySchema.statics.resolve = async function(value) {
+  if (!value) return null;
+
+  if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+    const byId = await this.findById(value);
+    if (byId) return byId;
+  }
+
+  const normalized = normalizeText(value);
+  const exactName = new RegExp(`^${String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+  const candidates = await this.find({
+    $or: [
+      { slug: slugify(value) },
+      { aliases: normalized },
+      { 'name.es': exactName },
+      { 'name.en': exactName }
+    ]
+  });
+
+  // Las categorías activas y los nombres exactos tienen prioridad
+  return candidates.sort((a, b) =>
+    Number(b.isActive) - Number(a.isActive) ||
+    Number(normalizeText(b.name.es) === normalized) - Number(normalizeText(a.name.es) === normalized)
+  )[0] || null;
+};
+
+// Método estático para obtener los atributos de una categoría incluyendo los heredados
+// (si una subcategoría redefine una clave, prevalece su definición)
+categorySchema.statics.getAttributes = async function(categoryOrId) {
+  const category = categoryOrId && categoryOrId.ancestors
+    ? categoryOrId
+    : await this.findById(categoryOrId);
+  if (!category) return [];
+
+  const ancestors = await this.find({ _id: { $in: category.ancestors } }).select('attributes');
+  const chain = [
+    ...category.ancestors.map(id => ancestors.find(ancestor => ancestor._id.equals(id))).filter(Boolean),
+    category
+  ];
+
+  const attributes = new Map();
+  chain.forEach(item => (item.attributes || []).forEach(attribute => {
+    attributes.set(attribute.key, attribute.toObject ? attribute.toObject() : attribute);
+  }));
+
+  return Array.from(attributes.values());
+};
+
+// Método estático para filtrar productos por una categoría y sus descendientes
+// (si el valor no corresponde a ninguna categoría se compara con el texto libre)
+categorySchema.statics.productFilter = async function(value) {
+  const category = await this.resolve(value);
+  if (!category) {
+    return { category: new RegExp(String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') };
+  }
+
+  return { categoryId: { $in: await this.getDescendantIds(category._id) } };
+};
+
+// Método estático para reemplazar textos libres por el nombre oficial de su categoría
+categorySchema.statics.canonicalNames = async function(values = []) {
+  const names = await Promise.all(values.map(async value => {
+    const category = await this.resolve(value);
+    return category ? category.name.es : String(value).trim();
+  }));
+
+  return [...new Set(names.filter(Boolean))];
+};
+
+// Método estático para armar el árbol de categorías ordenado
+categorySchema.statics.getTree = async function({ includeInactive = false } = {}) {
+  const categories = await this.find(includeInactive ? {} : { isActive: true })
+    .sort({ order: 1, 'name.es': 1 })
+    .lean();
+
+  const byId = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  byId.forEach(category => {
+    const parent = category.parent && byId.get(category.parent.toString());
+    if (parent) parent.children.push(category);
+    else if (!category.parent) roots.push(category);
+  });
+
+  return roots;
+};
+
+categorySchema.statics.slugify = slugify;
+
+// Asegurar que virtuals se incluyan en JSON
+categorySchema.set('toJSON', { virtuals: true });
+categorySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const invoiceSchema = new mongoose.Schema({
+  // Orden y tienda a las que corresponde el comprobante
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+
+  store: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+
+  seller: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  buyer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Ventas incluidas en el comprobante
+  sales: [{
+    type: mongoose.Schema.ObjectId,
+    ref: 'Sale'
+  }],
+
+  // Identificación del comprobante ante Hacienda
+  documentType: {
+    type: String,
+    enum: ['01', '02', '03', '04'],
+    default: '01'
+  },
+
+  clave: {
+    type: String,
+    required: true,
+    unique: true,
+    match: [/^\d{50}$/, 'La clave debe tener 50 dígitos']
+  },
+
+  consecutivo: {
+    type: String,
+    required: true,
+    match: [/^\d{20}$/, 'El consecutivo debe tener 20 dígitos']
+  },
+
+  issueDate: {
+    type: Date,
+    required: true
+  },
+
+  // Totales del comprobante
+  currency: {
+    type: String,
+    default: 'CRC'
+  },
+
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  tax: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  taxBreakdown: [{
+    rateCode: String,
+    amount: Number
+  }],
+
+  // Documento generado y firmado
+  xml: {
+    type: String,
+    required: true
+  },
+
+  signedXml: String,
+
+  signer: String,
+
+  // Estado ante Hacienda
+  status: {
+    type: String,
+    enum: ['generated', 'signed', 'submitted', 'accepted', 'rejected'],
+    default: 'generated'
+  },
+
+  submission: {
+    provider: String,
+    submittedAt: Date,
+    response: mongoose.Schema.Types.Mixed
+  }
+
+}, {
+  timestamps: true
+});
+
+// Índices para optimizar consultas
+invoiceSchema.index({ order: 1, store: 1, documentType: 1 }, { unique: true });
+invoiceSchema.index({ store: 1, issueDate: -1 });
+invoiceSchema.index({ buyer: 1, issueDate: -1 });
+invoiceSchema.index({ sales: 1 });
+
+// Método para obtener el documento que se entrega al usuario
+invoiceSchema.methods.getDocument = function() {
+  return this.signedXml || this.xml;
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
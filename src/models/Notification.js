@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['order', 'review', 'follow', 'product', 'store', 'system', 'comment'],
+    enum: ['order', 'review', 'follow', 'product', 'store', 'system', 'comment', 'return'],
     required: [true, 'Tipo de notificación es requerido']
   },
   title: {
@@ -56,7 +56,7 @@ const notificationSchema = new mongoose.Schema({
   },
   relatedType: {
     type: String,
-    enum: ['Product', 'Order', 'Store', 'User', 'Review', 'Comment'],
+    enum: ['Product', 'Order', 'Store', 'User', 'Review', 'Comment', 'ReturnRequest'],
     default: null
   }
 }, {
@@ -1,5 +1,35 @@
 const mongoose = require('mongoose');
 
+// Estados posibles de cada grupo de entrega por tienda
+const FULFILLMENT_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Grupo de entrega: parte de la orden que despacha una misma tienda
+const fulfillmentSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: FULFILLMENT_STATUSES,
+    default: 'pending'
+  },
+  // Envío cotizado para el grupo
+  shippingMethod: String,
+  shippingCost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  estimatedDeliveryDate: Date,
+  trackingNumber: String,
+  carrier: String,
+  shippedDate: Date,
+  deliveredDate: Date,
+  cancelledDate: Date
+});
+
 const orderSchema = new mongoose.Schema({
   // Información del pedido
   orderNumber: {
@@ -31,6 +61,10 @@ const orderSchema = new mongoose.Schema({
       ref: 'Store',
       required: true
     },
+    // Variante elegida (productos con tallas, colores, etc.)
+    variant: mongoose.Schema.ObjectId,
+    sku: String,
+    variantLabel: String,
     quantity: {
       type: Number,
       required: true,
@@ -45,11 +79,43 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 0
+    },
+    // Desglose del IVA de la línea
+    tax: {
+      rate: {
+        type: Number,
+        min: 0,
+        max: 1
+      },
+      source: String,
+      grossAmount: {
+        type: Number,
+        min: 0
+      },
+      exemptAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      amount: {
+        type: Number,
+        min: 0
+      },
+      exemption: {
+        documentType: String,
+        documentNumber: String,
+        institution: String,
+        issuedAt: Date,
+        percentage: Number
+      }
     }
   }],
   
   // Información de envío
+  // Copia de la dirección al momento de la compra
   shippingAddress: {
+    // Dirección de la libreta de la que se copió, si aplica
+    addressId: mongoose.Schema.ObjectId,
     alias: String,
     country: String,
     provincia: String,
@@ -91,6 +157,14 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+
+  // Resumen del IVA por tarifa
+  taxBreakdown: [{
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number,
+    exemptAmount: Number
+  }],
   
   total: {
     type: Number,
@@ -98,12 +172,52 @@ const orderSchema = new mongoose.Schema({
     min: 0
   },
   
-  // Estado del pedido
+  // Estado del pedido (derivado de los grupos de entrega)
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: [
+      'pending',
+      'confirmed',
+      'processing',
+      'partially_shipped',
+      'shipped',
+      'partially_delivered',
+      'delivered',
+      'cancelled'
+    ],
     default: 'pending'
   },
+
+  // Grupos de entrega por tienda, cada uno con su propio estado y tracking
+  fulfillments: [fulfillmentSchema],
+
+  // Historial de cambios de estado
+  statusHistory: [{
+    from: String,
+    status: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: ['buyer', 'store', 'system'],
+      required: true
+    },
+    // Tienda cuyo grupo de entrega cambió (vacío si aplica a toda la orden)
+    store: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Store'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Fechas importantes
   estimatedDeliveryDate: Date,
@@ -129,10 +243,41 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Transiciones válidas entre estados de un grupo de entrega
+// (solo se puede cancelar antes del envío)
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Transiciones que puede realizar cada rol
+const ROLE_TRANSITIONS = {
+  store: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered']
+  },
+  buyer: {
+    pending: ['cancelled'],
+    confirmed: ['cancelled'],
+    shipped: ['delivered']
+  },
+  system: STATUS_TRANSITIONS
+};
+
+// Orden de avance de los estados previos al envío
+const PRE_SHIPPING_STATUSES = ['pending', 'confirmed', 'processing'];
+
 // Índices para optimizar consultas
 orderSchema.index({ buyer: 1, createdAt: -1 });
 orderSchema.index({ 'items.store': 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ 'fulfillments.store': 1, 'fulfillments.status': 1 });
 orderSchema.index({ orderNumber: 1 }, { unique: true });
 
 // Virtual para obtener tiendas involucradas
@@ -148,6 +293,134 @@ orderSchema.statics.generateOrderNumber = function() {
   return `ORD-${timestamp}-${random}`;
 };
 
+// Verificar si una transición es válida según la tabla de estados
+orderSchema.statics.canTransition = function(from, to, role = 'system') {
+  const allowed = STATUS_TRANSITIONS[from] || [];
+  const allowedForRole = (ROLE_TRANSITIONS[role] || {})[from] || [];
+  return allowed.includes(to) && allowedForRole.includes(to);
+};
+
+// Crear grupos de entrega para las tiendas que aún no tengan uno
+// (las órdenes anteriores a los grupos heredan el estado de la orden)
+orderSchema.methods.ensureFulfillments = function() {
+  const initialStatus = FULFILLMENT_STATUSES.includes(this.status) ? this.status : 'pending';
+
+  for (const storeId of this.stores) {
+    if (!this.getFulfillment(storeId)) {
+      this.fulfillments.push({
+        store: storeId,
+        status: initialStatus,
+        trackingNumber: this.trackingNumber,
+        carrier: this.carrier
+      });
+    }
+  }
+
+  return this;
+};
+
+// Obtener el grupo de entrega de una tienda
+orderSchema.methods.getFulfillment = function(storeId) {
+  return this.fulfillments.find(group => group.store.toString() === storeId.toString());
+};
+
+// Calcular el estado de la orden a partir de sus grupos de entrega
+orderSchema.methods.deriveStatus = function() {
+  const active = this.fulfillments.filter(group => group.status !== 'cancelled');
+
+  if (this.fulfillments.length === 0) return this.status;
+  if (active.length === 0) return 'cancelled';
+
+  const delivered = active.filter(group => group.status === 'delivered').length;
+  const shipped = active.filter(group => group.status === 'shipped').length;
+
+  if (delivered === active.length) return 'delivered';
+  if (delivered > 0) return 'partially_delivered';
+  if (shipped === active.length) return 'shipped';
+  if (shipped > 0) return 'partially_shipped';
+
+  // Sin envíos: la orden avanza al ritmo del grupo más atrasado
+  const lowest = Math.min(...active.map(group => PRE_SHIPPING_STATUSES.indexOf(group.status)));
+  return PRE_SHIPPING_STATUSES[lowest];
+};
+
+// Método para cambiar el estado registrando quién, cuándo y por qué.
+// Con `store` cambia solo el grupo de esa tienda; sin ella, todos los grupos abiertos.
+orderSchema.methods.transitionTo = function(status, {
+  changedBy,
+  role = 'system',
+  note,
+  store,
+  trackingNumber,
+  carrier
+} = {}) {
+  this.ensureFulfillments();
+
+  let groups;
+  if (store) {
+    const group = this.getFulfillment(store);
+    if (!group) {
+      const error = new Error('La tienda no tiene productos en esta orden');
+      error.status = 404;
+      throw error;
+    }
+    groups = [group];
+  } else {
+    groups = this.fulfillments.filter(group => !['delivered', 'cancelled'].includes(group.status));
+    if (groups.length === 0) {
+      const error = new Error(`No se puede cambiar la orden de ${this.status} a ${status}`);
+      error.status = 409;
+      throw error;
+    }
+  }
+
+  // Validar todos los grupos antes de modificar cualquiera
+  for (const group of groups) {
+    if (!(STATUS_TRANSITIONS[group.status] || []).includes(status)) {
+      const error = new Error(`No se puede cambiar la orden de ${group.status} a ${status}`);
+      error.status = 409;
+      throw error;
+    }
+
+    if (!this.constructor.canTransition(group.status, status, role)) {
+      const error = new Error(`El rol ${role} no puede cambiar la orden de ${group.status} a ${status}`);
+      error.status = 403;
+      throw error;
+    }
+  }
+
+  const now = new Date();
+  for (const group of groups) {
+    const from = group.status;
+
+    group.status = status;
+    if (status === 'shipped') {
+      group.shippedDate = now;
+      if (trackingNumber) group.trackingNumber = trackingNumber;
+      if (carrier) group.carrier = carrier;
+    }
+    if (status === 'delivered') group.deliveredDate = now;
+    if (status === 'cancelled') group.cancelledDate = now;
+
+    this.statusHistory.push({
+      from,
+      status,
+      changedBy,
+      role,
+      note,
+      store: group.store,
+      changedAt: now
+    });
+  }
+
+  this.status = this.deriveStatus();
+  if (status === 'shipped' && !this.shippedDate) this.shippedDate = now;
+  if (this.status === 'delivered') this.deliveredDate = now;
+  if (this.status === 'cancelled') this.cancelledDate = now;
+
+  return this.save();
+};
+
 // Método para calcular totales
 orderSchema.methods.calculateTotals = function() {
   this.subtotal = this.items.reduce((sum, item) => sum + item.total, 0);
@@ -163,10 +436,35 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Middleware para crear los grupos de entrega de una orden nueva
+orderSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    this.ensureFulfillments();
+  }
+  next();
+});
+
+// Middleware para registrar el estado inicial en el historial
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.buyer,
+      role: 'system',
+      changedAt: new Date()
+    });
+  }
+  next();
+});
+
 // Middleware para calcular totales automáticamente
 orderSchema.pre('save', function(next) {
   this.calculateTotals();
   next();
 });
 
+orderSchema.statics.FULFILLMENT_STATUSES = FULFILLMENT_STATUSES;
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+orderSchema.statics.ROLE_TRANSITIONS = ROLE_TRANSITIONS;
+
 module.exports = mongoose.model('Order', orderSchema);
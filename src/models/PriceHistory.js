@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: [true, 'Producto es requerido']
+  },
+  // Variante con precio propio (null = precio base del producto)
+  variant: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  sku: String,
+  price: {
+    type: Number,
+    required: [true, 'Precio es requerido'],
+    min: [0, 'Precio no puede ser negativo']
+  },
+  // Precio anterior (null en el primer registro)
+  previousPrice: {
+    type: Number,
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Índices
+priceHistorySchema.index({ product: 1, variant: 1, changedAt: -1 });
+
+// Virtual para el cambio porcentual respecto al precio anterior
+priceHistorySchema.virtual('changePercent').get(function() {
+  if (!this.previousPrice) return null;
+  return Math.round(((this.price - this.previousPrice) / this.previousPrice) * 10000) / 100;
+});
+
+// Método estático para obtener el historial de un producto desde una fecha
+priceHistorySchema.statics.getHistory = function(productId, { variantId = null, since } = {}) {
+  const filter = { product: productId, variant: variantId || null };
+  if (since) filter.changedAt = { $gte: since };
+
+  return this.find(filter).sort({ changedAt: 1 });
+};
+
+// Método estático para el precio más bajo y más alto vigentes en los últimos días
+// (incluye el precio que regía al inicio del período)
+priceHistorySchema.statics.getPriceRange = async function(productId, { variantId = null, days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const filter = { product: productId, variant: variantId || null };
+
+  const [inPeriod, atStart] = await Promise.all([
+    this.find({ ...filter, changedAt: { $gte: since } }).select('price'),
+    this.findOne({ ...filter, changedAt: { $lt: since } }).sort({ changedAt: -1 }).select('price')
+  ]);
+
+  const prices = [...inPeriod, ...(atStart ? [atStart] : [])].map(entry => entry.price);
+  if (prices.length === 0) return null;
+
+  return { lowest: Math.min(...prices), highest: Math.max(...prices) };
+};
+
+// Asegurar que virtuals se incluyan en JSON
+priceHistorySchema.set('toJSON', { virtuals: true });
+priceHistorySchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -1,4 +1,62 @@
 const mongoose = require('mongoose');
+const priceTracking = require('../services/priceTracking');
+
+// Estados del ciclo de vida; solo los activos son visibles y se pueden comprar
+const PRODUCT_STATUSES = ['draft', 'scheduled', 'active', 'paused', 'archived'];
+
+// Transiciones de estado que puede hacer la tienda
+const PRODUCT_TRANSITIONS = {
+  draft: ['scheduled', 'active', 'archived'],
+  scheduled: ['draft', 'active', 'archived'],
+  active: ['paused', 'archived'],
+  paused: ['active', 'scheduled', 'archived'],
+  archived: ['draft']
+};
+
+// Combinación vendible de un producto (por ejemplo Talla M / Color Rojo)
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'SKU de la variante es requerido'],
+    trim: true,
+    uppercase: true,
+    maxlength: [64, 'SKU no puede exceder 64 caracteres']
+  },
+  // Valor elegido en cada eje de opciones del producto
+  options: {
+    type: Map,
+    of: String,
+    required: true
+  },
+  // Si no se indica se usa el precio del producto
+  price: {
+    type: Number,
+    min: [0, 'Precio no puede ser negativo']
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Stock de la variante es requerido'],
+    min: [0, 'Stock no puede ser negativo'],
+    default: 0
+  },
+  images: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Etiqueta legible de la variante
+variantSchema.virtual('label').get(function() {
+  return Array.from(this.options.entries())
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(' / ');
+});
+
+variantSchema.set('toJSON', { virtuals: true });
+variantSchema.set('toObject', { virtuals: true });
 
 const productSchema = new mongoose.Schema({
   storeId: {
@@ -18,11 +76,28 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Descripción no puede exceder 1000 caracteres']
   },
+  // Nombre de la categoría (se mantiene igual al nombre en español de categoryId)
   category: {
     type: String,
     required: [true, 'Categoría es requerida'],
     trim: true
   },
+  categoryId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Category'
+  },
+  // Código interno de la tienda (único dentro de la tienda)
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Código del Catálogo de Bienes y Servicios para facturación electrónica
+  cabysCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{13}$/, 'Código CABYS debe tener 13 dígitos']
+  },
   price: {
     type: Number,
     required: [true, 'Precio es requerido'],
@@ -44,18 +119,74 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Tiempo promedio de envío es requerido'],
     trim: true
   },
+  // Peso (kg) y dimensiones del paquete (cm) para calcular el envío
+  weight: {
+    type: Number,
+    min: [0, 'Peso no puede ser negativo']
+  },
+  dimensions: {
+    length: {
+      type: Number,
+      min: 0
+    },
+    width: {
+      type: Number,
+      min: 0
+    },
+    height: {
+      type: Number,
+      min: 0
+    }
+  },
   images: [{
     type: String,
     required: true
   }],
+  // Ejes de opciones (talla, color...) y sus valores posibles
+  options: [{
+    name: {
+      type: String,
+      required: [true, 'Nombre de la opción es requerido'],
+      trim: true
+    },
+    values: [{
+      type: String,
+      trim: true
+    }]
+  }],
+  // Combinaciones a la venta; con variantes el stock del producto es la suma
+  variants: [variantSchema],
   featured: {
     type: Boolean,
     default: false
   },
+  // La tienda fue suspendida por la administración: el producto deja de mostrarse y venderse
+  storeSuspended: {
+    type: Boolean,
+    default: false
+  },
+  // Ciclo de vida: borrador, programado (se publica en publishDate), activo, pausado o archivado
+  status: {
+    type: String,
+    enum: {
+      values: PRODUCT_STATUSES,
+      message: 'Estado de producto no válido'
+    },
+    // Los productos anteriores al ciclo de vida solo tienen isActive
+    default: function() {
+      return this.isActive === false ? 'paused' : 'active';
+    }
+  },
   publishDate: {
     type: Date,
     default: Date.now
   },
+  // Fecha opcional en que el producto deja de mostrarse
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
+  // Visible y a la venta; se deriva del estado
   isActive: {
     type: Boolean,
     default: true
@@ -80,9 +211,10 @@ const productSchema = new mongoose.Schema({
     default: 0
   },
   // Información adicional
+  // Valores tipados según los atributos de la categoría (números, booleanos o texto)
   specifications: {
     type: Map,
-    of: String,
+    of: mongoose.Schema.Types.Mixed,
     default: new Map()
   },
   tags: [{
@@ -108,6 +240,12 @@ const productSchema = new mongoose.Schema({
     trackInventory: {
       type: Boolean,
       default: true
+    },
+    // Avisar a la tienda cuando el stock baje de esta cantidad (0 = sin aviso)
+    lowStockThreshold: {
+      type: Number,
+      min: [0, 'Umbral de stock no puede ser negativo'],
+      default: 5
     }
   }
 }, {
@@ -117,14 +255,22 @@ const productSchema = new mongoose.Schema({
 // Índices
 productSchema.index({ storeId: 1 });
 productSchema.index({ category: 1 });
+productSchema.index({ categoryId: 1 });
 productSchema.index({ featured: 1 });
 productSchema.index({ isActive: 1 });
+productSchema.index({ status: 1, publishDate: 1 });
+productSchema.index({ status: 1, unpublishAt: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ rating: -1 });
 productSchema.index({ salesCount: -1 });
 productSchema.index({ views: -1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ name: 'text', description: 'text' }); // Para búsqueda de texto
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index(
+  { storeId: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
 
 // Virtual para obtener información de la tienda
 productSchema.virtual('store', {
@@ -149,6 +295,110 @@ productSchema.virtual('comments', {
   foreignField: 'productId'
 });
 
+// Virtual para saber si el producto se vende por variantes
+productSchema.virtual('hasVariants').get(function() {
+  return Array.isArray(this.variants) && this.variants.length > 0;
+});
+
+// Virtual con el rango de precios de las variantes activas
+productSchema.virtual('priceRange').get(function() {
+  if (!Array.isArray(this.variants)) return undefined;
+
+  const prices = this.variants
+    .filter(variant => variant.isActive)
+    .map(variant => variant.price ?? this.price);
+
+  if (prices.length === 0) {
+    return { min: this.price, max: this.price };
+  }
+
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices)
+  };
+});
+
+// Validar que cada variante use los ejes declarados, sin combinaciones ni SKUs repetidos
+productSchema.pre('validate', function(next) {
+  if (!this.hasVariants) return next();
+
+  const axes = new Map(this.options.map(option => [option.name, option.values]));
+  const combinations = new Set();
+  const skus = new Set();
+
+  for (const variant of this.variants) {
+    const entries = Array.from(variant.options.entries());
+
+    if (entries.length !== axes.size) {
+      this.invalidate('variants', `La variante ${variant.sku} debe indicar un valor para cada opción`);
+      continue;
+    }
+
+    const invalid = entries.find(([name, value]) => !axes.has(name) || !axes.get(name).includes(value));
+    if (invalid) {
+      this.invalidate('variants', `La variante ${variant.sku} tiene un valor inválido para ${invalid[0]}`);
+      continue;
+    }
+
+    const combination = entries.map(([name, value]) => `${name}=${value}`).sort().join('|');
+    if (combinations.has(combination)) {
+      this.invalidate('variants', `La combinación de la variante ${variant.sku} está repetida`);
+    }
+    combinations.add(combination);
+
+    if (skus.has(variant.sku)) {
+      this.invalidate('variants', `El SKU ${variant.sku} está repetido`);
+    }
+    skus.add(variant.sku);
+  }
+
+  next();
+});
+
+// Mantener el estado coherente con las fechas y derivar isActive
+productSchema.pre('validate', function(next) {
+  // Cambiar solo isActive (API anterior) equivale a activar o pausar
+  if (this.isModified('isActive') && !this.isModified('status')) {
+    this.status = this.isActive ? 'active' : 'paused';
+  }
+
+  const now = new Date();
+
+  // Activar con fecha de publicación futura equivale a programar
+  if (this.status === 'active' && this.isModified('publishDate') && this.publishDate > now) {
+    this.status = 'scheduled';
+  }
+
+  if (this.status === 'scheduled') {
+    if (!this.publishDate) {
+      this.invalidate('publishDate', 'Fecha de publicación es requerida para programar el producto');
+    } else if (this.publishDate <= now) {
+      this.status = 'active';
+    }
+  }
+
+  if (this.unpublishAt) {
+    if (this.publishDate && this.unpublishAt <= this.publishDate) {
+      this.invalidate('unpublishAt', 'La fecha de retiro debe ser posterior a la de publicación');
+    } else if (this.status === 'active' && this.isModified('status') && this.unpublishAt <= now) {
+      this.invalidate('unpublishAt', 'La fecha de retiro ya pasó');
+    }
+  }
+
+  this.isActive = this.status === 'active';
+  next();
+});
+
+// Con variantes el stock del producto es la suma del stock de las activas
+productSchema.pre('save', function(next) {
+  if (this.hasVariants && this.isModified('variants')) {
+    this.stock = this.variants
+      .filter(variant => variant.isActive)
+      .reduce((sum, variant) => sum + variant.stock, 0);
+  }
+  next();
+});
+
 // Middleware para generar slug antes de guardar
 productSchema.pre('save', function(next) {
   if (this.isModified('name') && !this.slug) {
@@ -162,6 +412,50 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Guardar los precios cargados para detectar cambios al guardar
+productSchema.post('init', function(doc) {
+  doc.$locals.loadedPrices = priceTracking.snapshotPrices(doc);
+});
+
+// Registrar en el historial los precios que cambiaron (o los iniciales si es nuevo)
+productSchema.post('save', async function(doc) {
+  const session = doc.$session();
+  try {
+    await priceTracking.recordPriceChanges(doc, doc.$locals.loadedPrices, { session });
+  } catch (error) {
+    // En una transacción se aborta para no confirmar el precio sin su historial;
+    // fuera de ella un historial fallido no debe impedir guardar el producto
+    if (session) throw error;
+  }
+  doc.$locals.loadedPrices = priceTracking.snapshotPrices(doc);
+});
+
+// En actualizaciones directas del precio se toma la versión anterior primero
+productSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  if (update.price === undefined && update.$set?.price === undefined) return;
+
+  const previous = await this.model.findOne(this.getQuery())
+    .select('price sku variants')
+    .session(this.getOptions().session || null);
+  this._previousPrices = previous ? priceTracking.snapshotPrices(previous) : null;
+});
+
+productSchema.post('findOneAndUpdate', async function(doc) {
+  if (!doc || !this._previousPrices) return;
+
+  const { session } = this.getOptions();
+  try {
+    const current = this.getOptions().new
+      ? doc
+      : await this.model.findById(doc._id).session(session || null);
+    if (current) await priceTracking.recordPriceChanges(current, this._previousPrices, { session });
+  } catch (error) {
+    // Igual que al guardar: dentro de una transacción el error la aborta
+    if (session) throw error;
+  }
+});
+
 // Método para incrementar vistas
 productSchema.methods.incrementViews = function() {
   this.views += 1;
@@ -174,11 +468,31 @@ productSchema.methods.incrementSales = function(quantity = 1) {
   return this.save();
 };
 
-// Método para reducir stock
-productSchema.methods.reduceStock = function(quantity) {
-  if (this.stock < quantity) {
+// Método para obtener una variante activa del producto
+productSchema.methods.getVariant = function(variantId) {
+  if (!variantId || !this.hasVariants) return null;
+
+  const variant = this.variants.id(variantId);
+  return variant && variant.isActive ? variant : null;
+};
+
+// Método para obtener el precio de la variante (o del producto)
+productSchema.methods.getPrice = function(variantId) {
+  const variant = this.getVariant(variantId);
+  return variant && variant.price !== undefined && variant.price !== null
+    ? variant.price
+    : this.price;
+};
+
+// Método para reducir stock (de la variante si el producto tiene variantes)
+productSchema.methods.reduceStock = function(quantity, variantId) {
+  if (!this.isAvailable(quantity, variantId)) {
     throw new Error('Stock insuficiente');
   }
+
+  if (this.hasVariants) {
+    this.getVariant(variantId).stock -= quantity;
+  }
   this.stock -= quantity;
   return this.save();
 };
@@ -203,13 +517,98 @@ productSchema.methods.calculateAverageRating = async function() {
   return this.save();
 };
 
-// Método para verificar disponibilidad
-productSchema.methods.isAvailable = function(quantity = 1) {
-  return this.isActive && this.stock >= quantity;
+// Método para cambiar el estado del ciclo de vida (y opcionalmente sus fechas)
+productSchema.methods.transitionTo = function(status, { publishDate, unpublishAt } = {}) {
+  const from = this.status;
+
+  if (status !== from && !(PRODUCT_TRANSITIONS[from] || []).includes(status)) {
+    const error = new Error(`No se puede cambiar el producto de ${from} a ${status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  if (publishDate !== undefined) this.publishDate = publishDate;
+  if (unpublishAt !== undefined) this.unpublishAt = unpublishAt;
+  this.status = status;
+
+  return this.save();
+};
+
+// Método para verificar si el producto se muestra al público (igual que visibleFilter)
+productSchema.methods.isVisible = function(now = new Date()) {
+  return this.isActive && !this.storeSuspended && (!this.unpublishAt || this.unpublishAt > now);
+};
+
+// Método para verificar disponibilidad (los productos con variantes exigen elegir una)
+productSchema.methods.isAvailable = function(quantity = 1, variantId) {
+  if (!this.isVisible()) return false;
+
+  if (this.hasVariants) {
+    const variant = this.getVariant(variantId);
+    return Boolean(variant) && variant.stock >= quantity;
+  }
+
+  return this.stock >= quantity;
+};
+
+// Filtro de los productos visibles al público (activos, de tiendas no suspendidas
+// y sin fecha de retiro vencida)
+productSchema.statics.visibleFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    storeSuspended: { $ne: true },
+    $and: [{ $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }]
+  };
+};
+
+// Filtro para descontar stock de forma atómica solo si hay existencias
+// suficientes (en la variante cuando se indica una)
+productSchema.statics.stockFilter = function(productId, quantity, variantId) {
+  const filter = { _id: productId, isActive: true, storeSuspended: { $ne: true } };
+
+  if (variantId) {
+    filter.variants = {
+      $elemMatch: { _id: variantId, isActive: true, stock: { $gte: quantity } }
+    };
+  } else {
+    filter.stock = { $gte: quantity };
+  }
+
+  return filter;
+};
+
+// Incremento de stock del producto y de su variante (delta negativo para descontar)
+productSchema.statics.stockIncrement = function(quantity, variantId) {
+  const increment = { stock: quantity };
+
+  if (variantId) {
+    increment['variants.$.stock'] = quantity;
+  }
+
+  return increment;
+};
+
+// Devolver unidades al stock del producto o de su variante (devuelve el producto actualizado)
+productSchema.statics.restoreStock = function(productId, quantity, variantId, { session, salesCount = 0 } = {}) {
+  const filter = variantId ? { _id: productId, 'variants._id': variantId } : { _id: productId };
+
+  return this.findOneAndUpdate(
+    filter,
+    {
+      $inc: {
+        ...this.stockIncrement(quantity, variantId),
+        ...(salesCount ? { salesCount } : {})
+      }
+    },
+    { new: true, session }
+  );
 };
 
 // Asegurar que virtuals se incluyan en JSON
 productSchema.set('toJSON', { virtuals: true });
 productSchema.set('toObject', { virtuals: true });
 
+productSchema.statics.PRODUCT_STATUSES = PRODUCT_STATUSES;
+productSchema.statics.PRODUCT_TRANSITIONS = PRODUCT_TRANSITIONS;
+
 module.exports = mongoose.model('Product', productSchema);
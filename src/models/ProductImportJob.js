@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Error de validación de una fila del archivo
+const rowErrorSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  sku: String,
+  slug: String,
+  messages: [String]
+}, { _id: false });
+
+const productImportJobSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Store',
+    required: [true, 'Tienda es requerida']
+  },
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuario es requerido']
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  // En modo de prueba solo se valida, sin guardar productos
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rowErrors: [rowErrorSchema],
+  // Error que detuvo el trabajo completo (archivo ilegible, columnas faltantes...)
+  error: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Índices
+productImportJobSchema.index({ storeId: 1, createdAt: -1 });
+
+// Virtual para el porcentaje de avance
+productImportJobSchema.virtual('percentage').get(function() {
+  if (!this.progress || this.progress.total === 0) {
+    return this.status === 'completed' ? 100 : 0;
+  }
+  return Math.round((this.progress.processed / this.progress.total) * 100);
+});
+
+// Asegurar que virtuals se incluyan en JSON
+productImportJobSchema.set('toJSON', { virtuals: true });
+productImportJobSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ProductImportJob', productImportJobSchema);
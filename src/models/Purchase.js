@@ -21,6 +21,11 @@ const purchaseSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+
+  // Variante vendida, si el producto tiene variantes
+  variant: mongoose.Schema.ObjectId,
+  sku: String,
+  variantLabel: String,
   
   // Tienda del producto
   store: {
@@ -74,6 +79,13 @@ const purchaseSchema = new mongoose.Schema({
     default: Date.now
   },
   
+  // Unidades devueltas hasta ahora (la compra queda reembolsada al devolverlas todas)
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
   // Notas adicionales
   notes: String
 
@@ -108,4 +120,14 @@ purchaseSchema.methods.refund = function(reason) {
   return this.save();
 };
 
+// Método para registrar la devolución de parte de las unidades
+purchaseSchema.methods.recordReturn = function(quantity, reason) {
+  this.refundedQuantity = (this.refundedQuantity || 0) + quantity;
+  this.notes = reason || this.notes;
+  if (this.refundedQuantity >= this.quantity) {
+    this.status = 'refunded';
+    this.paymentStatus = 'refunded';
+  }
+};
+
 module.exports = mongoose.model('Purchase', purchaseSchema);
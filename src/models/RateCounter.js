@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Contador de solicitudes por clave dentro de una ventana de tiempo
+// (por ejemplo, enlaces de recuperación pedidos por un correo en una hora)
+const rateCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Clave es requerida'],
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Fin de la ventana; el documento se borra al llegar y la cuenta vuelve a cero
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Índices
+rateCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Método estático para contar una solicitud si no se alcanzó el límite de la
+// ventana. Es atómico: el incremento solo ocurre mientras count < limit, y si
+// el contador ya está lleno el upsert choca con la clave única.
+rateCounterSchema.statics.hit = async function(key, limit, windowMs) {
+  try {
+    await this.findOneAndUpdate(
+      { key, count: { $lt: limit } },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(Date.now() + windowMs) }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('RateCounter', rateCounterSchema);
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+
+// Transiciones válidas de una solicitud de devolución
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['shipped_back'],
+  shipped_back: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+const returnRequestSchema = new mongoose.Schema({
+  // Número de autorización de devolución (RMA)
+  returnNumber: {
+    type: String,
+    unique: true,
+    default: function() {
+      const timestamp = Date.now().toString();
+      const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+      return `RMA-${timestamp}-${random}`;
+    }
+  },
+
+  // Orden original
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+
+  // Comprador que solicita la devolución
+  buyer: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Tienda que recibe la devolución
+  store: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+
+  // Items devueltos
+  items: [{
+    product: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.ObjectId,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Monto reembolsado por la línea (incluye el IVA cobrado)
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  }],
+
+  // Motivo de la devolución
+  reason: {
+    type: String,
+    enum: ['defective', 'wrong_item', 'not_as_described', 'damaged_in_shipping', 'no_longer_needed', 'other'],
+    required: [true, 'Motivo de la devolución es requerido']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Descripción no puede exceder 1000 caracteres']
+  },
+
+  // Fotos que respaldan la solicitud
+  evidence: [{
+    type: String,
+    trim: true
+  }],
+
+  // Estado de la devolución
+  status: {
+    type: String,
+    enum: Object.keys(RETURN_TRANSITIONS),
+    default: 'requested'
+  },
+
+  // Respuesta de la tienda
+  storeNote: String,
+
+  // Envío de regreso del comprador a la tienda
+  returnShipping: {
+    trackingNumber: String,
+    carrier: String,
+    shippedDate: Date
+  },
+
+  // Información del reembolso
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  receivedDate: Date,
+  refundDate: Date,
+
+  // Historial de cambios de estado
+  statusHistory: [{
+    from: String,
+    status: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+
+}, {
+  timestamps: true
+});
+
+// Índices para optimizar consultas
+returnRequestSchema.index({ buyer: 1, createdAt: -1 });
+returnRequestSchema.index({ store: 1, createdAt: -1 });
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ status: 1 });
+
+// Virtual para calcular el monto solicitado
+returnRequestSchema.virtual('requestedAmount').get(function() {
+  return this.items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+});
+
+// Método para cambiar el estado registrando quién y por qué
+returnRequestSchema.methods.transitionTo = function(status, { changedBy, note } = {}) {
+  const from = this.status;
+
+  if (!(RETURN_TRANSITIONS[from] || []).includes(status)) {
+    const error = new Error(`No se puede cambiar la devolución de ${from} a ${status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  this.status = status;
+  this.statusHistory.push({
+    from,
+    status,
+    changedBy,
+    note,
+    changedAt: new Date()
+  });
+
+  return this.save();
+};
+
+// Middleware para registrar el estado inicial en el historial
+returnRequestSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.buyer,
+      changedAt: new Date()
+    });
+  }
+  next();
+});
+
+returnRequestSchema.statics.RETURN_TRANSITIONS = RETURN_TRANSITIONS;
+
+// Asegurar que virtuals se incluyan en JSON
+returnRequestSchema.set('toJSON', { virtuals: true });
+returnRequestSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ReturnRequest', returnRequestSchema);
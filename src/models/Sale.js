@@ -35,6 +35,11 @@ const saleSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+
+  // Variante vendida, si el producto tiene variantes
+  variant: mongoose.Schema.ObjectId,
+  sku: String,
+  variantLabel: String,
   
   // Detalles de la venta
   quantity: {
@@ -54,6 +59,26 @@ const saleSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+
+  // IVA cobrado (separado del ingreso de la venta)
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  taxExemptAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
   // Costos y comisiones
   platformCommission: {
@@ -111,6 +136,12 @@ const saleSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Unidades devueltas hasta ahora (la venta queda reembolsada al devolverlas todas)
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   refundDate: Date
 
 }, {
@@ -141,13 +172,41 @@ saleSchema.pre('save', function(next) {
   next();
 });
 
-// Método para procesar reembolso
-saleSchema.methods.processRefund = function(amount, reason) {
-  this.status = 'refunded';
-  this.refundAmount = amount || this.totalAmount;
+// Virtual para calcular lo que pagó el comprador por la línea (con IVA)
+saleSchema.virtual('chargedAmount').get(function() {
+  return this.totalAmount + (this.taxAmount || 0);
+});
+
+// Monto a reembolsar por unidades devueltas: la parte proporcional de lo
+// cobrado; la última devolución se lleva el saldo para no arrastrar redondeos
+saleSchema.methods.refundableAmount = function(quantity) {
+  const remainingQuantity = this.quantity - (this.refundedQuantity || 0);
+  if (quantity >= remainingQuantity) {
+    return Math.round((this.chargedAmount - (this.refundAmount || 0)) * 100) / 100;
+  }
+  return Math.round(this.chargedAmount * quantity / this.quantity * 100) / 100;
+};
+
+// Método para procesar reembolso (de todas las unidades pendientes o solo de
+// quantity); la venta queda reembolsada al devolver todas sus unidades
+saleSchema.methods.processRefund = function(amount, reason, quantity) {
+  const remainingQuantity = this.quantity - (this.refundedQuantity || 0);
+  const refundedQuantity = quantity || remainingQuantity;
+  if (refundedQuantity > remainingQuantity) {
+    const error = new Error('La cantidad a reembolsar supera las unidades pendientes de la venta');
+    error.status = 409;
+    throw error;
+  }
+
+  const refund = amount || this.refundableAmount(refundedQuantity);
+  this.refundedQuantity = (this.refundedQuantity || 0) + refundedQuantity;
+  this.refundAmount = Math.round(((this.refundAmount || 0) + refund) * 100) / 100;
   this.refundReason = reason;
   this.refundDate = new Date();
-  this.paymentStatus = 'refunded';
+  if (this.refundedQuantity >= this.quantity) {
+    this.status = 'refunded';
+    this.paymentStatus = 'refunded';
+  }
   return this.save();
 };
 
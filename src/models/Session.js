@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Motivos por los que se cierra una sesión
+const REVOKE_REASONS = ['logout', 'revoked', 'password_change', 'password_reset', 'deactivated', 'suspended', 'token_reuse'];
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuario es requerido']
+  },
+  // Hash del refresh token vigente (el token solo lo conoce el cliente)
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash del refresh token anterior, para detectar la reutilización de uno ya rotado
+  previousTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Se extiende en cada renovación; la sesión se borra al vencer
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: {
+      values: REVOKE_REASONS,
+      message: 'Motivo de cierre no válido'
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Índices
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Filtro de las sesiones vigentes (no cerradas ni vencidas)
+sessionSchema.statics.activeFilter = function(now = new Date()) {
+  return { revokedAt: null, expiresAt: { $gt: now } };
+};
+
+// Método estático para cerrar todas las sesiones de un usuario (salvo la indicada)
+sessionSchema.statics.revokeAll = function(userId, reason, { except } = {}) {
+  const filter = { user: userId, ...this.activeFilter() };
+  if (except) filter._id = { $ne: except };
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+sessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = mongoose.model('Session', sessionSchema);
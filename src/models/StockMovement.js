@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Tipos de movimiento de inventario
+const MOVEMENT_TYPES = ['sale', 'cancellation', 'return', 'adjustment', 'import'];
+
+// Largo máximo del motivo de un movimiento
+const REASON_MAX_LENGTH = 200;
+
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Product',
+    required: [true, 'Producto es requerido']
+  },
+  // Variante afectada (null = stock del producto sin variantes)
+  variant: {
+    type: mongoose.Schema.ObjectId,
+    default: null
+  },
+  store: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Store',
+    required: [true, 'Tienda es requerida']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: MOVEMENT_TYPES,
+      message: 'Tipo de movimiento no válido'
+    },
+    required: [true, 'Tipo de movimiento es requerido']
+  },
+  // Unidades que entran (positivo) o salen (negativo)
+  quantity: {
+    type: Number,
+    required: [true, 'Cantidad es requerida'],
+    validate: {
+      validator: value => Number.isInteger(value) && value !== 0,
+      message: 'La cantidad debe ser un entero distinto de cero'
+    }
+  },
+  // Stock del producto o la variante después del movimiento
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [REASON_MAX_LENGTH, `Motivo no puede exceder ${REASON_MAX_LENGTH} caracteres`]
+  },
+  // Usuario que hizo el movimiento (null = sistema)
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Índices
+stockMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+stockMovementSchema.index({ store: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+// Método estático para el stock que resulta de sumar el libro de movimientos,
+// agrupado por variante (clave "product" para el stock sin variante)
+stockMovementSchema.statics.getBalances = async function(productId) {
+  const totals = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId) } },
+    { $group: { _id: '$variant', balance: { $sum: '$quantity' }, movements: { $sum: 1 } } }
+  ]);
+
+  return new Map(totals.map(total => [
+    total._id ? total._id.toString() : 'product',
+    { balance: total.balance, movements: total.movements }
+  ]));
+};
+
+stockMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+stockMovementSchema.statics.REASON_MAX_LENGTH = REASON_MAX_LENGTH;
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -1,5 +1,62 @@
 const mongoose = require('mongoose');
 
+// Tarifa de envío por zona definida por la tienda
+const shippingRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nombre de la tarifa es requerido'],
+    trim: true
+  },
+  method: {
+    type: String,
+    enum: ['standard', 'express'],
+    default: 'standard'
+  },
+  // gam/rural según el cantón, provincia según la lista, nacional para todo el país
+  coverage: {
+    type: String,
+    enum: ['gam', 'rural', 'provincia', 'nacional'],
+    required: [true, 'Cobertura de la tarifa es requerida']
+  },
+  provincias: [{
+    type: String,
+    trim: true
+  }],
+  baseCost: {
+    type: Number,
+    required: [true, 'Costo base es requerido'],
+    min: [0, 'Costo base no puede ser negativo']
+  },
+  costPerKg: {
+    type: Number,
+    default: 0,
+    min: [0, 'Costo por kilo no puede ser negativo']
+  },
+  includedWeightKg: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  freeShippingOver: {
+    type: Number,
+    min: 0
+  },
+  etaMinDays: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  etaMaxDays: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
 const storeSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -49,6 +106,23 @@ const storeSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Suspensión aplicada por la administración (suspendedAt null = habilitada; sus productos dejan de mostrarse)
+  suspension: {
+    suspendedAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Motivo no puede exceder 500 caracteres']
+    },
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
   // Estadísticas adicionales
   totalProducts: {
     type: Number,
@@ -76,6 +150,37 @@ const storeSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     }
+  },
+  // Tabla de tarifas de envío (vacía = tarifas por defecto de la plataforma)
+  shippingRates: [shippingRateSchema],
+  // Configuración de facturación electrónica
+  invoicing: {
+    branch: {
+      type: String,
+      default: '001',
+      match: [/^\d{3}$/, 'Sucursal debe tener 3 dígitos']
+    },
+    terminal: {
+      type: String,
+      default: '00001',
+      match: [/^\d{5}$/, 'Terminal debe tener 5 dígitos']
+    },
+    activityCode: {
+      type: String,
+      trim: true
+    },
+    // Último consecutivo de facturas electrónicas
+    lastSequence: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Último consecutivo de tiquetes electrónicos (compradores sin identificación)
+    lastTicketSequence: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
   }
 }, {
   timestamps: true
@@ -85,6 +190,7 @@ const storeSchema = new mongoose.Schema({
 storeSchema.index({ userId: 1 });
 storeSchema.index({ isPublic: 1 });
 storeSchema.index({ verified: 1 });
+storeSchema.index({ 'suspension.suspendedAt': 1 });
 storeSchema.index({ rating: -1 });
 storeSchema.index({ totalSales: -1 });
 storeSchema.index({ categories: 1 });
@@ -113,6 +219,16 @@ storeSchema.virtual('reviews', {
 });
 
 // Middleware para actualizar contadores
+// Virtual para saber si la tienda está suspendida
+storeSchema.virtual('isSuspended').get(function() {
+  return Boolean(this.suspension && this.suspension.suspendedAt);
+});
+
+// Filtro de las tiendas visibles al público
+storeSchema.statics.visibleFilter = function() {
+  return { isPublic: true, 'suspension.suspendedAt': null };
+};
+
 storeSchema.methods.updateFollowersCount = function() {
   this.followersCount = this.followers.length;
   return this.save();
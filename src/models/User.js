@@ -10,7 +10,7 @@
  * - Validación de datos con expresiones regulares robustas
  * - Índices únicos para prevenir duplicación de identidades
  * - Middleware de pre-procesamiento para transformación de datos
- * - Sistema de roles jerárquico (comprador/tienda)
+ * - Sistema de roles jerárquico (comprador/tienda) y permisos de moderador/administrador
  * - Auditoría temporal con timestamps automáticos
  * 
  * Cumplimiento normativo:
@@ -26,6 +26,57 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Permisos de la plataforma (el administrador también modera)
+const USER_ROLES = ['moderator', 'admin'];
+
+// Dirección guardada en la libreta del usuario (mismos campos que Order.shippingAddress)
+const savedAddressSchema = new mongoose.Schema({
+  alias: {
+    type: String,
+    required: [true, 'Alias de la dirección es requerido'],
+    trim: true,
+    maxlength: [50, 'Alias no puede exceder 50 caracteres']
+  },
+  country: {
+    type: String,
+    trim: true,
+    default: 'Costa Rica'
+  },
+  provincia: {
+    type: String,
+    required: [true, 'Provincia es requerida'],
+    trim: true
+  },
+  canton: {
+    type: String,
+    required: [true, 'Cantón es requerido'],
+    trim: true
+  },
+  distrito: {
+    type: String,
+    trim: true
+  },
+  numeroCasillero: {
+    type: String,
+    trim: true
+  },
+  codigoPostal: {
+    type: String,
+    trim: true
+  },
+  observaciones: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Observaciones no pueden exceder 500 caracteres']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
 /**
  * Esquema principal de usuario con validaciones empresariales.
  * 
@@ -98,6 +149,15 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Dirección es requerida'],
     trim: true
   },
+  // Ubicación validada contra el catálogo de provincias, cantones y distritos
+  location: {
+    provincia: String,
+    canton: String,
+    distrito: String,
+    codigoPostal: String
+  },
+  // Libreta de direcciones de envío
+  addresses: [savedAddressSchema],
   phone: {
     type: String,
     required: [true, 'Teléfono es requerido'],
@@ -113,6 +173,17 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Tipo de usuario es requerido'],
     default: 'buyer'
   },
+  // Permisos de la plataforma, independientes del tipo de usuario
+  roles: {
+    type: [{
+      type: String,
+      enum: {
+        values: USER_ROLES,
+        message: 'Rol no válido'
+      }
+    }],
+    default: []
+  },
   socialNetworks: [{
     name: {
       type: String,
@@ -127,10 +198,49 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Suspensión aplicada por la administración (suspendedAt null = habilitada)
+  suspension: {
+    suspendedAt: {
+      type: Date,
+      default: null
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Motivo no puede exceder 500 caracteres']
+    },
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
   emailVerified: {
     type: Boolean,
     default: false
   },
+  // Exoneración de IVA otorgada por Hacienda (la registra la plataforma)
+  taxExemption: {
+    documentType: {
+      type: String,
+      trim: true
+    },
+    documentNumber: {
+      type: String,
+      trim: true
+    },
+    institution: {
+      type: String,
+      trim: true
+    },
+    issuedAt: Date,
+    expiresAt: Date,
+    percentage: {
+      type: Number,
+      min: 0,
+      max: 100
+    }
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -142,6 +252,7 @@ const userSchema = new mongoose.Schema({
 // Índices adicionales (username y email ya tienen unique: true)
 userSchema.index({ userType: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ roles: 1 });
 
 // Middleware para hashear password antes de guardar
 userSchema.pre('save', async function(next) {
@@ -168,6 +279,29 @@ userSchema.methods.getPublicProfile = function() {
   return userObject;
 };
 
+// Verificar si el usuario tiene un permiso de la plataforma
+userSchema.methods.hasRole = function(role) {
+  const roles = this.roles || [];
+  return roles.includes(role) || (role === 'moderator' && roles.includes('admin'));
+};
+
+// Virtual para saber si la cuenta está suspendida
+userSchema.virtual('isSuspended').get(function() {
+  return Boolean(this.suspension && this.suspension.suspendedAt);
+});
+
+// Obtener la dirección por defecto (o la primera guardada)
+userSchema.methods.getDefaultAddress = function() {
+  return this.addresses.find(address => address.isDefault) || this.addresses[0] || null;
+};
+
+// Marcar una dirección como la única por defecto
+userSchema.methods.setDefaultAddress = function(addressId) {
+  this.addresses.forEach(address => {
+    address.isDefault = address._id.equals(addressId);
+  });
+};
+
 // Virtual para obtener store asociada
 userSchema.virtual('store', {
   ref: 'Store',
@@ -180,4 +314,6 @@ userSchema.virtual('store', {
 userSchema.set('toJSON', { virtuals: true });
 userSchema.set('toObject', { virtuals: true });
 
+userSchema.statics.USER_ROLES = USER_ROLES;
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Usos de los tokens de un solo uso enviados por correo
+const TOKEN_PURPOSES = ['email_verification', 'password_reset'];
+
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuario es requerido']
+  },
+  purpose: {
+    type: String,
+    enum: {
+      values: TOKEN_PURPOSES,
+      message: 'Uso de token no válido'
+    },
+    required: [true, 'Uso del token es requerido']
+  },
+  // Hash del token (el token solo viaja en el correo)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Correo al que se envió el token
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Índices
+userTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Método estático para emitir un token nuevo; los anteriores del mismo uso dejan de servir
+userTokenSchema.statics.issue = async function(user, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+  await this.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+const validFilter = (token, purpose) => ({
+  tokenHash: hashToken(token),
+  purpose,
+  usedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Método estático para buscar un token vigente sin gastarlo
+userTokenSchema.statics.findValid = function(token, purpose) {
+  return this.findOne(validFilter(token, purpose));
+};
+
+// Método estático para gastar un token vigente (devuelve null si no existe, venció o ya se usó)
+userTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(validFilter(token, purpose), { usedAt: new Date() }, { new: true });
+};
+
+userTokenSchema.statics.TOKEN_PURPOSES = TOKEN_PURPOSES;
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,99 @@
+/**
+ * RUTAS DE ADMINISTRACIÓN
+ *
+ * API privilegiada de la plataforma: búsqueda, suspensión y reactivación
+ * de usuarios y tiendas (moderadores y administradores), y asignación de
+ * roles, verificación de tiendas y productos destacados (solo
+ * administradores). Cada acción queda en el registro de auditoría.
+ *
+ * @routes AdminRoutes
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requireRole } = require('../middleware/auth');
+
+// Todas las rutas exigen al menos el rol de moderador
+router.use(requireRole('moderator'));
+
+/**
+ * @route GET /api/admin/users
+ * @desc Listar usuarios (?search=&userType=&role=&suspended=true|false&page=&limit=)
+ * @access Private (moderadores)
+ */
+router.get('/users', adminController.listUsers);
+
+/**
+ * @route PUT /api/admin/users/:id/suspend
+ * @desc Suspender un usuario ({ reason })
+ * @access Private (moderadores; administradores para usuarios con roles)
+ */
+router.put('/users/:id/suspend', adminController.suspendUser);
+
+/**
+ * @route PUT /api/admin/users/:id/reactivate
+ * @desc Reactivar un usuario suspendido
+ * @access Private (moderadores; administradores para usuarios con roles)
+ */
+router.put('/users/:id/reactivate', adminController.reactivateUser);
+
+/**
+ * @route PUT /api/admin/users/:id/roles
+ * @desc Asignar los roles de un usuario ({ roles: ['moderator' | 'admin'] })
+ * @access Private (administradores)
+ */
+router.put('/users/:id/roles', requireRole('admin'), adminController.updateUserRoles);
+
+/**
+ * @route PUT /api/admin/users/:id/tax-exemption
+ * @desc Registrar la exoneración de IVA de un usuario ({ taxExemption: { documentType, documentNumber, institution, issuedAt, expiresAt, percentage } }; null la quita)
+ * @access Private (administradores)
+ */
+router.put('/users/:id/tax-exemption', requireRole('admin'), adminController.updateTaxExemption);
+
+/**
+ * @route GET /api/admin/stores
+ * @desc Listar tiendas (?search=&verified=&suspended=&page=&limit=)
+ * @access Private (moderadores)
+ */
+router.get('/stores', adminController.listStores);
+
+/**
+ * @route PUT /api/admin/stores/:id/suspend
+ * @desc Suspender una tienda y ocultar sus productos ({ reason })
+ * @access Private (moderadores)
+ */
+router.put('/stores/:id/suspend', adminController.suspendStore);
+
+/**
+ * @route PUT /api/admin/stores/:id/reactivate
+ * @desc Reactivar una tienda suspendida
+ * @access Private (moderadores)
+ */
+router.put('/stores/:id/reactivate', adminController.reactivateStore);
+
+/**
+ * @route PUT /api/admin/stores/:id/verify
+ * @desc Marcar o desmarcar una tienda como verificada ({ verified })
+ * @access Private (administradores)
+ */
+router.put('/stores/:id/verify', requireRole('admin'), adminController.verifyStore);
+
+/**
+ * @route PUT /api/admin/products/:id/feature
+ * @desc Destacar o quitar de destacados un producto ({ featured })
+ * @access Private (administradores)
+ */
+router.put('/products/:id/feature', requireRole('admin'), adminController.featureProduct);
+
+/**
+ * @route GET /api/admin/audit-log
+ * @desc Registro de acciones de la administración (?actor=&action=&targetType=&targetId=)
+ * @access Private (moderadores)
+ */
+router.get('/audit-log', adminController.getAuditLog);
+
+module.exports = router;
@@ -7,6 +7,7 @@ const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Store = require('../models/Store');
 const User = require('../models/User');
+const { requireAuth } = require('../middleware/auth');
 
 
 // Test endpoint
@@ -19,11 +20,11 @@ router.get('/test', (req, res) => {
 });
 
 // Purchase History for Buyers - SOLO DATOS REALES
-router.get('/buyer/purchase-history', async (req, res) => {
+router.get('/buyer/purchase-history', requireAuth, async (req, res) => {
   try {
-    
+    // Solo el historial del usuario autenticado
+    const userId = req.user._id;
     const { 
-      userId = '68a57c9ca4fac74da98768e6', // Usuario de prueba por defecto
       page = 1, 
       limit = 10, 
       startDate = null, 
@@ -1,81 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 
 const authController = require('../controllers/authController');
 const User = require('../models/User');
-
-// Función para verificar autenticación (misma que en wishlist)
-const verifyAuth = async (req, res) => {
-  try {
-    let token = req.header('Authorization');
-    
-    if (token && token.startsWith('Bearer ')) {
-      token = token.slice(7);
-    }
-
-    if (!token) {
-      return { error: 'Token de acceso requerido', status: 401 };
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'k8M6D3puL&s');
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return { error: 'Usuario no encontrado', status: 401 };
-    }
-
-    if (!user.isActive) {
-      return { error: 'Cuenta desactivada', status: 401 };
-    }
-
-    return { user };
-
-  } catch (error) {
-    return { error: 'Token inválido', status: 401 };
-  }
-};
+const { requireAuth } = require('../middleware/auth');
 
 // Rutas públicas
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/refresh', authController.refreshToken);
+router.post('/verify-email', authController.verifyEmail);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
 
 // Rutas protegidas
-router.get('/me', async (req, res) => {
-  const authResult = await verifyAuth(req, res);
-  if (authResult.error) {
-    return res.status(authResult.status).json({
-      success: false,
-      message: authResult.error
-    });
-  }
-  req.user = authResult.user;
-  authController.getProfile(req, res);
-});
+router.get('/me', requireAuth, authController.getProfile);
 
-router.put('/profile', async (req, res) => {
-  const authResult = await verifyAuth(req, res);
-  if (authResult.error) {
-    return res.status(authResult.status).json({
-      success: false,
-      message: authResult.error
-    });
-  }
-  req.user = authResult.user;
-  authController.updateProfile(req, res);
-});
+router.put('/profile', requireAuth, authController.updateProfile);
 
-router.post('/logout', async (req, res) => {
-  const authResult = await verifyAuth(req, res);
-  if (authResult.error) {
-    return res.status(authResult.status).json({
-      success: false,
-      message: authResult.error
-    });
-  }
-  req.user = authResult.user;
-  authController.logout(req, res);
-});
+router.post('/logout', requireAuth, authController.logout);
+
+router.post('/resend-verification', requireAuth, authController.resendVerification);
+
+// Sesiones abiertas por dispositivo
+router.get('/sessions', requireAuth, authController.getSessions);
+router.delete('/sessions', requireAuth, authController.revokeAllSessions);
+router.delete('/sessions/:id', requireAuth, authController.revokeSession);
 
 // Cambiar contraseña
 router.patch('/change-password', [
@@ -85,29 +35,11 @@ router.patch('/change-password', [
   require('express-validator').body('newPassword')
     .isLength({ min: 6 })
     .withMessage('Nueva contraseña debe tener al menos 6 caracteres')
-], async (req, res) => {
-  const authResult = await verifyAuth(req, res);
-  if (authResult.error) {
-    return res.status(authResult.status).json({
-      success: false,
-      message: authResult.error
-    });
-  }
-  req.user = authResult.user;
-  authController.changePassword(req, res);
-});
+], requireAuth, authController.changePassword);
 
 // Subir avatar
-router.post('/upload-avatar', async (req, res) => {
+router.post('/upload-avatar', requireAuth, async (req, res) => {
   try {
-    const authResult = await verifyAuth(req, res);
-    if (authResult.error) {
-      return res.status(authResult.status).json({
-        success: false,
-        message: authResult.error
-      });
-    }
-
     if (!req.file) {
       return res.status(400).json({
         success: false,
@@ -115,10 +47,9 @@ router.post('/upload-avatar', async (req, res) => {
       });
     }
 
-    const User = require('../models/User');
     const photoUrl = `/uploads/${req.file.filename}`;
     
-    await User.findByIdAndUpdate(authResult.user._id, { photo: photoUrl });
+    await User.findByIdAndUpdate(req.user._id, { photo: photoUrl });
 
     res.json({
       success: true,
@@ -137,16 +68,6 @@ router.post('/upload-avatar', async (req, res) => {
 });
 
 // Desactivar cuenta
-router.patch('/deactivate', async (req, res) => {
-  const authResult = await verifyAuth(req, res);
-  if (authResult.error) {
-    return res.status(authResult.status).json({
-      success: false,
-      message: authResult.error
-    });
-  }
-  req.user = authResult.user;
-  authController.deactivateAccount(req, res);
-});
+router.patch('/deactivate', requireAuth, authController.deactivateAccount);
 
 module.exports = router;
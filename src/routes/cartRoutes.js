@@ -3,8 +3,11 @@ const router = express.Router();
 
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const { checkout } = require('../controllers/orderController');
+const { requireAuth } = require('../middleware/auth');
 
 // Todas las rutas requieren autenticación
+router.use(requireAuth);
 
 // Obtener carrito del usuario
 router.get('/', async (req, res) => {
@@ -14,7 +17,7 @@ router.get('/', async (req, res) => {
     // Poblar información de productos
     await cart.populate({
       path: 'items.productId',
-      select: 'name price images stock isActive',
+      select: 'name price images stock isActive variants',
       populate: {
         path: 'storeId',
         select: 'userId description'
@@ -49,7 +52,7 @@ router.get('/', async (req, res) => {
 // Agregar item al carrito
 router.post('/items', async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     // Verificar que el producto existe y está disponible
     const product = await Product.findById(productId);
@@ -60,11 +63,20 @@ router.post('/items', async (req, res) => {
       });
     }
 
+    // Los productos con variantes requieren elegir una
+    const variant = product.getVariant(variantId);
+    if (product.hasVariants && !variant) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe elegir una variante disponible del producto'
+      });
+    }
+
     // Verificar stock
-    if (!product.isAvailable(quantity)) {
+    if (!product.isAvailable(quantity, variantId)) {
       return res.status(400).json({
         success: false,
-        message: `Stock insuficiente. Solo ${product.stock} disponibles`
+        message: `Stock insuficiente. Solo ${variant ? variant.stock : product.stock} disponibles`
       });
     }
 
@@ -81,7 +93,7 @@ router.post('/items', async (req, res) => {
     }
 
     const cart = await Cart.getOrCreateCart(req.user._id);
-    await cart.addItem(productId, quantity, product.price);
+    await cart.addItem(productId, quantity, product.getPrice(variantId), variant ? variant._id : null);
 
     // Poblar información para respuesta
     await cart.populate({
@@ -112,6 +124,7 @@ router.put('/items/:productId',
     try {
       const { productId } = req.params;
       const { quantity } = req.body;
+      const variantId = req.query.variantId || req.body.variantId || null;
 
       if (!quantity || quantity < 1) {
         return res.status(400).json({
@@ -129,15 +142,16 @@ router.put('/items/:productId',
         });
       }
 
-      if (!product.isAvailable(quantity)) {
+      if (!product.isAvailable(quantity, variantId)) {
+        const variant = product.getVariant(variantId);
         return res.status(400).json({
           success: false,
-          message: `Stock insuficiente. Solo ${product.stock} disponibles`
+          message: `Stock insuficiente. Solo ${variant ? variant.stock : product.stock} disponibles`
         });
       }
 
-      const cart = await Cart.getOrCreateCart();
-      await cart.updateItemQuantity(productId, quantity);
+      const cart = await Cart.getOrCreateCart(req.user._id);
+      await cart.updateItemQuantity(productId, quantity, variantId);
 
       await cart.populate({
         path: 'items.productId',
@@ -175,9 +189,10 @@ router.delete('/items/:productId',
   async (req, res) => {
     try {
       const { productId } = req.params;
+      const variantId = req.query.variantId || req.body?.variantId || null;
 
       const cart = await Cart.getOrCreateCart(req.user._id);
-      await cart.removeItem(productId);
+      await cart.removeItem(productId, variantId);
 
       await cart.populate({
         path: 'items.productId',
@@ -247,109 +262,7 @@ router.get('/grouped', async (req, res) => {
   }
 });
 
-// Procesar checkout (crear órdenes)
-router.post('/checkout', async (req, res) => {
-  try {
-    const { shippingAddress, paymentMethod } = req.body;
-
-    if (!shippingAddress) {
-      return res.status(400).json({
-        success: false,
-        message: 'Dirección de envío es requerida'
-      });
-    }
-
-    const cart = await Cart.getOrCreateCart(req.user._id);
-    
-    if (cart.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'El carrito está vacío'
-      });
-    }
-
-    // Verificar disponibilidad de todos los productos
-    await cart.populate('items.productId');
-    
-    for (const item of cart.items) {
-      if (!item.productId || !item.productId.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: `Producto ${item.productId?.name || 'no encontrado'} ya no está disponible`
-        });
-      }
-      
-      if (!item.productId.isAvailable(item.quantity)) {
-        return res.status(400).json({
-          success: false,
-          message: `Stock insuficiente para ${item.productId.name}`
-        });
-      }
-    }
-
-    // Crear órdenes agrupadas por tienda
-    const Order = require('../models/Order');
-    const itemsByStore = await cart.getItemsByStore();
-    const orders = [];
-
-    for (const storeGroup of itemsByStore) {
-      const order = new Order({
-        userId: req.user._id,
-        storeId: storeGroup.storeId,
-        items: storeGroup.items.map(item => ({
-          productId: item.productId._id,
-          name: item.productId.name,
-          price: item.price,
-          quantity: item.quantity,
-          subtotal: item.price * item.quantity
-        })),
-        totalAmount: storeGroup.subtotal,
-        shippingAddress,
-        paymentMethod: paymentMethod || 'pending'
-      });
-
-      await order.save();
-      orders.push(order);
-
-      // Reducir stock de productos
-      for (const item of storeGroup.items) {
-        await item.productId.reduceStock(item.quantity);
-        await item.productId.incrementSales(item.quantity);
-      }
-    }
-
-    // Limpiar carrito después del checkout exitoso
-    await cart.clear();
-
-    // Crear notificaciones para las tiendas
-    const Notification = require('../models/Notification');
-    for (const order of orders) {
-      await Notification.createNotification({
-        userId: order.storeId.userId, // Necesitarás poblar esto
-        type: 'order',
-        title: 'Nueva orden recibida',
-        message: `Has recibido una nueva orden por $${order.totalAmount}`,
-        data: { orderId: order._id },
-        actionUrl: `/orders/${order._id}`
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'Checkout procesado exitosamente',
-      data: {
-        orders,
-        totalOrders: orders.length,
-        totalAmount: orders.reduce((sum, order) => sum + order.totalAmount, 0)
-      }
-    });
-
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error procesando el checkout'
-    });
-  }
-});
+// Procesar checkout (misma lógica que POST /api/orders/checkout)
+router.post('/checkout', checkout);
 
 module.exports = router;
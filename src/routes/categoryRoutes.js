@@ -0,0 +1,52 @@
+/**
+ * RUTAS DE CATEGORÍAS
+ *
+ * Consulta del árbol de categorías de productos y administración de la
+ * taxonomía (crear, renombrar, mover y eliminar categorías).
+ *
+ * @routes CategoryRoutes
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * @route GET /api/categories
+ * @desc Obtener el árbol de categorías activas (lista plana con ?flat=true)
+ * @access Public
+ */
+router.get('/', categoryController.getCategories);
+
+/**
+ * @route GET /api/categories/:idOrSlug
+ * @desc Obtener una categoría con sus subcategorías, su ruta desde la raíz y sus atributos
+ * @access Public
+ */
+router.get('/:idOrSlug', categoryController.getCategory);
+
+/**
+ * @route POST /api/categories
+ * @desc Crear categoría
+ * @access Private (administradores)
+ */
+router.post('/', requireRole('admin'), categoryController.createCategory);
+
+/**
+ * @route PUT /api/categories/:id
+ * @desc Actualizar, mover o cambiar los atributos de una categoría
+ * @access Private (administradores)
+ */
+router.put('/:id', requireRole('admin'), categoryController.updateCategory);
+
+/**
+ * @route DELETE /api/categories/:id
+ * @desc Eliminar una categoría sin subcategorías ni productos
+ * @access Private (administradores)
+ */
+router.delete('/:id', requireRole('admin'), categoryController.deleteCategory);
+
+module.exports = router;
@@ -1,36 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 
 const Comment = require('../models/Comment');
-const User = require('../models/User');
-
-// Middleware de autenticación
-const authenticate = async (req, res, next) => {
-  try {
-    let token = req.header('Authorization');
-    
-    if (token && token.startsWith('Bearer ')) {
-      token = token.slice(7);
-    }
-
-    if (!token) {
-      return res.status(401).json({ success: false, message: 'Token de acceso requerido' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'Usuario no encontrado' });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    return res.status(401).json({ success: false, message: 'Token inválido' });
-  }
-};
+const { requireAuth } = require('../middleware/auth');
 
 // Obtener comentarios de un producto
 router.get('/product/:productId', 
@@ -48,7 +20,7 @@ router.get('/product/:productId',
 
 // Crear comentario
 router.post('/product/:productId',
-  authenticate,
+  requireAuth,
   async (req, res) => {
     try {
       const { content, parentCommentId } = req.body;
@@ -76,7 +48,7 @@ router.post('/product/:productId',
 
 // Dar like a un comentario
 router.post('/:commentId/like',
-  authenticate,
+  requireAuth,
   async (req, res) => {
     try {
       const comment = await Comment.findById(req.params.commentId);
@@ -3,9 +3,10 @@ const router = express.Router();
 const User = require('../models/User');
 const Product = require('../models/Product');
 const Store = require('../models/Store');
+const { requireRole } = require('../middleware/auth');
 
 // Ruta para obtener usuarios (SOLO PARA DESARROLLO/TESTING)
-router.get('/users', async (req, res) => {
+router.get('/users', requireRole('admin'), async (req, res) => {
   try {
     const users = await User.find({}, 'email username fullName userType').limit(5);
     res.json({
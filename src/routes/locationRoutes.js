@@ -0,0 +1,51 @@
+/**
+ * RUTAS DE UBICACIONES
+ * 
+ * Catálogo de provincias, cantones y distritos de Costa Rica con sus
+ * códigos postales, para selectores en cascada y validación de direcciones.
+ * 
+ * @routes LocationRoutes
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/locationController');
+
+/**
+ * @route GET /api/locations/provincias
+ * @desc Obtener las provincias
+ * @access Public
+ */
+router.get('/provincias', locationController.getProvincias);
+
+/**
+ * @route GET /api/locations/provincias/:provincia/cantones
+ * @desc Obtener los cantones de una provincia (código o nombre)
+ * @access Public
+ */
+router.get('/provincias/:provincia/cantones', locationController.getCantones);
+
+/**
+ * @route GET /api/locations/provincias/:provincia/cantones/:canton/distritos
+ * @desc Obtener los distritos de un cantón con su código postal
+ * @access Public
+ */
+router.get('/provincias/:provincia/cantones/:canton/distritos', locationController.getDistritos);
+
+/**
+ * @route GET /api/locations/postal-code/:codigoPostal
+ * @desc Obtener provincia, cantón y distrito de un código postal
+ * @access Public
+ */
+router.get('/postal-code/:codigoPostal', locationController.getByPostalCode);
+
+/**
+ * @route POST /api/locations/validate
+ * @desc Validar una dirección y completar su código postal
+ * @access Public
+ */
+router.post('/validate', locationController.validateAddress);
+
+module.exports = router;
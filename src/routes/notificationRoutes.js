@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 
 const Notification = require('../models/Notification');
+const { requireAuth } = require('../middleware/auth');
+
+// Todas las rutas requieren autenticación
+router.use(requireAuth);
 
 // Obtener notificaciones del usuario
 router.get('/', async (req, res) => {
@@ -13,21 +13,30 @@ const express = require('express');
 const router = express.Router();
 const {
   createOrder,
+  checkout,
   getMyOrders,
   getStoreOrders,
   getOrderById,
   updateOrderStatus,
+  cancelOrder,
   seedOrders
 } = require('../controllers/orderController');
+const { requireAuth, requireStoreOwner } = require('../middleware/auth');
+
+// Todas las rutas de órdenes requieren autenticación
+router.use(requireAuth);
 
 // Crear una nueva orden
 router.post('/', createOrder);
 
+// Crear una orden a partir del carrito del usuario
+router.post('/checkout', checkout);
+
 // Obtener mis órdenes
 router.get('/my-orders', getMyOrders);
 
 // Obtener órdenes de una tienda específica
-router.get('/store/:storeId', getStoreOrders);
+router.get('/store/:storeId', requireStoreOwner('storeId'), getStoreOrders);
 
 // Crear datos de ejemplo (solo para desarrollo)
 router.post('/seed', seedOrders);
@@ -38,4 +47,7 @@ router.get('/:id', getOrderById);
 // Actualizar estado de una orden
 router.put('/:id/status', updateOrderStatus);
 
+// Cancelar una orden o el grupo de entrega de una tienda
+router.post('/:id/cancel', cancelOrder);
+
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 
 const productController = require('../controllers/productController');
+const { requireAuth, requireProductOwner } = require('../middleware/auth');
 
 // Rutas públicas
 router.get('/', 
@@ -10,6 +11,15 @@ router.get('/',
 
 router.get('/categories', productController.getCategories);
 
+// Búsqueda con facetas para la barra de filtros
+router.get('/search', productController.searchProducts);
+
+// Autocompletado mientras se escribe
+router.get('/suggest', productController.suggestProducts);
+
+// Productos de la tienda del usuario en cualquier estado (borradores, programados...)
+router.get('/mine', requireAuth, productController.getMyProducts);
+
 router.get('/:id', 
   productController.getProductById
 );
@@ -18,22 +28,36 @@ router.get('/:id/related',
   productController.getRelatedProducts
 );
 
+// Historial de precios para gráficos y precio más bajo de 30 días
+router.get('/:id/price-history', productController.getPriceHistory);
+
 // Rutas para tiendas
 
 router.post('/createproduct',
+  requireAuth,
   productController.createProduct
 );
 
 router.put('/:id',
+  requireAuth,
   productController.updateProduct
 );
 
+// Publicar, programar, pausar o archivar un producto
+router.put('/:id/status', requireAuth, productController.updateProductStatus);
+
+// Libro de inventario del producto y ajustes manuales de stock
+router.get('/:id/stock-movements', requireAuth, productController.getStockMovements);
+router.post('/:id/stock-adjustments', requireAuth, productController.adjustStock);
+
 router.delete('/:id',
+  requireAuth,
   productController.deleteProduct
 );
 
 // Subir imágenes adicionales a un producto existente
 router.post('/:id/images',
+  requireProductOwner('id'),
   async (req, res) => {
     try {
       if (!req.files || req.files.length === 0) {
@@ -43,25 +67,7 @@ router.post('/:id/images',
         });
       }
 
-      const Product = require('../models/Product');
-      const Store = require('../models/Store');
-
-      const product = await Product.findById(req.params.id);
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: 'Producto no encontrado'
-        });
-      }
-
-      // Verificar que el producto pertenece a la tienda del usuario
-      const store = await Store.findOne({ userId: req.user._id });
-      if (!product.storeId.equals(store._id)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para modificar este producto'
-        });
-      }
+      const { product } = req;
 
       // Agregar nuevas imágenes
       const newImages = req.files.map(file => `/uploads/${file.filename}`);
@@ -88,28 +94,11 @@ router.post('/:id/images',
 
 // Eliminar imagen específica de un producto
 router.delete('/:id/images/:imageIndex',
+  requireProductOwner('id'),
   async (req, res) => {
     try {
-      const { id, imageIndex } = req.params;
-      const Product = require('../models/Product');
-      const Store = require('../models/Store');
-
-      const product = await Product.findById(id);
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: 'Producto no encontrado'
-        });
-      }
-
-      // Verificar permisos
-      const store = await Store.findOne({ userId: req.user._id });
-      if (!product.storeId.equals(store._id)) {
-        return res.status(403).json({
-          success: false,
-          message: 'No tienes permisos para modificar este producto'
-        });
-      }
+      const { imageIndex } = req.params;
+      const { product } = req;
 
       const index = parseInt(imageIndex);
       if (index < 0 || index >= product.images.length) {
@@ -11,6 +11,10 @@
 const express = require('express');
 const router = express.Router();
 const purchaseController = require('../controllers/purchaseController');
+const { requireAuth } = require('../middleware/auth');
+
+// Todas las rutas de compras requieren autenticación
+router.use(requireAuth);
 
 /**
  * @route GET /api/purchases/my-purchases
@@ -33,4 +37,11 @@ router.get('/stats', purchaseController.getPurchaseStats);
  */
 router.get('/:id', purchaseController.getPurchaseDetails);
 
+/**
+ * @route GET /api/purchases/:id/invoice
+ * @desc Descargar la factura electrónica (XML) de una compra
+ * @access Private
+ */
+router.get('/:id/invoice', purchaseController.getPurchaseInvoice);
+
 module.exports = router;
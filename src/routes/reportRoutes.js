@@ -3,17 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 
-// Middlewares temporales para desarrollo
-const auth = (req, res, next) => {
-  // Middleware temporal - en producción usar middleware real
-  req.user = { id: '507f1f77bcf86cd799439011' };
-  next();
-};
-
-const adminAuth = (req, res, next) => {
-  // Middleware temporal - en producción usar middleware real
-  next();
-};
+const { requireAuth, requireRole, hasRole } = require('../middleware/auth');
 
 const {
   createReport,
@@ -40,32 +30,13 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Middleware para verificar si el usuario puede moderar reportes
-const moderatorAuth = async (req, res, next) => {
-  try {
-    if (req.user.role !== 'admin' && req.user.role !== 'moderator') {
-      return res.status(403).json({
-        success: false,
-        message: 'Acceso denegado. Se requieren permisos de moderador.'
-      });
-    }
-    next();
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error de autorización',
-      error: error.message
-    });
-  }
-};
-
 /**
  * @route   POST /api/reports
  * @desc    Crear un nuevo reporte
- * @access  Público (sin auth temporalmente)
+ * @access  Privado
  */
 router.post('/',
-  // auth,
+  requireAuth,
   [
     body('reportType')
       .isIn(['product', 'store', 'user', 'comment', 'review'])
@@ -120,11 +91,10 @@ router.post('/',
 /**
  * @route   GET /api/reports
  * @desc    Obtener lista de reportes con filtros
- * @access  Público (sin auth temporalmente)
+ * @access  Privado (moderadores y administradores)
  */
 router.get('/',
-  // auth,
-  // moderatorAuth,
+  requireRole('moderator'),
   [
     query('status')
       .optional()
@@ -181,8 +151,7 @@ router.get('/',
  * @access  Privado (administradores)
  */
 router.get('/stats',
-  auth,
-  adminAuth,
+  requireRole('admin'),
   [
     query('timeframe')
       .optional()
@@ -199,7 +168,7 @@ router.get('/stats',
  * @access  Privado (el mismo usuario o moderadores)
  */
 router.get('/user/:userId',
-  auth,
+  requireAuth,
   [
     param('userId')
       .isMongoId()
@@ -216,9 +185,7 @@ router.get('/user/:userId',
   handleValidationErrors,
   (req, res, next) => {
     // Verificar que el usuario puede ver estos reportes
-    if (req.user.id !== req.params.userId && 
-        req.user.role !== 'admin' && 
-        req.user.role !== 'moderator') {
+    if (req.user.id !== req.params.userId && !hasRole(req.user, 'moderator')) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para ver estos reportes'
@@ -235,8 +202,7 @@ router.get('/user/:userId',
  * @access  Privado (moderadores y administradores)
  */
 router.get('/:id',
-  auth,
-  moderatorAuth,
+  requireRole('moderator'),
   [
     param('id')
       .isMongoId()
@@ -252,8 +218,7 @@ router.get('/:id',
  * @access  Privado (administradores)
  */
 router.put('/:id/assign',
-  auth,
-  adminAuth,
+  requireRole('admin'),
   [
     param('id')
       .isMongoId()
@@ -272,8 +237,7 @@ router.put('/:id/assign',
  * @access  Privado (moderadores y administradores)
  */
 router.post('/:id/actions',
-  auth,
-  moderatorAuth,
+  requireRole('moderator'),
   [
     param('id')
       .isMongoId()
@@ -305,8 +269,7 @@ router.post('/:id/actions',
  * @access  Privado (moderadores y administradores)
  */
 router.put('/:id/resolve',
-  auth,
-  moderatorAuth,
+  requireRole('moderator'),
   [
     param('id')
       .isMongoId()
@@ -329,8 +292,7 @@ router.put('/:id/resolve',
  * @access  Privado (administradores)
  */
 router.delete('/:id',
-  auth,
-  adminAuth,
+  requireRole('admin'),
   [
     param('id')
       .isMongoId()
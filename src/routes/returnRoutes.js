@@ -0,0 +1,76 @@
+/**
+ * RUTAS DE DEVOLUCIONES
+ * 
+ * Maneja las solicitudes de devolución (RMA): creación por el comprador,
+ * aprobación o rechazo por la tienda, envío de regreso y reembolso.
+ * 
+ * @routes ReturnRoutes
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const returnController = require('../controllers/returnController');
+const { requireAuth } = require('../middleware/auth');
+
+// Todas las rutas de devoluciones requieren autenticación
+router.use(requireAuth);
+
+/**
+ * @route POST /api/returns
+ * @desc Solicitar la devolución de productos entregados
+ * @access Private (comprador)
+ */
+router.post('/', returnController.createReturn);
+
+/**
+ * @route GET /api/returns/my-returns
+ * @desc Obtener las devoluciones del comprador autenticado
+ * @access Private (comprador)
+ */
+router.get('/my-returns', returnController.getMyReturns);
+
+/**
+ * @route GET /api/returns/store
+ * @desc Obtener las devoluciones recibidas por la tienda del usuario
+ * @access Private (tienda)
+ */
+router.get('/store', returnController.getStoreReturns);
+
+/**
+ * @route GET /api/returns/:id
+ * @desc Obtener detalles de una devolución
+ * @access Private (comprador o tienda)
+ */
+router.get('/:id', returnController.getReturnById);
+
+/**
+ * @route PUT /api/returns/:id/approve
+ * @desc Aprobar una devolución
+ * @access Private (tienda)
+ */
+router.put('/:id/approve', returnController.approveReturn);
+
+/**
+ * @route PUT /api/returns/:id/reject
+ * @desc Rechazar una devolución
+ * @access Private (tienda)
+ */
+router.put('/:id/reject', returnController.rejectReturn);
+
+/**
+ * @route PUT /api/returns/:id/ship
+ * @desc Registrar el envío del producto de regreso a la tienda
+ * @access Private (comprador)
+ */
+router.put('/:id/ship', returnController.shipReturn);
+
+/**
+ * @route PUT /api/returns/:id/receive
+ * @desc Confirmar recepción del producto y procesar el reembolso
+ * @access Private (tienda)
+ */
+router.put('/:id/receive', returnController.receiveReturn);
+
+module.exports = router;
@@ -1,36 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 
 const Review = require('../models/Review');
-const User = require('../models/User');
-
-// Middleware de autenticación
-const authenticate = async (req, res, next) => {
-  try {
-    let token = req.header('Authorization');
-    
-    if (token && token.startsWith('Bearer ')) {
-      token = token.slice(7);
-    }
-
-    if (!token) {
-      return res.status(401).json({ success: false, message: 'Token de acceso requerido' });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'Usuario no encontrado' });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    return res.status(401).json({ success: false, message: 'Token inválido' });
-  }
-};
+const { requireAuth } = require('../middleware/auth');
 
 // Obtener reseñas de un producto
 router.get('/product/:productId', async (req, res) => {
@@ -97,7 +69,7 @@ router.get('/product/:productId', async (req, res) => {
 
 // Crear reseña de producto
 router.post('/product/:productId', 
-  authenticate,
+  requireAuth,
   async (req, res) => {
     try {
       const { rating, title, comment, pros = [], cons = [] } = req.body;
@@ -160,7 +132,7 @@ router.post('/product/:productId',
 
 // Marcar reseña como útil
 router.post('/:reviewId/helpful', 
-  authenticate,
+  requireAuth,
   async (req, res) => {
     try {
       const review = await Review.findById(req.params.reviewId);
@@ -214,7 +186,7 @@ router.get('/store/:storeId', async (req, res) => {
 
 // Crear reseña de tienda
 router.post('/store/:storeId', 
-  authenticate,
+  requireAuth,
   async (req, res) => {
     try {
       const { rating, title, comment, pros = [], cons = [] } = req.body;
@@ -251,7 +223,7 @@ router.post('/store/:storeId',
 );
 
 // Obtener reseñas del usuario actual
-router.get('/my-reviews', authenticate, async (req, res) => {
+router.get('/my-reviews', requireAuth, async (req, res) => {
   try {
     const reviews = await Review.find({
       userId: req.user._id,
@@ -270,7 +242,7 @@ router.get('/my-reviews', authenticate, async (req, res) => {
 });
 
 // Reportar una reseña
-router.post('/:reviewId/report', authenticate, async (req, res) => {
+router.post('/:reviewId/report', requireAuth, async (req, res) => {
   try {
     const { reason } = req.body;
     const reviewId = req.params.reviewId;
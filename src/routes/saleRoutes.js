@@ -11,6 +11,10 @@
 const express = require('express');
 const router = express.Router();
 const saleController = require('../controllers/saleController');
+const { requireAuth } = require('../middleware/auth');
+
+// Todas las rutas de ventas requieren autenticación
+router.use(requireAuth);
 
 /**
  * @route GET /api/sales/my-sales
@@ -33,4 +37,11 @@ router.get('/stats', saleController.getSalesStats);
  */
 router.get('/:id', saleController.getSaleDetails);
 
+/**
+ * @route GET /api/sales/:id/invoice
+ * @desc Descargar la factura electrónica (XML) de una venta
+ * @access Private
+ */
+router.get('/:id/invoice', saleController.getSaleInvoice);
+
 module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * RUTAS DE ENVÍOS
+ * 
+ * Cotización de envíos por tienda según la dirección de destino y el
+ * peso de los productos, y administración de las tarifas de cada tienda.
+ * 
+ * @routes ShippingRoutes
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const router = express.Router();
+const shippingController = require('../controllers/shippingController');
+const { optionalAuth, requireAuth } = require('../middleware/auth');
+
+/**
+ * @route POST /api/shipping/quote
+ * @desc Cotizar opciones de envío por tienda para items o el carrito del usuario
+ * @access Public (Private si se cotiza el carrito)
+ */
+router.post('/quote', optionalAuth, shippingController.quoteShippingOptions);
+
+/**
+ * @route PUT /api/shipping/rates
+ * @desc Reemplazar la tabla de tarifas de envío de la tienda del usuario
+ * @access Private (tienda)
+ */
+router.put('/rates', requireAuth, shippingController.updateMyRates);
+
+/**
+ * @route GET /api/shipping/rates/:storeId
+ * @desc Obtener las tarifas de envío de una tienda
+ * @access Public
+ */
+router.get('/rates/:storeId', shippingController.getStoreRates);
+
+module.exports = router;
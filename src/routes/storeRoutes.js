@@ -1,8 +1,32 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 
 const Store = require('../models/Store');
 const User = require('../models/User');
+const Category = require('../models/Category');
+const productImportController = require('../controllers/productImportController');
+const { requireAuth, requireStoreOwner, ownsStore } = require('../middleware/auth');
+
+// Archivos de importación en memoria (se procesan sin guardarse en disco)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+}).single('file');
+
+const handleImportUpload = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? 'El archivo no puede superar 5 MB'
+          : 'Error al recibir el archivo'
+      });
+    }
+    next();
+  });
+};
 
 // Obtener todas las tiendas públicas
 router.get('/', async (req, res) => {
@@ -11,13 +35,13 @@ router.get('/', async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Filtrar solo tiendas públicas
-    const stores = await Store.find()
+    const stores = await Store.find(Store.visibleFilter())
       .populate('userId', 'fullName photo country email address phone')
       .sort({ [sortBy]: parseInt(sortOrder) })
       .skip(skip)
       .limit(parseInt(limit));
 
-    const total = await Store.countDocuments({ isPublic: true });
+    const total = await Store.countDocuments(Store.visibleFilter());
 
     res.json({
       success: true,
@@ -39,7 +63,8 @@ router.get('/user/:userId', async (req, res) => {
     const store = await Store.findOne({ userId })
       .populate('userId', 'fullName photo country email address');
 
-    if (!store) {
+    // Una tienda suspendida solo la ve su propietario
+    if (!store || (store.isSuspended && !ownsStore(req.user, store))) {
       return res.status(404).json({ 
         success: false, 
         message: 'No se encontró tienda para este usuario' 
@@ -59,13 +84,19 @@ router.get('/user/:userId', async (req, res) => {
   }
 });
 
+// Importación y exportación masiva de productos de la tienda del usuario
+router.post('/me/products/import', requireStoreOwner(), handleImportUpload, productImportController.importProducts);
+router.get('/me/products/import', requireStoreOwner(), productImportController.getImportJobs);
+router.get('/me/products/import/:jobId', requireStoreOwner(), productImportController.getImportJob);
+router.get('/me/products/export', requireStoreOwner(), productImportController.exportProducts);
+
 // Obtener tienda por ID
 router.get('/:id', async (req, res) => {
   try {
     const store = await Store.findById(req.params.id)
       .populate('userId', 'fullName photo country socialNetworks');
 
-    if (!store || !store.isPublic) {
+    if (!store || !store.isPublic || store.isSuspended) {
       return res.status(404).json({ success: false, message: 'Tienda no encontrada' });
     }
 
@@ -76,7 +107,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Seguir/dejar de seguir tienda
-router.post('/:id/follow', async (req, res) => {
+router.post('/:id/follow', requireAuth, async (req, res) => {
   try {
     const store = await Store.findById(req.params.id);
     if (!store) {
@@ -98,13 +129,28 @@ router.post('/:id/follow', async (req, res) => {
 });
 
 // Actualizar perfil de tienda (solo propietarios)
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireStoreOwner('id'), async (req, res) => {
   try {
-    const { description, categories, isPublic } = req.body;
+    const { description, categories, isPublic, invoicing } = req.body;
+
+    const updateData = {
+      description,
+      categories: categories !== undefined ? await Category.canonicalNames(categories) : undefined,
+      isPublic
+    };
+
+    // Datos de facturación electrónica (el consecutivo no se modifica manualmente)
+    if (invoicing) {
+      ['branch', 'terminal', 'activityCode'].forEach(field => {
+        if (invoicing[field] !== undefined) {
+          updateData[`invoicing.${field}`] = invoicing[field];
+        }
+      });
+    }
     
     const store = await Store.findOneAndUpdate(
-      { userId: req.user._id },
-      { description, categories, isPublic },
+      { _id: req.store._id },
+      updateData,
       { new: true, runValidators: true }
     ).populate('userId', 'fullName photo');
 
@@ -1,5 +1,9 @@
 const express = require('express');
 const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+
+// Subir archivos requiere usuario autenticado
+router.use(requireAuth);
 
 // Subir archivo genérico
 router.post('/file',
@@ -2,12 +2,21 @@ const express = require('express');
 const router = express.Router();
 
 const User = require('../models/User');
+const addressController = require('../controllers/addressController');
+const { requireAuth } = require('../middleware/auth');
+
+// Libreta de direcciones del usuario autenticado
+router.get('/me/addresses', requireAuth, addressController.getMyAddresses);
+router.post('/me/addresses', requireAuth, addressController.addAddress);
+router.put('/me/addresses/:addressId', requireAuth, addressController.updateAddress);
+router.delete('/me/addresses/:addressId', requireAuth, addressController.deleteAddress);
+router.put('/me/addresses/:addressId/default', requireAuth, addressController.setDefaultAddress);
 
 // Obtener perfil público de usuario
 router.get('/:id',  async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('-password -email -phone -address -idNumber')
+      .select('-password -email -phone -address -addresses -location -taxExemption -idNumber')
       .populate('store');
 
     if (!user || !user.isActive) {
@@ -1,31 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
 const Wishlist = require('../models/Wishlist');
 const Product = require('../models/Product');
+const { requireAuth } = require('../middleware/auth');
 
-// Función simple para verificar token
-const getUser = async (req) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) return null;
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    return user;
-  } catch (error) {
-    return null;
-  }
-};
+// Todas las rutas de la lista de deseos requieren usuario autenticado
+router.use(requireAuth);
 
 // GET /api/wishlist - Obtener wishlist
 router.get('/', async (req, res) => {
   try {
-    const user = await getUser(req);
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'No autenticado' });
-    }
+    const { user } = req;
 
     const wishlist = await Wishlist.findOne({ userId: user._id }).populate('products.productId');
         
@@ -46,10 +31,7 @@ router.get('/', async (req, res) => {
 // POST /api/wishlist - Agregar producto
 router.post('/', async (req, res) => {
   try {
-    const user = await getUser(req);
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'No autenticado' });
-    }
+    const { user } = req;
 
     const { productId } = req.body;
         
@@ -92,10 +74,7 @@ router.post('/', async (req, res) => {
 // DELETE /api/wishlist/clear - Limpiar toda la wishlist
 router.delete('/clear', async (req, res) => {
   try {
-    const user = await getUser(req);
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'No autenticado' });
-    }
+    const { user } = req;
 
     const result = await Wishlist.findOneAndUpdate(
       { userId: user._id },
@@ -119,10 +98,7 @@ router.delete('/clear', async (req, res) => {
 // DELETE /api/wishlist/:productId - Remover producto
 router.delete('/:productId', async (req, res) => {
   try {
-    const user = await getUser(req);
-    if (!user) {
-      return res.status(401).json({ success: false, message: 'No autenticado' });
-    }
+    const { user } = req;
 
     const { productId } = req.params;
     
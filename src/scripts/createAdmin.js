@@ -0,0 +1,51 @@
+/**
+ * CREAR ADMINISTRADOR
+ *
+ * Da el rol de administrador a un usuario ya registrado. Sirve para crear
+ * el primer administrador de la plataforma; los siguientes se asignan
+ * desde PUT /api/admin/users/:id/roles. Con --revoke quita el rol.
+ *
+ * Uso: npm run create:admin -- --email=<email> [--revoke]
+ *
+ * @script CreateAdmin
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const revoke = process.argv.includes('--revoke');
+const emailArg = process.argv.find(arg => arg.startsWith('--email='));
+
+const run = async () => {
+  const email = emailArg ? emailArg.split('=')[1].trim().toLowerCase() : '';
+  if (!email) {
+    throw new Error('Indica el correo del usuario: npm run create:admin -- --email=<email>');
+  }
+
+  const mongoURI = process.env.ATLAS_URI || 'mongodb://localhost:27017/marketplace';
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+
+  const user = await User.findOneAndUpdate(
+    { email },
+    revoke ? { $pull: { roles: 'admin' } } : { $addToSet: { roles: 'admin' } },
+    { new: true }
+  );
+  if (!user) {
+    throw new Error(`No existe un usuario con el correo ${email}`);
+  }
+
+  console.log(revoke
+    ? `Rol de administrador retirado a ${user.email}`
+    : `${user.email} ahora es administrador (roles: ${user.roles.join(', ')})`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Error al crear administrador:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,176 @@
+/**
+ * MIGRACIÓN DE CATEGORÍAS
+ *
+ * Crea o actualiza el árbol de categorías definido en src/config/categories.js
+ * y asigna a cada producto la categoría que corresponde a su texto libre
+ * (por nombre en español o inglés, slug o alias, sin tildes ni mayúsculas).
+ * Los textos que no coinciden con ninguna categoría se crean como categorías
+ * raíz para no perder información. También normaliza las categorías de las
+ * tiendas al nombre oficial.
+ *
+ * Uso: npm run migrate:categories [-- --dry-run]
+ *
+ * @script MigrateCategories
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const taxonomy = require('../config/categories');
+
+const dryRun = process.argv.includes('--dry-run');
+const { slugify } = Category;
+
+// Claves con las que un texto libre se asigna a una categoría
+const keysFor = (category) => [
+  category.slug,
+  category.name.es,
+  category.name.en,
+  ...(category.aliases || [])
+].filter(Boolean).map(slugify);
+
+// Crear o actualizar las categorías de la taxonomía (recursivo)
+const upsertTaxonomy = async (nodes, parent = null, summary = { created: 0, updated: 0 }) => {
+  for (const [order, node] of nodes.entries()) {
+    const slug = slugify(node.name.es);
+    let category = await Category.findOne({ slug });
+
+    if (!category) {
+      category = new Category({ slug });
+      summary.created += 1;
+    } else {
+      summary.updated += 1;
+    }
+
+    category.name = node.name;
+    category.icon = node.icon;
+    category.order = order;
+    category.parent = parent ? parent._id : null;
+    // Se conservan los alias y atributos agregados por administradores
+    category.aliases = [...(category.aliases || []), ...(node.aliases || [])];
+    if (node.attributes && category.attributes.length === 0) {
+      category.attributes = node.attributes;
+    }
+
+    if (!dryRun) {
+      await category.save();
+    }
+
+    if (node.children) {
+      await upsertTaxonomy(node.children, category, summary);
+    }
+  }
+
+  return summary;
+};
+
+// Mapa de claves a categorías existentes (más las de la taxonomía en modo prueba)
+const buildLookup = async () => {
+  const lookup = new Map();
+  const register = (category) => keysFor(category).forEach(key => {
+    if (!lookup.has(key)) lookup.set(key, category);
+  });
+
+  (await Category.find().lean()).forEach(register);
+
+  if (dryRun) {
+    const walk = (nodes) => nodes.forEach(node => {
+      register({ ...node, slug: slugify(node.name.es) });
+      if (node.children) walk(node.children);
+    });
+    walk(taxonomy);
+  }
+
+  return lookup;
+};
+
+// Asignar categoryId y el nombre oficial a los productos
+const migrateProducts = async (lookup) => {
+  const values = await Product.distinct('category');
+  const summary = { mapped: [], created: [] };
+
+  for (const value of values) {
+    const key = slugify(value);
+    if (!key) continue;
+
+    let category = lookup.get(key);
+
+    if (!category) {
+      // Texto sin equivalente: se crea como categoría raíz
+      category = dryRun
+        ? { name: { es: value.trim() }, slug: key }
+        : (await new Category({ name: { es: value.trim() } }).save()).toObject();
+      lookup.set(key, category);
+      summary.created.push(value);
+    }
+
+    const filter = { category: value };
+    const count = await Product.countDocuments(filter);
+    summary.mapped.push({ from: value, to: category.name.es, products: count });
+
+    if (!dryRun) {
+      await Product.updateMany(filter, {
+        category: category.name.es,
+        categoryId: category._id
+      });
+    }
+  }
+
+  return summary;
+};
+
+// Reemplazar las categorías de las tiendas por los nombres oficiales
+const migrateStores = async (lookup) => {
+  const stores = await Store.find({ 'categories.0': { $exists: true } }).select('categories');
+  let updated = 0;
+
+  for (const store of stores) {
+    const categories = [...new Set(store.categories.map(value =>
+      lookup.get(slugify(value))?.name.es || value.trim()
+    ))];
+
+    if (categories.join('|') !== store.categories.join('|')) {
+      updated += 1;
+      if (!dryRun) {
+        await Store.updateOne({ _id: store._id }, { categories });
+      }
+    }
+  }
+
+  return { total: stores.length, updated };
+};
+
+const run = async () => {
+  const mongoURI = process.env.ATLAS_URI || 'mongodb://localhost:27017/marketplace';
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+
+  console.log(dryRun ? 'Modo de prueba: no se guardarán cambios' : 'Migrando categorías...');
+
+  const taxonomySummary = await upsertTaxonomy(taxonomy);
+  console.log(`Categorías de la taxonomía: ${taxonomySummary.created} nuevas, ${taxonomySummary.updated} existentes`);
+
+  const lookup = await buildLookup();
+
+  const products = await migrateProducts(lookup);
+  products.mapped.forEach(({ from, to, products: count }) => {
+    console.log(`  "${from}" -> "${to}" (${count} productos)`);
+  });
+  if (products.created.length > 0) {
+    console.log(`Categorías creadas para textos sin equivalente: ${products.created.join(', ')}`);
+  }
+
+  const stores = await migrateStores(lookup);
+  console.log(`Tiendas con categorías normalizadas: ${stores.updated} de ${stores.total}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Error en la migración de categorías:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
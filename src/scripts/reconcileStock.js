@@ -0,0 +1,58 @@
+/**
+ * CONCILIACIÓN DE INVENTARIO
+ *
+ * Compara el stock guardado de cada producto (y de sus variantes) con el
+ * que resulta de sumar su libro de movimientos (StockMovement) y muestra
+ * las diferencias. Con --fix registra un ajuste por cada diferencia para
+ * que el libro coincida con el stock actual; la primera ejecución con
+ * --fix sirve además para cargar el stock de los productos anteriores al
+ * libro de inventario.
+ *
+ * Uso: npm run reconcile:stock [-- --fix] [-- --store=<id>]
+ *
+ * @script ReconcileStock
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const inventory = require('../services/inventory');
+
+const fix = process.argv.includes('--fix');
+const storeArg = process.argv.find(arg => arg.startsWith('--store='));
+
+const run = async () => {
+  const mongoURI = process.env.ATLAS_URI || 'mongodb://localhost:27017/marketplace';
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+
+  console.log(fix ? 'Conciliando inventario...' : 'Modo de revisión: no se registrarán ajustes');
+
+  const filter = storeArg ? { storeId: storeArg.split('=')[1] } : {};
+  const cursor = Product.find(filter).select('name storeId stock variants').cursor();
+  let total = 0;
+  let inconsistent = 0;
+
+  for await (const product of cursor) {
+    total += 1;
+    const result = await inventory.reconcile(product, { fix });
+    if (result.consistent) continue;
+
+    inconsistent += 1;
+    result.differences.forEach(({ variant, stock, ledgerStock }) => {
+      const label = variant ? ` (variante ${variant})` : '';
+      console.log(`  ${product.name}${label}: stock ${stock}, libro ${ledgerStock}`);
+    });
+  }
+
+  console.log(`Productos revisados: ${total}, con diferencias: ${inconsistent}${fix ? ' (ajustados)' : ''}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Error en la conciliación de inventario:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,80 @@
+/**
+ * VERIFICACIÓN DE CORREO DE CUENTAS ANTERIORES
+ *
+ * Las cuentas creadas antes de la verificación de correo tienen
+ * emailVerified en false y quedarían con los límites de una cuenta sin
+ * verificar. Este script busca las cuentas sin verificar creadas antes de la
+ * fecha de despliegue (--before) y muestra cuántas son; con --mark-verified
+ * las marca como verificadas y con --send-email les envía el enlace de
+ * verificación (quedan sin verificar hasta que lo abran).
+ *
+ * Uso: npm run verify:existing-users -- --before=AAAA-MM-DD [--mark-verified | --send-email]
+ *
+ * @script VerifyExistingUsers
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const emailVerification = require('../services/emailVerification');
+
+const markVerified = process.argv.includes('--mark-verified');
+const sendEmail = process.argv.includes('--send-email');
+
+const beforeArg = process.argv.find(arg => arg.startsWith('--before='));
+
+const run = async () => {
+  if (markVerified && sendEmail) {
+    throw new Error('Usa --mark-verified o --send-email, no ambos');
+  }
+
+  // Fecha en que se desplegó la verificación de correo
+  const before = beforeArg ? new Date(beforeArg.split('=')[1]) : null;
+  if (!before || isNaN(before)) {
+    throw new Error('Indica la fecha de despliegue de la verificación con --before=AAAA-MM-DD');
+  }
+
+  // Cuentas sin verificar creadas antes de la verificación de correo
+  const legacyFilter = { emailVerified: { $ne: true }, createdAt: { $lt: before } };
+
+  const mongoURI = process.env.ATLAS_URI || 'mongodb://localhost:27017/marketplace';
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+
+  if (markVerified) {
+    const result = await User.updateMany(legacyFilter, { $set: { emailVerified: true } });
+    console.log(`Cuentas marcadas como verificadas: ${result.modifiedCount}`);
+    return;
+  }
+
+  if (sendEmail) {
+    const cursor = User.find(legacyFilter).select('email fullName').cursor();
+    let sent = 0;
+    let failed = 0;
+
+    for await (const user of cursor) {
+      try {
+        await emailVerification.sendVerificationEmail(user);
+        sent += 1;
+      } catch (error) {
+        failed += 1;
+        console.log(`  ${user.email}: ${error.message}`);
+      }
+    }
+
+    console.log(`Correos de verificación enviados: ${sent}, con error: ${failed}`);
+    return;
+  }
+
+  console.log('Modo de revisión: no se modificarán cuentas');
+  console.log(`Cuentas anteriores a la verificación de correo: ${await User.countDocuments(legacyFilter)}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Error al verificar las cuentas anteriores:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,106 @@
+/**
+ * SERVICIO DE VERIFICACIÓN DE CORREO
+ *
+ * Al registrarse, el usuario recibe un enlace con un token de un solo uso
+ * que vence en EMAIL_VERIFICATION_HOURS horas; al usarlo se marca
+ * User.emailVerified. Pedir un correo nuevo invalida el token anterior.
+ *
+ * Mientras el correo no esté verificado, la tienda no puede publicar
+ * productos y el comprador no puede hacer compras por encima de
+ * UNVERIFIED_CHECKOUT_LIMIT.
+ *
+ * @service EmailVerification
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const mailer = require('./mailer');
+
+const PURPOSE = 'email_verification';
+
+// Horas de validez del enlace de verificación
+const VERIFICATION_HOURS = parseFloat(process.env.EMAIL_VERIFICATION_HOURS || '24');
+
+// Monto máximo de una compra sin correo verificado
+const UNVERIFIED_CHECKOUT_LIMIT = parseFloat(process.env.UNVERIFIED_CHECKOUT_LIMIT || '50000');
+
+// Segundos mínimos entre dos correos de verificación del mismo usuario
+const RESEND_INTERVAL_SECONDS = 60;
+
+const verificationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Enviar al usuario un enlace de verificación nuevo
+const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(user, PURPOSE, VERIFICATION_HOURS * 60 * 60 * 1000);
+  const link = mailer.appUrl(`/verify-email?token=${token}`);
+
+  return mailer.sendMail({
+    to: user.email,
+    subject: 'Verifica tu correo electrónico',
+    text: [
+      `Hola ${user.fullName},`,
+      '',
+      'Para verificar tu correo electrónico en Marketplace CR abre este enlace:',
+      link,
+      '',
+      `El enlace vence en ${VERIFICATION_HOURS} horas. Si no creaste una cuenta, ignora este mensaje.`
+    ].join('\n'),
+    html: `<p>Hola ${mailer.escapeHtml(user.fullName)},</p>`
+      + '<p>Para verificar tu correo electrónico en Marketplace CR abre este enlace:</p>'
+      + `<p><a href="${link}">Verificar correo</a></p>`
+      + `<p>El enlace vence en ${VERIFICATION_HOURS} horas. Si no creaste una cuenta, ignora este mensaje.</p>`
+  });
+};
+
+// Verificar el correo con el token del enlace (devuelve el usuario actualizado)
+const verifyEmail = async (token) => {
+  const used = token ? await UserToken.consume(token, PURPOSE) : null;
+  if (!used) {
+    throw verificationError('Enlace de verificación inválido o vencido');
+  }
+
+  // El token solo vale para el correo al que se envió
+  const user = await User.findOneAndUpdate(
+    { _id: used.user, email: used.email },
+    { emailVerified: true },
+    { new: true }
+  ).select('-password');
+  if (!user) {
+    throw verificationError('Enlace de verificación inválido o vencido');
+  }
+
+  return user;
+};
+
+// Reenviar el enlace de verificación (como máximo uno por minuto)
+const resendVerification = async (user) => {
+  if (user.emailVerified) {
+    throw verificationError('El correo ya está verificado');
+  }
+
+  const last = await UserToken.findOne({ user: user._id, purpose: PURPOSE })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+  if (last && Date.now() - last.createdAt.getTime() < RESEND_INTERVAL_SECONDS * 1000) {
+    throw verificationError('Espera un minuto antes de pedir otro correo de verificación', 429);
+  }
+
+  await sendVerificationEmail(user);
+};
+
+// Verificar si el usuario puede hacer una compra por el monto indicado
+const canCheckout = (user, total) => user.emailVerified || total <= UNVERIFIED_CHECKOUT_LIMIT;
+
+module.exports = {
+  UNVERIFIED_CHECKOUT_LIMIT,
+  sendVerificationEmail,
+  verifyEmail,
+  resendVerification,
+  canCheckout
+};
@@ -0,0 +1,179 @@
+/**
+ * SERVICIO DE INVENTARIO
+ *
+ * Lleva el libro de movimientos de stock (StockMovement): cada venta,
+ * cancelación, devolución, ajuste manual o importación registra cuántas
+ * unidades entraron o salieron, por qué, quién lo hizo y la orden
+ * relacionada. Sumando el libro se obtiene el stock esperado de cada
+ * producto o variante, que se puede conciliar con el stock guardado.
+ *
+ * También avisa a la tienda cuando el stock de un producto baja de su
+ * umbral (settings.lowStockThreshold), salvo que el producto no controle
+ * inventario (settings.trackInventory = false).
+ *
+ * @service Inventory
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const StockMovement = require('../models/StockMovement');
+const Notification = require('../models/Notification');
+
+// Stock de un producto por clave ("product" o ID de variante)
+const snapshotStock = (product) => {
+  if (!product) return new Map();
+
+  if (product.hasVariants) {
+    return new Map(product.variants.map(variant => [
+      variant._id.toString(),
+      { variant: variant._id, stock: variant.stock }
+    ]));
+  }
+
+  return new Map([['product', { variant: null, stock: product.stock }]]);
+};
+
+// Registrar un movimiento ya aplicado al producto (recibe el producto actualizado)
+const recordMovement = async (product, { variant = null, type, quantity, reason, actor = null, order = null }, { session } = {}) => {
+  const current = snapshotStock(product).get(variant ? variant.toString() : 'product');
+
+  const [movement] = await StockMovement.create([{
+    product: product._id,
+    variant: variant || null,
+    store: product.storeId._id || product.storeId,
+    type,
+    quantity,
+    balanceAfter: current ? current.stock : null,
+    reason,
+    actor,
+    order
+  }], { session });
+
+  return movement;
+};
+
+// Registrar la diferencia entre el stock anterior y el actual de un producto
+// (ediciones manuales, importaciones y el stock inicial)
+const recordStockChanges = async (product, previousStock, { type, reason, actor = null }, { session } = {}) => {
+  const movements = [];
+
+  snapshotStock(product).forEach((current, key) => {
+    const previous = previousStock.get(key);
+    const quantity = current.stock - (previous ? previous.stock : 0);
+    if (quantity === 0) return;
+
+    movements.push({
+      product: product._id,
+      variant: current.variant,
+      store: product.storeId._id || product.storeId,
+      type,
+      quantity,
+      balanceAfter: current.stock,
+      reason,
+      actor
+    });
+  });
+
+  if (movements.length === 0) return [];
+
+  return StockMovement.insertMany(movements, { session });
+};
+
+// Avisar a la tienda de los productos cuyo stock acaba de bajar del umbral
+const notifyLowStock = async (movements) => {
+  const drops = movements.filter(movement => movement.quantity < 0 && movement.balanceAfter !== null);
+  if (drops.length === 0) return 0;
+
+  const products = await Product.find({ _id: { $in: drops.map(movement => movement.product) } })
+    .select('name storeId settings variants');
+  const byId = new Map(products.map(product => [product._id.toString(), product]));
+  let sent = 0;
+
+  for (const movement of drops) {
+    const product = byId.get(movement.product.toString());
+    if (!product || product.settings?.trackInventory === false) continue;
+
+    const threshold = product.settings?.lowStockThreshold || 0;
+    const before = movement.balanceAfter - movement.quantity;
+    // Solo al cruzar el umbral, para no avisar en cada venta siguiente
+    if (threshold <= 0 || before < threshold || movement.balanceAfter >= threshold) continue;
+
+    const store = await Store.findById(product.storeId).select('userId');
+    if (!store) continue;
+
+    const variant = movement.variant ? product.variants.id(movement.variant) : null;
+    const name = variant ? `${product.name} (${variant.label})` : product.name;
+
+    await Notification.createNotification({
+      userId: store.userId,
+      type: 'product',
+      title: movement.balanceAfter === 0 ? 'Producto agotado' : 'Stock bajo',
+      message: movement.balanceAfter === 0
+        ? `"${name}" se quedó sin unidades`
+        : `A "${name}" le quedan ${movement.balanceAfter} unidades`,
+      data: {
+        productId: product._id,
+        variantId: movement.variant,
+        stock: movement.balanceAfter,
+        threshold
+      },
+      actionUrl: `/products/${product._id}`,
+      relatedId: product._id,
+      relatedType: 'Product'
+    }).then(() => {
+      sent += 1;
+    }).catch(() => null);
+  }
+
+  return sent;
+};
+
+// Comparar el stock guardado con el que resulta del libro; con fix se
+// registra un ajuste por la diferencia para que ambos coincidan
+const reconcile = async (product, { fix = false, actor = null } = {}) => {
+  const balances = await StockMovement.getBalances(product._id);
+  const differences = [];
+
+  snapshotStock(product).forEach((current, key) => {
+    const ledger = balances.get(key);
+    const ledgerStock = ledger ? ledger.balance : 0;
+    if (ledgerStock === current.stock) return;
+
+    differences.push({
+      variant: current.variant,
+      stock: current.stock,
+      ledgerStock,
+      difference: current.stock - ledgerStock
+    });
+  });
+
+  if (fix && differences.length > 0) {
+    await StockMovement.insertMany(differences.map(difference => ({
+      product: product._id,
+      variant: difference.variant,
+      store: product.storeId._id || product.storeId,
+      type: 'adjustment',
+      quantity: difference.difference,
+      balanceAfter: difference.stock,
+      reason: 'Conciliación de inventario',
+      actor
+    })));
+  }
+
+  return {
+    product: product._id,
+    consistent: differences.length === 0,
+    differences,
+    fixed: fix && differences.length > 0
+  };
+};
+
+module.exports = {
+  snapshotStock,
+  recordMovement,
+  recordStockChanges,
+  notifyLowStock,
+  reconcile
+};
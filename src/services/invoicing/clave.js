@@ -0,0 +1,105 @@
+/**
+ * CLAVE Y CONSECUTIVO DE COMPROBANTES ELECTRÓNICOS
+ *
+ * Construye el número consecutivo (20 dígitos) y la clave numérica
+ * (50 dígitos) según la resolución de comprobantes electrónicos de
+ * Hacienda Costa Rica.
+ *
+ * @service InvoiceClave
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+// Código de país para Costa Rica
+const COUNTRY_CODE = '506';
+
+// Tipos de comprobante
+const DOCUMENT_TYPES = {
+  FACTURA_ELECTRONICA: '01',
+  NOTA_DEBITO: '02',
+  NOTA_CREDITO: '03',
+  TIQUETE_ELECTRONICO: '04'
+};
+
+// Situación del comprobante
+const SITUATIONS = {
+  NORMAL: '1',
+  CONTINGENCIA: '2',
+  SIN_INTERNET: '3'
+};
+
+// Desfase horario de Costa Rica (UTC-6, sin horario de verano)
+const CR_OFFSET_MINUTES = -6 * 60;
+
+// Rellenar con ceros a la izquierda validando la longitud máxima
+const padDigits = (value, length, field) => {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length === 0 || digits.length > length) {
+    throw new Error(`${field} inválido para el comprobante: ${value}`);
+  }
+  return digits.padStart(length, '0');
+};
+
+// Obtener las partes de la fecha en hora de Costa Rica
+const toCostaRicaDate = (date) => {
+  const local = new Date(date.getTime() + CR_OFFSET_MINUTES * 60 * 1000);
+  return {
+    year: local.getUTCFullYear(),
+    month: String(local.getUTCMonth() + 1).padStart(2, '0'),
+    day: String(local.getUTCDate()).padStart(2, '0'),
+    hours: String(local.getUTCHours()).padStart(2, '0'),
+    minutes: String(local.getUTCMinutes()).padStart(2, '0'),
+    seconds: String(local.getUTCSeconds()).padStart(2, '0')
+  };
+};
+
+// Fecha de emisión en formato ISO con desfase de Costa Rica
+const formatIssueDate = (date) => {
+  const { year, month, day, hours, minutes, seconds } = toCostaRicaDate(date);
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}-06:00`;
+};
+
+// Consecutivo: sucursal (3) + terminal (5) + tipo de comprobante (2) + número (10)
+const buildConsecutivo = ({ branch, terminal, documentType, sequence }) => {
+  return padDigits(branch, 3, 'Sucursal') +
+    padDigits(terminal, 5, 'Terminal') +
+    padDigits(documentType, 2, 'Tipo de comprobante') +
+    padDigits(sequence, 10, 'Número de comprobante');
+};
+
+// Clave: país (3) + día (2) + mes (2) + año (2) + identificación del emisor (12)
+// + consecutivo (20) + situación (1) + código de seguridad (8)
+const buildClave = ({
+  issueDate,
+  issuerId,
+  consecutivo,
+  situation = SITUATIONS.NORMAL,
+  securityCode = crypto.randomInt(0, 100000000)
+}) => {
+  const { year, month, day } = toCostaRicaDate(issueDate);
+
+  const clave = COUNTRY_CODE +
+    day +
+    month +
+    String(year).slice(-2) +
+    padDigits(issuerId, 12, 'Identificación del emisor') +
+    padDigits(consecutivo, 20, 'Consecutivo') +
+    padDigits(situation, 1, 'Situación') +
+    padDigits(securityCode, 8, 'Código de seguridad');
+
+  if (clave.length !== 50) {
+    throw new Error('La clave del comprobante debe tener 50 dígitos');
+  }
+
+  return clave;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  SITUATIONS,
+  formatIssueDate,
+  buildConsecutivo,
+  buildClave
+};
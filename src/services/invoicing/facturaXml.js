@@ -0,0 +1,268 @@
+/**
+ * GENERADOR XML DE FACTURA ELECTRÓNICA v4.4
+ *
+ * Construye el documento XML de una Factura Electrónica (o de un Tiquete
+ * Electrónico, cuando el receptor no se identifica) según la estructura
+ * v4.4 de Hacienda Costa Rica a partir de los datos del emisor, el
+ * receptor y las líneas de detalle ya calculadas.
+ *
+ * @service FacturaXml
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const { DOCUMENT_TYPES, formatIssueDate } = require('./clave');
+
+const XML_NAMESPACE = 'https://cdn.comprobanteselectronicos.go.cr/xml-schemas/v4.4/facturaElectronica';
+
+// Elemento raíz y espacio de nombres de cada tipo de comprobante
+const DOCUMENT_ROOTS = {
+  [DOCUMENT_TYPES.FACTURA_ELECTRONICA]: { tag: 'FacturaElectronica', namespace: XML_NAMESPACE },
+  [DOCUMENT_TYPES.TIQUETE_ELECTRONICO]: {
+    tag: 'TiqueteElectronico',
+    namespace: 'https://cdn.comprobanteselectronicos.go.cr/xml-schemas/v4.4/tiqueteElectronico'
+  }
+};
+
+// Código de impuesto al valor agregado
+const IVA_TAX_CODE = '01';
+
+// Códigos de tarifa IVA según la tasa aplicada
+const IVA_RATE_CODES = {
+  0: '10',     // Tarifa exenta
+  0.01: '02',  // Tarifa reducida 1%
+  0.02: '03',  // Tarifa reducida 2%
+  0.04: '04',  // Tarifa reducida 4%
+  0.13: '08'   // Tarifa general 13%
+};
+
+// Medios de pago según el método de pago de la orden
+const PAYMENT_METHOD_CODES = {
+  cash: '01',
+  credit_card: '02',
+  debit_card: '02',
+  bank_transfer: '04',
+  paypal: '07'
+};
+
+// Condición de venta de contado
+const SALE_CONDITION_CASH = '01';
+
+// Escapar caracteres especiales de XML
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Montos con cinco decimales como exige el esquema
+const formatAmount = (amount) => (Math.round(amount * 100000) / 100000).toFixed(5);
+
+// Tipo de identificación según la cantidad de dígitos
+const getIdentificationType = (idNumber) => {
+  const digits = String(idNumber).replace(/\D/g, '');
+  if (digits.length === 9) return '01';  // Cédula física
+  if (digits.length === 10) return '02'; // Cédula jurídica
+  return '03';                            // DIMEX
+};
+
+// Código de tarifa IVA para una tasa
+const getRateCode = (rate) => {
+  const code = IVA_RATE_CODES[rate];
+  if (!code) {
+    throw new Error(`Tarifa de IVA no soportada: ${rate}`);
+  }
+  return code;
+};
+
+// Bloque de identificación de emisor o receptor (se omite si no hay identificación)
+const partyXml = (tag, party) => {
+  const idNumber = String(party?.idNumber || '').replace(/\D/g, '');
+  if (!idNumber) return null;
+
+  return [
+    `  <${tag}>`,
+    `    <Nombre>${escapeXml(party.name)}</Nombre>`,
+    '    <Identificacion>',
+    `      <Tipo>${party.idType || getIdentificationType(idNumber)}</Tipo>`,
+    `      <Numero>${idNumber}</Numero>`,
+    '    </Identificacion>',
+    party.email ? `    <CorreoElectronico>${escapeXml(party.email)}</CorreoElectronico>` : null,
+    `  </${tag}>`
+  ].filter(Boolean).join('\n');
+};
+
+// Calcular montos de una línea de detalle
+const calculateLine = (line) => {
+  const subtotal = line.quantity * line.unitPrice;
+  const taxAmount = line.taxAmount !== undefined ? line.taxAmount : subtotal * line.taxRate;
+  const exemptAmount = line.exemption ? line.exemption.amount : 0;
+  const netTax = taxAmount - exemptAmount;
+  return {
+    ...line,
+    totalAmount: subtotal,
+    subtotal,
+    taxAmount,
+    exemptAmount,
+    netTax,
+    lineTotal: subtotal + netTax
+  };
+};
+
+// Bloque XML de la exoneración de una línea
+const exemptionXml = (line) => {
+  if (!line.exemption) return null;
+
+  const issuedAt = line.exemption.issuedAt ? new Date(line.exemption.issuedAt) : new Date();
+  return [
+    '        <Exoneracion>',
+    `          <TipoDocumentoEX1>${escapeXml(line.exemption.documentType || '99')}</TipoDocumentoEX1>`,
+    `          <NumeroDocumento>${escapeXml(line.exemption.documentNumber)}</NumeroDocumento>`,
+    `          <NombreInstitucion>${escapeXml(line.exemption.institution || '99')}</NombreInstitucion>`,
+    `          <FechaEmisionEX>${formatIssueDate(issuedAt)}</FechaEmisionEX>`,
+    `          <TarifaExonerada>${(line.taxRate * line.exemption.percentage).toFixed(2)}</TarifaExonerada>`,
+    `          <MontoExoneracion>${formatAmount(line.exemptAmount)}</MontoExoneracion>`,
+    '        </Exoneracion>'
+  ].join('\n');
+};
+
+// Bloque XML de una línea de detalle
+const lineXml = (line, index) => {
+  return [
+    '    <LineaDetalle>',
+    `      <NumeroLinea>${index + 1}</NumeroLinea>`,
+    `      <CodigoCABYS>${escapeXml(line.cabysCode)}</CodigoCABYS>`,
+    `      <Cantidad>${formatAmount(line.quantity)}</Cantidad>`,
+    '      <UnidadMedida>Unid</UnidadMedida>',
+    `      <Detalle>${escapeXml(line.description)}</Detalle>`,
+    `      <PrecioUnitario>${formatAmount(line.unitPrice)}</PrecioUnitario>`,
+    `      <MontoTotal>${formatAmount(line.totalAmount)}</MontoTotal>`,
+    `      <SubTotal>${formatAmount(line.subtotal)}</SubTotal>`,
+    `      <BaseImponible>${formatAmount(line.subtotal)}</BaseImponible>`,
+    '      <Impuesto>',
+    `        <Codigo>${IVA_TAX_CODE}</Codigo>`,
+    `        <CodigoTarifaIVA>${getRateCode(line.taxRate)}</CodigoTarifaIVA>`,
+    `        <Tarifa>${(line.taxRate * 100).toFixed(2)}</Tarifa>`,
+    `        <Monto>${formatAmount(line.taxAmount)}</Monto>`,
+    exemptionXml(line),
+    '      </Impuesto>',
+    '      <ImpuestoAsumidoEmisorFabrica>0.00000</ImpuestoAsumidoEmisorFabrica>',
+    `      <ImpuestoNeto>${formatAmount(line.netTax)}</ImpuestoNeto>`,
+    `      <MontoTotalLinea>${formatAmount(line.lineTotal)}</MontoTotalLinea>`,
+    '    </LineaDetalle>'
+  ].filter(Boolean).join('\n');
+};
+
+// Construir el XML completo de la factura (o del tiquete) y sus totales
+const buildFacturaXml = ({
+  documentType = DOCUMENT_TYPES.FACTURA_ELECTRONICA,
+  clave,
+  consecutivo,
+  issueDate,
+  activityCode,
+  systemProvider,
+  issuer,
+  receiver,
+  paymentMethod,
+  currency = 'CRC',
+  exchangeRate = 1,
+  lines
+}) => {
+  const root = DOCUMENT_ROOTS[documentType];
+  if (!root) {
+    throw new Error(`Tipo de comprobante no soportado: ${documentType}`);
+  }
+
+  // La factura exige identificar al receptor; sin identificación se emite tiquete
+  const receiverXml = partyXml('Receptor', receiver);
+  if (documentType === DOCUMENT_TYPES.FACTURA_ELECTRONICA && !receiverXml) {
+    throw new Error('La factura electrónica requiere la identificación del receptor');
+  }
+
+  const calculatedLines = lines.map(calculateLine);
+
+  const taxed = calculatedLines.filter(line => line.taxRate > 0);
+  const exempt = calculatedLines.filter(line => line.taxRate === 0);
+  const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+
+  // La parte exonerada de una línea gravada se reporta como exonerada
+  const exoneratedPortion = (line) => line.taxAmount > 0 ? line.subtotal * line.exemptAmount / line.taxAmount : 0;
+  const totalExonerated = taxed.reduce((total, line) => total + exoneratedPortion(line), 0);
+
+  const totalTaxed = sum(taxed, 'subtotal') - totalExonerated;
+  const totalExempt = sum(exempt, 'subtotal');
+  const totalSale = totalTaxed + totalExempt + totalExonerated;
+  const totalTax = sum(calculatedLines, 'netTax');
+  const totalInvoice = totalSale + totalTax;
+
+  // Desglose del impuesto por tarifa
+  const breakdown = {};
+  for (const line of taxed) {
+    const code = getRateCode(line.taxRate);
+    breakdown[code] = (breakdown[code] || 0) + line.netTax;
+  }
+
+  const xml = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<${root.tag} xmlns="${root.namespace}" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`,
+    `  <Clave>${clave}</Clave>`,
+    `  <ProveedorSistemas>${escapeXml(systemProvider || issuer.idNumber)}</ProveedorSistemas>`,
+    `  <CodigoActividadEmisor>${escapeXml(activityCode)}</CodigoActividadEmisor>`,
+    `  <NumeroConsecutivo>${consecutivo}</NumeroConsecutivo>`,
+    `  <FechaEmision>${issueDate}</FechaEmision>`,
+    partyXml('Emisor', issuer),
+    receiverXml,
+    `  <CondicionVenta>${SALE_CONDITION_CASH}</CondicionVenta>`,
+    '  <DetalleServicio>',
+    ...calculatedLines.map(lineXml),
+    '  </DetalleServicio>',
+    '  <ResumenFactura>',
+    '    <CodigoTipoMoneda>',
+    `      <CodigoMoneda>${currency}</CodigoMoneda>`,
+    `      <TipoCambio>${formatAmount(exchangeRate)}</TipoCambio>`,
+    '    </CodigoTipoMoneda>',
+    '    <TotalServGravados>0.00000</TotalServGravados>',
+    '    <TotalServExentos>0.00000</TotalServExentos>',
+    `    <TotalMercanciasGravadas>${formatAmount(totalTaxed)}</TotalMercanciasGravadas>`,
+    `    <TotalMercanciasExentas>${formatAmount(totalExempt)}</TotalMercanciasExentas>`,
+    `    <TotalMercExonerada>${formatAmount(totalExonerated)}</TotalMercExonerada>`,
+    `    <TotalGravado>${formatAmount(totalTaxed)}</TotalGravado>`,
+    `    <TotalExento>${formatAmount(totalExempt)}</TotalExento>`,
+    `    <TotalExonerado>${formatAmount(totalExonerated)}</TotalExonerado>`,
+    `    <TotalVenta>${formatAmount(totalSale)}</TotalVenta>`,
+    '    <TotalDescuentos>0.00000</TotalDescuentos>',
+    `    <TotalVentaNeta>${formatAmount(totalSale)}</TotalVentaNeta>`,
+    ...Object.entries(breakdown).map(([code, amount]) => [
+      '    <TotalDesgloseImpuesto>',
+      `      <Codigo>${IVA_TAX_CODE}</Codigo>`,
+      `      <CodigoTarifaIVA>${code}</CodigoTarifaIVA>`,
+      `      <TotalMontoImpuesto>${formatAmount(amount)}</TotalMontoImpuesto>`,
+      '    </TotalDesgloseImpuesto>'
+    ].join('\n')),
+    `    <TotalImpuesto>${formatAmount(totalTax)}</TotalImpuesto>`,
+    '    <MedioPago>',
+    `      <TipoMedioPago>${PAYMENT_METHOD_CODES[paymentMethod] || '99'}</TipoMedioPago>`,
+    '    </MedioPago>',
+    `    <TotalComprobante>${formatAmount(totalInvoice)}</TotalComprobante>`,
+    '  </ResumenFactura>',
+    `</${root.tag}>`
+  ].filter(Boolean).join('\n');
+
+  return {
+    xml,
+    totals: {
+      subtotal: totalSale,
+      tax: totalTax,
+      total: totalInvoice,
+      taxBreakdown: Object.entries(breakdown).map(([rateCode, amount]) => ({ rateCode, amount }))
+    }
+  };
+};
+
+module.exports = {
+  XML_NAMESPACE,
+  escapeXml,
+  getIdentificationType,
+  buildFacturaXml
+};
@@ -0,0 +1,265 @@
+/**
+ * SERVICIO DE FACTURACIÓN ELECTRÓNICA
+ *
+ * Emite la Factura Electrónica de cada grupo de entrega completado:
+ * asigna el consecutivo de la tienda, construye la clave y el XML,
+ * firma el documento y, si hay un proveedor configurado, lo envía a
+ * Hacienda. Firmadores y proveedores de envío son intercambiables.
+ *
+ * @service Invoicing
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Invoice = require('../../models/Invoice');
+const Sale = require('../../models/Sale');
+const Store = require('../../models/Store');
+const User = require('../../models/User');
+const { getProductRate } = require('../taxEngine');
+const { DOCUMENT_TYPES, formatIssueDate, buildConsecutivo, buildClave } = require('./clave');
+const { buildFacturaXml } = require('./facturaXml');
+const stubSigner = require('./signers/stubSigner');
+
+// Firmadores disponibles (INVOICE_SIGNER) y proveedores de envío (INVOICE_SUBMITTER)
+const signers = { [stubSigner.name]: stubSigner };
+const submitters = {};
+
+// Registrar un firmador: { name, sign(xml) => Promise<xmlFirmado> }
+const registerSigner = (signer) => {
+  signers[signer.name] = signer;
+};
+
+// Registrar un proveedor de envío: { name, submit(invoice) => Promise<{ status, response }> }
+const registerSubmitter = (submitter) => {
+  submitters[submitter.name] = submitter;
+};
+
+const getSigner = () => {
+  const name = process.env.INVOICE_SIGNER || stubSigner.name;
+  const signer = signers[name];
+  if (!signer) {
+    throw new Error(`Firmador de comprobantes no registrado: ${name}`);
+  }
+  return signer;
+};
+
+const getSubmitter = () => {
+  const name = process.env.INVOICE_SUBMITTER;
+  return name ? submitters[name] || null : null;
+};
+
+// Crear un error con código HTTP para los controladores
+const invoiceError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Contador de consecutivos de la tienda para cada tipo de comprobante
+const SEQUENCE_FIELDS = {
+  [DOCUMENT_TYPES.FACTURA_ELECTRONICA]: 'lastSequence',
+  [DOCUMENT_TYPES.TIQUETE_ELECTRONICO]: 'lastTicketSequence'
+};
+
+// Comprobantes de venta que se emiten por grupo de entrega
+const SALE_DOCUMENT_TYPES = Object.keys(SEQUENCE_FIELDS);
+
+// Reservar el siguiente consecutivo de la tienda dentro de la transacción de
+// la factura: si la emisión falla el número no se pierde
+const nextConsecutivo = async (storeId, documentType, session) => {
+  const field = `invoicing.${SEQUENCE_FIELDS[documentType]}`;
+  const store = await Store.findByIdAndUpdate(
+    storeId,
+    { $inc: { [field]: 1 } },
+    { new: true, session }
+  );
+
+  return buildConsecutivo({
+    branch: store.invoicing.branch,
+    terminal: store.invoicing.terminal,
+    documentType,
+    sequence: store.get(field)
+  });
+};
+
+// Identificación válida para la clave (hasta 12 dígitos)
+const hasValidId = (idNumber) => {
+  const digits = String(idNumber || '').replace(/\D/g, '');
+  return digits.length > 0 && digits.length <= 12;
+};
+
+const findSaleInvoice = (orderId, storeId, session) => Invoice.findOne({
+  order: orderId,
+  store: storeId,
+  documentType: { $in: SALE_DOCUMENT_TYPES }
+}).session(session || null);
+
+// Emitir (o recuperar si ya existe) el comprobante del grupo de entrega de una
+// tienda: Factura Electrónica si el comprador tiene identificación y Tiquete
+// Electrónico si no
+const generateInvoice = async (order, storeId) => {
+  const existing = await findSaleInvoice(order._id, storeId);
+  if (existing) {
+    return existing;
+  }
+
+  order.ensureFulfillments();
+  const fulfillment = order.getFulfillment(storeId);
+  if (!fulfillment || fulfillment.status !== 'delivered') {
+    throw invoiceError('La factura se emite cuando la tienda completa la entrega', 409);
+  }
+
+  const sales = await Sale.find({
+    order: order._id,
+    store: storeId,
+    status: { $ne: 'cancelled' }
+  }).populate('product', 'name cabysCode');
+
+  if (sales.length === 0) {
+    throw invoiceError('No hay ventas para facturar en esta orden', 404);
+  }
+
+  const lines = sales.map(sale => {
+    const cabysCode = sale.product?.cabysCode || process.env.DEFAULT_CABYS_CODE;
+    if (!cabysCode) {
+      throw invoiceError(`El producto ${sale.product?.name || sale.product} no tiene código CABYS`, 409);
+    }
+
+    // El desglose de IVA se toma de la línea de la orden; las órdenes
+    // anteriores al motor de IVA usan la tarifa actual del producto
+    const orderItem = order.items.find(item =>
+      item.store.equals(storeId) &&
+      item.product.equals(sale.product?._id || sale.product) &&
+      String(item.variant || '') === String(sale.variant || '')
+    );
+    const tax = orderItem?.tax?.rate !== undefined
+      ? orderItem.tax
+      : { rate: getProductRate(sale.product || {}).rate };
+
+    return {
+      cabysCode,
+      description: [sale.product?.name || 'Producto', sale.variantLabel].filter(Boolean).join(' - '),
+      quantity: sale.quantity,
+      unitPrice: sale.unitPrice,
+      taxRate: tax.rate,
+      taxAmount: tax.grossAmount,
+      exemption: tax.exemption?.documentNumber
+        ? { ...tax.exemption, amount: tax.exemptAmount }
+        : undefined
+    };
+  });
+
+  // Validar todo lo necesario antes de reservar el consecutivo
+  const [seller, buyer, store] = await Promise.all([
+    User.findById(sales[0].seller),
+    User.findById(order.buyer),
+    Store.findById(storeId).select('invoicing')
+  ]);
+
+  if (!seller || !hasValidId(seller.idNumber)) {
+    throw invoiceError('La tienda no tiene un número de identificación válido para facturar', 409);
+  }
+  if (!buyer) {
+    throw invoiceError('Comprador de la orden no encontrado', 404);
+  }
+  if (!store) {
+    throw invoiceError('Tienda no encontrada', 404);
+  }
+
+  const activityCode = store.invoicing?.activityCode || process.env.INVOICE_ACTIVITY_CODE;
+  if (!activityCode) {
+    throw invoiceError('La tienda no tiene configurado su código de actividad económica', 409);
+  }
+
+  const documentType = hasValidId(buyer.idNumber)
+    ? DOCUMENT_TYPES.FACTURA_ELECTRONICA
+    : DOCUMENT_TYPES.TIQUETE_ELECTRONICO;
+  const signer = getSigner();
+
+  // El consecutivo y el comprobante se guardan juntos en una transacción
+  const session = await mongoose.startSession();
+  let invoice;
+
+  try {
+    await session.withTransaction(async () => {
+      invoice = await findSaleInvoice(order._id, storeId, session);
+      if (invoice) return;
+
+      const consecutivo = await nextConsecutivo(storeId, documentType, session);
+      const issueDate = new Date();
+      const clave = buildClave({ issueDate, issuerId: seller.idNumber, consecutivo });
+
+      const { xml, totals } = buildFacturaXml({
+        documentType,
+        clave,
+        consecutivo,
+        issueDate: formatIssueDate(issueDate),
+        activityCode,
+        systemProvider: process.env.INVOICE_SYSTEM_PROVIDER,
+        issuer: {
+          name: seller.fullName,
+          idNumber: seller.idNumber,
+          email: seller.email
+        },
+        // El tiquete no identifica al receptor
+        receiver: documentType === DOCUMENT_TYPES.FACTURA_ELECTRONICA
+          ? { name: buyer.fullName, idNumber: buyer.idNumber, email: buyer.email }
+          : null,
+        paymentMethod: order.paymentMethod,
+        lines
+      });
+
+      const signedXml = await signer.sign(xml);
+
+      [invoice] = await Invoice.create([{
+        order: order._id,
+        store: storeId,
+        seller: seller._id,
+        buyer: buyer._id,
+        sales: sales.map(sale => sale._id),
+        documentType,
+        clave,
+        consecutivo,
+        issueDate,
+        subtotal: totals.subtotal,
+        tax: totals.tax,
+        total: totals.total,
+        taxBreakdown: totals.taxBreakdown,
+        xml,
+        signedXml,
+        signer: signer.name,
+        status: 'signed'
+      }], { session });
+    });
+  } catch (error) {
+    // Otra petición emitió el comprobante al mismo tiempo
+    if (error.code === 11000) {
+      const concurrent = await findSaleInvoice(order._id, storeId);
+      if (concurrent) return concurrent;
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  const submitter = getSubmitter();
+  if (submitter && invoice.status === 'signed') {
+    const result = await submitter.submit(invoice);
+    invoice.status = result.status || 'submitted';
+    invoice.submission = {
+      provider: submitter.name,
+      submittedAt: new Date(),
+      response: result.response
+    };
+    await invoice.save();
+  }
+
+  return invoice;
+};
+
+module.exports = {
+  registerSigner,
+  registerSubmitter,
+  generateInvoice
+};
@@ -0,0 +1,38 @@
+/**
+ * FIRMADOR LOCAL DE PRUEBA
+ *
+ * Agrega al comprobante una firma simulada con el digest SHA-256 del
+ * documento. No tiene validez ante Hacienda; sirve para desarrollo y
+ * pruebas mientras no se configure un firmador con llave criptográfica.
+ *
+ * @service StubSigner
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+const sign = async (xml) => {
+  const digest = crypto.createHash('sha256').update(xml).digest('base64');
+  const closingTag = xml.lastIndexOf('</');
+
+  const signature = [
+    '  <ds:Signature xmlns:ds="http://www.w3.org/2000/09/xmldsig#" Id="stub-signature">',
+    '    <ds:SignedInfo>',
+    '      <ds:SignatureMethod Algorithm="stub"/>',
+    '      <ds:Reference URI="">',
+    '        <ds:DigestMethod Algorithm="http://www.w3.org/2001/04/xmlenc#sha256"/>',
+    `        <ds:DigestValue>${digest}</ds:DigestValue>`,
+    '      </ds:Reference>',
+    '    </ds:SignedInfo>',
+    '    <ds:SignatureValue>STUB</ds:SignatureValue>',
+    '  </ds:Signature>'
+  ].join('\n');
+
+  return `${xml.slice(0, closingTag)}${signature}\n${xml.slice(closingTag)}`;
+};
+
+module.exports = {
+  name: 'stub',
+  sign
+};
@@ -0,0 +1,126 @@
+/**
+ * SERVICIO DE UBICACIONES DE COSTA RICA
+ *
+ * Consulta la división territorial (provincias, cantones y distritos con
+ * su código postal) incluida en src/data y valida que las direcciones
+ * correspondan a una combinación real.
+ *
+ * @service Locations
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const { provincias } = require('../data/costaRicaLocations.json');
+const { normalizeText } = require('../utils/text');
+
+// Buscar un elemento por código o por nombre sin importar tildes ni mayúsculas
+const findByCodeOrName = (list, value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const normalized = normalizeText(String(value));
+  return list.find(item => item.codigo === String(value) || normalizeText(item.nombre) === normalized) || null;
+};
+
+// Provincias sin el detalle de cantones
+const getProvincias = () => provincias.map(({ codigo, nombre }) => ({ codigo, nombre }));
+
+// Cantones de una provincia (null si la provincia no existe)
+const getCantones = (provincia) => {
+  const found = findByCodeOrName(provincias, provincia);
+  if (!found) return null;
+
+  return found.cantones.map(({ codigo, nombre }) => ({ codigo, nombre }));
+};
+
+// Distritos de un cantón dentro de una provincia (null si no existe)
+const getDistritos = (provincia, canton) => {
+  const foundProvincia = findByCodeOrName(provincias, provincia);
+  if (!foundProvincia) return null;
+
+  const foundCanton = findByCodeOrName(foundProvincia.cantones, canton);
+  if (!foundCanton) return null;
+
+  return foundCanton.distritos;
+};
+
+// Buscar el distrito que corresponde a un código postal
+const findByPostalCode = (codigoPostal) => {
+  for (const provincia of provincias) {
+    for (const canton of provincia.cantones) {
+      const distrito = canton.distritos.find(item => item.codigoPostal === String(codigoPostal));
+      if (distrito) {
+        return {
+          provincia: provincia.nombre,
+          canton: canton.nombre,
+          distrito: distrito.nombre,
+          codigoPostal: distrito.codigoPostal
+        };
+      }
+    }
+  }
+  return null;
+};
+
+// Verificar si la dirección es de Costa Rica (sin país se asume Costa Rica)
+const isCostaRicaAddress = (address) =>
+  !address.country || ['costa rica', 'cr'].includes(normalizeText(address.country));
+
+// Validar provincia, cantón y distrito de una dirección y completar el código
+// postal. Devuelve { error } o { address } con los nombres oficiales.
+const resolveAddress = (address, { requireDistrito = true } = {}) => {
+  if (!address || typeof address !== 'object') {
+    return { error: 'La dirección es requerida' };
+  }
+
+  // El marketplace solo hace envíos dentro de Costa Rica
+  if (!isCostaRicaAddress(address)) {
+    return { error: 'Solo se aceptan direcciones de Costa Rica' };
+  }
+
+  const provincia = findByCodeOrName(provincias, address.provincia);
+  if (!provincia) {
+    return { error: `La provincia ${address.provincia || '(vacía)'} no existe` };
+  }
+
+  const canton = findByCodeOrName(provincia.cantones, address.canton);
+  if (!canton) {
+    return { error: `El cantón ${address.canton || '(vacío)'} no pertenece a la provincia ${provincia.nombre}` };
+  }
+
+  if (!address.distrito) {
+    if (requireDistrito) {
+      return { error: 'El distrito es requerido' };
+    }
+    return {
+      address: { ...address, country: 'Costa Rica', provincia: provincia.nombre, canton: canton.nombre }
+    };
+  }
+
+  const distrito = findByCodeOrName(canton.distritos, address.distrito);
+  if (!distrito) {
+    return { error: `El distrito ${address.distrito} no pertenece al cantón ${canton.nombre}` };
+  }
+
+  if (address.codigoPostal && String(address.codigoPostal) !== distrito.codigoPostal) {
+    return { error: `El código postal ${address.codigoPostal} no corresponde al distrito ${distrito.nombre}` };
+  }
+
+  return {
+    address: {
+      ...address,
+      country: 'Costa Rica',
+      provincia: provincia.nombre,
+      canton: canton.nombre,
+      distrito: distrito.nombre,
+      codigoPostal: distrito.codigoPostal
+    }
+  };
+};
+
+module.exports = {
+  getProvincias,
+  getCantones,
+  getDistritos,
+  findByPostalCode,
+  resolveAddress
+};
@@ -0,0 +1,79 @@
+/**
+ * SERVICIO DE CORREO
+ *
+ * Envía los correos de la plataforma por el transporte configurado en
+ * MAIL_TRANSPORT: "smtp" (servidor SMTP) o "capture" (los guarda
+ * localmente sin enviarlos, para desarrollo y pruebas). Sin MAIL_TRANSPORT
+ * se usa SMTP si hay un SMTP_HOST configurado y la captura local si no;
+ * en producción la captura solo se usa si se pide explícitamente, para no
+ * perder correos por falta de configuración. Los transportes son
+ * intercambiables.
+ *
+ * @service Mailer
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const captureTransport = require('./transports/captureTransport');
+const smtpTransport = require('./transports/smtpTransport');
+
+// Transportes disponibles (MAIL_TRANSPORT)
+const transports = {
+  [captureTransport.name]: captureTransport,
+  [smtpTransport.name]: smtpTransport
+};
+
+// Registrar un transporte: { name, send({ from, to, subject, text, html }) => Promise<{ messageId }> }
+const registerTransport = (transport) => {
+  transports[transport.name] = transport;
+};
+
+const getTransport = () => {
+  let name = process.env.MAIL_TRANSPORT;
+  if (!name) {
+    if (!process.env.SMTP_HOST && process.env.NODE_ENV === 'production') {
+      throw new Error('Sin transporte de correo en producción: configura SMTP_HOST o MAIL_TRANSPORT');
+    }
+    name = process.env.SMTP_HOST ? smtpTransport.name : captureTransport.name;
+  }
+
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Transporte de correo no registrado: ${name}`);
+  }
+  return transport;
+};
+
+// Verificar al arrancar que haya un transporte de correo utilizable
+const assertConfigured = () => {
+  getTransport();
+};
+
+// URL pública de la aplicación para los enlaces de los correos
+const appUrl = (pathname) => `${(process.env.APP_URL || 'http://localhost:5050').replace(/\/$/, '')}${pathname}`;
+
+// Escapar texto para incluirlo en el HTML del correo
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: process.env.MAIL_FROM || 'Marketplace CR <no-reply@marketplace.cr>',
+  to,
+  subject,
+  text,
+  html
+});
+
+module.exports = {
+  registerTransport,
+  assertConfigured,
+  sendMail,
+  appUrl,
+  escapeHtml,
+  captureTransport
+};
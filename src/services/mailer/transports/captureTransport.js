@@ -0,0 +1,53 @@
+/**
+ * TRANSPORTE DE CORREO LOCAL
+ *
+ * No envía nada: guarda en memoria los últimos correos (y, si se configura
+ * MAIL_CAPTURE_DIR, también en archivos .json) para revisarlos durante el
+ * desarrollo y las pruebas. Es el transporte por defecto mientras no se
+ * configure un servidor SMTP.
+ *
+ * @service CaptureTransport
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Máximo de correos que se conservan en memoria
+const MAX_MESSAGES = 100;
+
+const messages = [];
+
+const send = async (message) => {
+  const captured = {
+    ...message,
+    messageId: `capture-${Date.now()}-${messages.length}`,
+    sentAt: new Date()
+  };
+
+  messages.push(captured);
+  if (messages.length > MAX_MESSAGES) messages.shift();
+
+  const dir = process.env.MAIL_CAPTURE_DIR;
+  if (dir) {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${captured.messageId}.json`), JSON.stringify(captured, null, 2));
+  }
+
+  return { messageId: captured.messageId };
+};
+
+// Correos capturados (opcionalmente solo los de un destinatario)
+const getMessages = (to) => (to ? messages.filter(message => message.to === to) : [...messages]);
+
+const clear = () => {
+  messages.length = 0;
+};
+
+module.exports = {
+  name: 'capture',
+  send,
+  getMessages,
+  clear
+};
@@ -0,0 +1,43 @@
+/**
+ * TRANSPORTE DE CORREO SMTP
+ *
+ * Envía los correos por el servidor SMTP configurado en SMTP_HOST,
+ * SMTP_PORT, SMTP_USER y SMTP_PASSWORD (SMTP_SECURE=true para TLS directo).
+ *
+ * @service SmtpTransport
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// El transporte se crea al enviar el primer correo
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST no está configurado');
+    }
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -0,0 +1,206 @@
+/**
+ * SERVICIO DE PRECIOS DE ÓRDENES
+ *
+ * Calcula en el servidor los montos de una orden (precios unitarios,
+ * subtotal, envío e impuestos) a partir de los productos y cantidades
+ * solicitados, sin confiar en los montos enviados por el cliente.
+ *
+ * @service OrderPricing
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const Product = require('../models/Product');
+const { calculateLineTax, summarizeTaxes } = require('./taxEngine');
+const { quoteShipping, validateShippingAddress } = require('./shippingCalculator');
+
+// Diferencia máxima aceptada al comparar montos del cliente contra el servidor
+const AMOUNT_TOLERANCE = 0.01;
+
+// Redondear montos a dos decimales
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Obtener precio, disponibilidad e IVA actuales de cada item solicitado
+const priceItems = async (requestedItems, buyer) => {
+  const items = [];
+  const products = [];
+  const errors = [];
+
+  for (const requested of requestedItems) {
+    const productId = requested.product?._id || requested.product;
+    const quantity = parseInt(requested.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({
+        product: productId,
+        message: 'Cantidad inválida'
+      });
+      continue;
+    }
+
+    const product = await Product.findById(productId).catch(() => null);
+    if (!product || !product.isVisible()) {
+      errors.push({
+        product: productId,
+        message: `Producto ${productId} no disponible`
+      });
+      continue;
+    }
+
+    // Los productos con variantes se compran por variante
+    const variantId = requested.variant?._id || requested.variant || requested.variantId;
+    const variant = product.getVariant(variantId);
+    if (product.hasVariants && !variant) {
+      errors.push({
+        product: product._id,
+        variant: variantId,
+        message: `Debe elegir una variante disponible de ${product.name}`
+      });
+      continue;
+    }
+
+    if (!product.isAvailable(quantity, variantId)) {
+      errors.push({
+        product: product._id,
+        variant: variant?._id,
+        message: `Stock insuficiente para ${product.name}${variant ? ` (${variant.label})` : ''}`,
+        available: variant ? variant.stock : product.stock
+      });
+      continue;
+    }
+
+    const price = product.getPrice(variantId);
+    const total = roundAmount(price * quantity);
+
+    items.push({
+      product: product._id,
+      store: product.storeId,
+      variant: variant?._id,
+      sku: variant?.sku,
+      variantLabel: variant?.label,
+      quantity,
+      price,
+      total,
+      tax: calculateLineTax(product, total, buyer)
+    });
+    products.push(product);
+  }
+
+  return { items, products, errors };
+};
+
+// Elegir el envío de cada tienda: el método solicitado o el más barato
+const calculateShipping = async (items, products, shippingAddress, shippingMethods = {}) => {
+  const shipments = [];
+  const errors = [];
+
+  const addressError = validateShippingAddress(shippingAddress);
+  if (addressError) {
+    return { shipments, errors: [{ message: addressError }] };
+  }
+
+  const storeQuotes = await quoteShipping(
+    items.map((item, index) => ({
+      product: products[index],
+      quantity: item.quantity,
+      total: item.total
+    })),
+    shippingAddress
+  );
+
+  for (const storeQuote of storeQuotes) {
+    const requestedMethod = shippingMethods[storeQuote.store];
+    const option = requestedMethod
+      ? storeQuote.options.find(candidate => candidate.method === requestedMethod)
+      : storeQuote.options[0];
+
+    if (!option) {
+      errors.push({
+        store: storeQuote.store,
+        message: requestedMethod
+          ? `La tienda no ofrece envío ${requestedMethod} a esta dirección`
+          : 'La tienda no realiza envíos a esta dirección'
+      });
+      continue;
+    }
+
+    shipments.push({
+      store: storeQuote.store,
+      method: option.method,
+      name: option.name,
+      cost: option.cost,
+      weight: storeQuote.weight,
+      estimatedDelivery: option.estimatedDelivery
+    });
+  }
+
+  return { shipments, errors };
+};
+
+// Construir cotización completa de una orden. El comprador define las
+// exoneraciones de IVA y la dirección y los métodos elegidos, el envío.
+const buildQuote = async (requestedItems, { buyer, shippingAddress, shippingMethods } = {}) => {
+  const { items, products, errors } = await priceItems(requestedItems, buyer);
+
+  let shipments = [];
+  if (items.length > 0 && errors.length === 0) {
+    const shipping = await calculateShipping(items, products, shippingAddress, shippingMethods);
+    shipments = shipping.shipments;
+    errors.push(...shipping.errors);
+  }
+
+  const subtotal = roundAmount(items.reduce((sum, item) => sum + item.total, 0));
+  const shippingCost = roundAmount(shipments.reduce((sum, shipment) => sum + shipment.cost, 0));
+  const tax = roundAmount(items.reduce((sum, item) => sum + item.tax.amount, 0));
+
+  return {
+    items,
+    shipments,
+    errors,
+    subtotal,
+    shippingCost,
+    tax,
+    taxBreakdown: summarizeTaxes(items),
+    total: roundAmount(subtotal + shippingCost + tax)
+  };
+};
+
+// Comparar los montos enviados por el cliente contra la cotización del servidor
+const findAmountMismatches = (quote, payload) => {
+  const mismatches = [];
+  const differs = (received, expected) =>
+    received !== undefined && received !== null &&
+    Math.abs(Number(received) - expected) > AMOUNT_TOLERANCE;
+
+  (payload.items || []).forEach((item, index) => {
+    const quoted = quote.items[index];
+    if (quoted && differs(item.price, quoted.price)) {
+      mismatches.push({
+        field: `items[${index}].price`,
+        product: quoted.product,
+        expected: quoted.price,
+        received: item.price
+      });
+    }
+  });
+
+  ['subtotal', 'shippingCost', 'tax', 'total'].forEach(field => {
+    if (differs(payload[field], quote[field])) {
+      mismatches.push({
+        field,
+        expected: quote[field],
+        received: payload[field]
+      });
+    }
+  });
+
+  return mismatches;
+};
+
+module.exports = {
+  roundAmount,
+  priceItems,
+  calculateShipping,
+  buildQuote,
+  findAmountMismatches
+};
@@ -0,0 +1,124 @@
+/**
+ * SERVICIO DE RECUPERACIÓN DE CONTRASEÑA
+ *
+ * Quien olvidó su contraseña recibe por correo un enlace con un token de un
+ * solo uso que vence en PASSWORD_RESET_MINUTES minutos; del token solo se
+ * guarda su hash. Cada correo puede pedir como máximo
+ * PASSWORD_RESET_MAX_PER_HOUR enlaces por hora.
+ *
+ * La solicitud siempre se responde igual, exista o no el correo, y el envío
+ * se hace después de responder para que el tiempo de respuesta tampoco lo
+ * delate. Al cambiar la contraseña se cierran todas las sesiones abiertas.
+ *
+ * @service PasswordReset
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const RateCounter = require('../models/RateCounter');
+const mailer = require('./mailer');
+const sessions = require('./sessions');
+
+const PURPOSE = 'password_reset';
+
+// Minutos de validez del enlace para restablecer la contraseña
+const RESET_MINUTES = parseFloat(process.env.PASSWORD_RESET_MINUTES || '60');
+
+// Enlaces que puede pedir un mismo correo por hora
+const MAX_PER_HOUR = parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR || '3');
+
+const resetError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const sendResetEmail = async (user) => {
+  const token = await UserToken.issue(user, PURPOSE, RESET_MINUTES * 60 * 1000);
+  const link = mailer.appUrl(`/reset-password?token=${token}`);
+
+  return mailer.sendMail({
+    to: user.email,
+    subject: 'Restablece tu contraseña',
+    text: [
+      `Hola ${user.fullName},`,
+      '',
+      'Recibimos una solicitud para restablecer la contraseña de tu cuenta en Marketplace CR. Para elegir una nueva abre este enlace:',
+      link,
+      '',
+      `El enlace vence en ${RESET_MINUTES} minutos. Si no pediste el cambio, ignora este mensaje; tu contraseña no cambiará.`
+    ].join('\n'),
+    html: `<p>Hola ${mailer.escapeHtml(user.fullName)},</p>`
+      + '<p>Recibimos una solicitud para restablecer la contraseña de tu cuenta en Marketplace CR. Para elegir una nueva abre este enlace:</p>'
+      + `<p><a href="${link}">Restablecer contraseña</a></p>`
+      + `<p>El enlace vence en ${RESET_MINUTES} minutos. Si no pediste el cambio, ignora este mensaje; tu contraseña no cambiará.</p>`
+  });
+};
+
+// Enviar el enlace si el correo pertenece a una cuenta activa y no superó el límite por hora
+const processResetRequest = async (email) => {
+  const user = await User.findOne({ email, isActive: true }).select('email fullName isActive suspension');
+  if (!user || user.isSuspended) return false;
+
+  // El contador se incrementa de forma atómica, así que solicitudes simultáneas no superan el límite
+  const allowed = await RateCounter.hit(`${PURPOSE}:${user.email}`, MAX_PER_HOUR, 60 * 60 * 1000);
+  if (!allowed) return false;
+
+  await sendResetEmail(user);
+  return true;
+};
+
+// Pedir el enlace para restablecer la contraseña (no indica si el correo existe)
+const requestReset = (email) => {
+  const normalized = String(email || '').trim().toLowerCase();
+  if (!normalized) {
+    throw resetError('Email es requerido');
+  }
+
+  // El envío continúa después de responder al cliente
+  setImmediate(() => {
+    processResetRequest(normalized).catch(() => {});
+  });
+};
+
+// Cambiar la contraseña con el token del enlace y cerrar todas las sesiones
+const resetPassword = async (token, newPassword) => {
+  const found = token ? await UserToken.findValid(token, PURPOSE) : null;
+  const user = found
+    ? await User.findOne({ _id: found.user, email: found.email }).select('+password')
+    : null;
+  if (!user) {
+    throw resetError('Enlace para restablecer la contraseña inválido o vencido');
+  }
+
+  // Validar la contraseña antes de gastar el token, para poder corregirla
+  user.password = newPassword;
+  const validation = user.validateSync(['password']);
+  if (validation) {
+    throw validation;
+  }
+
+  if (!await UserToken.consume(token, PURPOSE)) {
+    throw resetError('Enlace para restablecer la contraseña inválido o vencido');
+  }
+
+  await user.save();
+  const revokedSessions = await sessions.revokeAllSessions(user._id, 'password_reset');
+
+  mailer.sendMail({
+    to: user.email,
+    subject: 'Tu contraseña fue cambiada',
+    text: `Hola ${user.fullName},\n\nLa contraseña de tu cuenta en Marketplace CR se cambió y se cerraron todas tus sesiones. Si no fuiste tú, contáctanos de inmediato.`,
+    html: `<p>Hola ${mailer.escapeHtml(user.fullName)},</p>`
+      + '<p>La contraseña de tu cuenta en Marketplace CR se cambió y se cerraron todas tus sesiones. Si no fuiste tú, contáctanos de inmediato.</p>'
+  }).catch(() => null);
+
+  return { revokedSessions };
+};
+
+module.exports = {
+  requestReset,
+  resetPassword
+};
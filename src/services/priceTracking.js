@@ -0,0 +1,168 @@
+/**
+ * SERVICIO DE SEGUIMIENTO DE PRECIOS
+ *
+ * Registra en PriceHistory cada cambio del precio base de un producto y de
+ * las variantes con precio propio, calcula si el precio actual es el más
+ * bajo de los últimos 30 días y avisa de las bajadas de precio a los
+ * usuarios que tienen el producto en su lista de deseos o en su carrito.
+ *
+ * El modelo Product llama a recordPriceChanges después de guardar, por lo
+ * que los cambios hechos desde la API, la importación masiva o las variantes
+ * quedan registrados igual. Dentro de una transacción el historial se
+ * escribe en la misma sesión y los avisos quedan pendientes en el producto
+ * hasta que quien la abrió llame a notifyPendingPriceDrops tras confirmarla.
+ *
+ * @service PriceTracking
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const PriceHistory = require('../models/PriceHistory');
+const Wishlist = require('../models/Wishlist');
+const Cart = require('../models/Cart');
+const Notification = require('../models/Notification');
+
+// Días del período para el "precio más bajo"
+const LOWEST_PRICE_DAYS = 30;
+
+// Porcentaje mínimo de bajada para avisar a los usuarios
+const PRICE_DROP_MIN_PERCENT = parseFloat(process.env.PRICE_DROP_MIN_PERCENT || '5');
+
+// Precios de un producto por clave ("product" o ID de la variante con precio propio)
+const snapshotPrices = (product) => {
+  const prices = new Map([['product', { variant: null, sku: product.sku, price: product.price }]]);
+
+  (product.variants || []).forEach(variant => {
+    if (variant.price !== undefined && variant.price !== null) {
+      prices.set(variant._id.toString(), { variant: variant._id, sku: variant.sku, price: variant.price });
+    }
+  });
+
+  return prices;
+};
+
+const formatPrice = (price) => `₡${Math.round(price).toLocaleString('es-CR')}`;
+
+// Avisar a quienes tienen el producto en la lista de deseos o el carrito
+const notifyPriceDrop = async (product, change, isLowest) => {
+  const cartFilter = change.variant
+    ? { items: { $elemMatch: { productId: product._id, variantId: change.variant } } }
+    : { 'items.productId': product._id };
+
+  const [wishlists, carts] = await Promise.all([
+    Wishlist.find({ 'products.productId': product._id }).select('userId'),
+    Cart.find(cartFilter).select('userId')
+  ]);
+
+  const userIds = [...new Set([...wishlists, ...carts].map(doc => doc.userId.toString()))];
+
+  const message = `"${product.name}" bajó de ${formatPrice(change.previousPrice)} a ${formatPrice(change.price)}` +
+    (isLowest ? `, el precio más bajo de los últimos ${LOWEST_PRICE_DAYS} días` : '');
+
+  await Promise.all(userIds.map(userId => Notification.createNotification({
+    userId,
+    type: 'product',
+    title: 'Bajó de precio',
+    message: message.slice(0, 300),
+    data: {
+      productId: product._id,
+      variantId: change.variant,
+      previousPrice: change.previousPrice,
+      price: change.price
+    },
+    actionUrl: `/products/${product._id}`,
+    relatedId: product._id,
+    relatedType: 'Product'
+  }).catch(() => null)));
+
+  return userIds.length;
+};
+
+// Enviar en segundo plano los avisos de las bajadas de precio de un producto
+const scheduleDropNotifications = (product, drops) => {
+  if (drops.length === 0 || !product.isActive) return;
+
+  setImmediate(() => {
+    drops.forEach(async change => {
+      try {
+        const range = await PriceHistory.getPriceRange(product._id, { variantId: change.variant, days: LOWEST_PRICE_DAYS });
+        await notifyPriceDrop(product, change, range !== null && range.lowest === change.price);
+      } catch (error) {
+        // Un aviso fallido no afecta el cambio de precio
+      }
+    });
+  });
+};
+
+// Registrar los precios que cambiaron respecto a la versión anterior
+const recordPriceChanges = async (product, previousPrices = new Map(), { session } = {}) => {
+  const changes = [];
+
+  snapshotPrices(product).forEach((current, key) => {
+    const previous = previousPrices.get(key);
+    if (previous && previous.price === current.price) return;
+
+    changes.push({
+      product: product._id,
+      variant: current.variant,
+      sku: current.sku,
+      price: current.price,
+      previousPrice: previous ? previous.price : null
+    });
+  });
+
+  if (changes.length === 0) return [];
+
+  const entries = await PriceHistory.insertMany(changes, { session });
+
+  const drops = changes.filter(change =>
+    change.previousPrice &&
+    ((change.previousPrice - change.price) / change.previousPrice) * 100 >= PRICE_DROP_MIN_PERCENT
+  );
+
+  // En una transacción no se avisa hasta confirmarla (notifyPendingPriceDrops)
+  if (session) {
+    product.$locals.pendingPriceDrops = (product.$locals.pendingPriceDrops || []).concat(drops);
+  } else {
+    scheduleDropNotifications(product, drops);
+  }
+
+  return entries;
+};
+
+// Enviar los avisos que quedaron pendientes durante una transacción ya confirmada
+const notifyPendingPriceDrops = (product) => {
+  const drops = product.$locals.pendingPriceDrops || [];
+  product.$locals.pendingPriceDrops = [];
+  scheduleDropNotifications(product, drops);
+};
+
+// Precio más bajo de los últimos 30 días; el indicador solo se activa si el
+// precio actual es el más bajo y hubo uno mayor en el período (una rebaja real)
+const getPriceInsights = async (product, variantId = null) => {
+  const variant = variantId && product.variants?.find(item => item._id.equals(variantId));
+  const ownPrice = variant && variant.price !== undefined && variant.price !== null;
+  const currentPrice = ownPrice ? variant.price : product.price;
+
+  const range = await PriceHistory.getPriceRange(product._id, {
+    variantId: ownPrice ? variant._id : null,
+    days: LOWEST_PRICE_DAYS
+  });
+  const lowest = range ? Math.min(range.lowest, currentPrice) : currentPrice;
+  const highest = range ? Math.max(range.highest, currentPrice) : currentPrice;
+
+  return {
+    currentPrice,
+    lowestPrice30Days: lowest,
+    highestPrice30Days: highest,
+    isLowestPrice30Days: currentPrice <= lowest && highest > currentPrice
+  };
+};
+
+module.exports = {
+  LOWEST_PRICE_DAYS,
+  snapshotPrices,
+  recordPriceChanges,
+  notifyPendingPriceDrops,
+  getPriceInsights
+};
@@ -0,0 +1,109 @@
+/**
+ * SERVICIO DE ATRIBUTOS DE PRODUCTO
+ *
+ * Valida las especificaciones de un producto contra los atributos que declara
+ * su categoría: reconoce la clave o el nombre del atributo sin tildes ni
+ * mayúsculas, convierte números ("6,1 pulgadas"), booleanos ("sí") y valores
+ * enum a su forma oficial, y exige los atributos requeridos. Las
+ * especificaciones no declaradas se guardan como texto libre.
+ *
+ * @service ProductAttributes
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const { normalizeText } = require('../utils/text');
+
+const TRUE_VALUES = ['true', 'si', 'yes', '1'];
+const FALSE_VALUES = ['false', 'no', '0'];
+
+// Convertir una especificación a su tipo; devuelve { value } o { error }
+const coerceValue = (attribute, raw) => {
+  const label = attribute.label?.es || attribute.key;
+
+  switch (attribute.type) {
+    case 'number': {
+      const value = typeof raw === 'number'
+        ? raw
+        : parseFloat(String(raw).replace(',', '.'));
+      if (Number.isNaN(value)) {
+        return { error: `${label} debe ser un número${attribute.unit ? ` (${attribute.unit})` : ''}` };
+      }
+      if (attribute.min !== undefined && attribute.min !== null && value < attribute.min) {
+        return { error: `${label} debe ser al menos ${attribute.min}` };
+      }
+      if (attribute.max !== undefined && attribute.max !== null && value > attribute.max) {
+        return { error: `${label} no puede ser mayor que ${attribute.max}` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const normalized = normalizeText(raw);
+      if (TRUE_VALUES.includes(normalized)) return { value: true };
+      if (FALSE_VALUES.includes(normalized)) return { value: false };
+      return { error: `${label} debe ser sí o no` };
+    }
+
+    case 'enum': {
+      // "8gb" coincide con "8 GB"
+      const compact = (text) => normalizeText(text).replace(/\s+/g, '');
+      const value = attribute.values.find(option => compact(option) === compact(raw));
+      if (!value) {
+        return { error: `${label} debe ser uno de: ${attribute.values.join(', ')}` };
+      }
+      return { value };
+    }
+
+    default:
+      return { value: String(raw).trim() };
+  }
+};
+
+// Buscar el atributo declarado que corresponde a una clave enviada
+const findAttribute = (attributes, key) => {
+  const normalized = normalizeText(key);
+  return attributes.find(attribute =>
+    attribute.key === normalized ||
+    normalizeText(attribute.label?.es) === normalized ||
+    normalizeText(attribute.label?.en) === normalized
+  );
+};
+
+// Validar y normalizar las especificaciones de un producto
+const validateSpecifications = (specifications = {}, attributes = []) => {
+  const entries = specifications instanceof Map
+    ? Array.from(specifications.entries())
+    : Object.entries(specifications || {});
+
+  const result = {};
+  const errors = [];
+
+  for (const [key, raw] of entries) {
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    const attribute = findAttribute(attributes, key);
+    if (!attribute) {
+      // Las claves no pueden tener puntos ni empezar con $ (se guardan en un Map)
+      const freeKey = String(key).trim().replace(/\./g, ' ').replace(/^\$+/, '');
+      if (freeKey) result[freeKey] = String(raw).trim();
+      continue;
+    }
+
+    const { value, error } = coerceValue(attribute, raw);
+    if (error) errors.push(error);
+    else result[attribute.key] = value;
+  }
+
+  attributes
+    .filter(attribute => attribute.required && result[attribute.key] === undefined)
+    .forEach(attribute => errors.push(`${attribute.label?.es || attribute.key} es requerido`));
+
+  return { errors, specifications: result };
+};
+
+module.exports = {
+  coerceValue,
+  validateSpecifications
+};
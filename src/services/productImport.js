@@ -0,0 +1,520 @@
+/**
+ * SERVICIO DE IMPORTACIÓN Y EXPORTACIÓN DE PRODUCTOS
+ *
+ * Lee archivos CSV o XLSX con una fila por producto (y filas opcionales por
+ * variante), valida cada fila contra el modelo Product y crea o actualiza los
+ * productos de la tienda buscando por SKU o slug. La importación corre como
+ * un trabajo en segundo plano (ProductImportJob) que guarda el avance y los
+ * errores de cada fila; en modo de prueba solo se valida.
+ *
+ * La exportación produce el mismo formato, de modo que un archivo exportado
+ * puede editarse y volver a importarse.
+ *
+ * @service ProductImport
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const Category = require('../models/Category');
+const ProductImportJob = require('../models/ProductImportJob');
+const suggestIndex = require('./suggestIndex');
+const inventory = require('./inventory');
+const { validateSpecifications } = require('./productAttributes');
+const { normalizeText } = require('../utils/text');
+
+// Columnas del archivo, en el orden de exportación
+const COLUMNS = [
+  'sku',
+  'slug',
+  'variantOf',
+  'options',
+  'name',
+  'description',
+  'category',
+  'price',
+  'stock',
+  'cabysCode',
+  'weight',
+  'averageShippingTime',
+  'physicalLocation',
+  'tags',
+  'images',
+  'featured',
+  'isActive',
+  'status'
+];
+
+// Las especificaciones van en columnas "spec:<clave>"
+const SPEC_PREFIX = 'spec:';
+
+// Separador de las listas (etiquetas e imágenes) dentro de una celda
+const LIST_SEPARATOR = '|';
+
+const MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS || '5000');
+const MAX_ROW_ERRORS = 500;
+const PROGRESS_INTERVAL = 25;
+const DEFAULT_IMAGE = '/uploads/default-product.jpg';
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Crear un error con código HTTP
+const httpError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Formato según la extensión del archivo
+const detectFormat = (fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return FORMATS[extension] ? extension : null;
+};
+
+// Convertir "1.500,50", "1,500.50" o "₡1500" en número
+const parseNumber = (value) => {
+  let text = String(value).replace(/[₡\s]/g, '');
+  if (text.includes(',') && text.includes('.')) {
+    // El separador que aparece primero es el de miles
+    text = text.indexOf(',') < text.indexOf('.')
+      ? text.replace(/,/g, '')
+      : text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(',', '.');
+  }
+  return text === '' ? NaN : Number(text);
+};
+
+const parseBoolean = (value) => {
+  const normalized = normalizeText(value);
+  if (['true', 'si', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  return null;
+};
+
+const parseList = (value) => String(value)
+  .split(LIST_SEPARATOR)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Leer la primera hoja del archivo y devolver las filas con su número
+const readRows = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  try {
+    if (format === 'xlsx') {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+      // Excel en español suele exportar CSV separado por punto y coma
+      const firstLine = text.split(/\r?\n/, 1)[0];
+      const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+
+      worksheet = await workbook.csv.read(Readable.from([text]), {
+        map: value => value,
+        parserOptions: { delimiter }
+      });
+    }
+  } catch (error) {
+    throw httpError('No se pudo leer el archivo; verifique que sea un CSV o XLSX válido');
+  }
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw httpError('El archivo no tiene filas de productos');
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    headers[column] = cell.text.trim();
+  });
+
+  const unknown = headers.filter(header => header && !COLUMNS.includes(header) && !header.startsWith(SPEC_PREFIX));
+  if (unknown.length > 0) {
+    throw httpError(`Columnas desconocidas: ${unknown.join(', ')}`);
+  }
+  if (!headers.some(header => ['sku', 'slug', 'name'].includes(header))) {
+    throw httpError('El archivo debe tener al menos una columna sku, slug o name');
+  }
+
+  const rows = [];
+  for (let number = 2; number <= worksheet.rowCount; number++) {
+    const values = {};
+    worksheet.getRow(number).eachCell({ includeEmpty: true }, (cell, column) => {
+      const text = cell.text.trim();
+      if (headers[column] && text !== '') values[headers[column]] = text;
+    });
+
+    if (Object.keys(values).length > 0) {
+      rows.push({ number, values });
+    }
+  }
+
+  if (rows.length > MAX_ROWS) {
+    throw httpError(`El archivo supera el máximo de ${MAX_ROWS} filas`);
+  }
+
+  return rows;
+};
+
+// Mensajes legibles de un error al validar o guardar
+const errorMessages = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(err => err.message);
+  }
+  if (error.code === 11000) {
+    return ['El SKU o slug ya pertenece a otro producto'];
+  }
+  return [error.message];
+};
+
+// Reemplazar en el contexto un producto por su versión guardada
+const reloadProduct = async (product, context) => {
+  const fresh = await Product.findById(product._id);
+  if (!fresh) return;
+  if (fresh.sku) context.bySku.set(fresh.sku, fresh);
+  context.bySlug.set(fresh.slug, fresh);
+};
+
+// Registrar en el libro de inventario el stock que cambió con la fila
+// (la fila ya se guardó; una diferencia se corrige luego al conciliar)
+const recordImportedStock = async (product, previousStock, context) => {
+  try {
+    const movements = await inventory.recordStockChanges(product, previousStock, {
+      type: 'import',
+      reason: context.reason,
+      actor: context.actor
+    });
+    context.movements.push(...movements);
+  } catch (error) {
+    // El libro se puede conciliar con npm run reconcile:stock
+  }
+};
+
+// Actualizar el precio, stock o estado de una variante existente
+const applyVariantRow = async (values, context) => {
+  const parentKey = values.variantOf;
+  const parent = context.bySlug.get(parentKey) || context.bySku.get(parentKey.toUpperCase());
+  if (!parent) {
+    throw httpError(`Producto principal "${parentKey}" no encontrado en la tienda`);
+  }
+
+  const variant = values.sku && parent.variants.find(item => item.sku === values.sku.toUpperCase());
+  if (!variant) {
+    throw httpError('Variante no encontrada; las variantes nuevas se crean desde el producto');
+  }
+
+  const previousStock = inventory.snapshotStock(parent);
+  const errors = [];
+  if (values.price !== undefined) {
+    const price = parseNumber(values.price);
+    if (Number.isNaN(price)) errors.push('price debe ser un número');
+    else variant.price = price;
+  }
+  if (values.stock !== undefined) {
+    const stock = parseNumber(values.stock);
+    if (!Number.isInteger(stock)) errors.push('stock debe ser un número entero');
+    else variant.stock = stock;
+  }
+  if (values.isActive !== undefined) {
+    const isActive = parseBoolean(values.isActive);
+    if (isActive === null) errors.push('isActive debe ser sí o no');
+    else variant.isActive = isActive;
+  }
+  try {
+    if (errors.length > 0) {
+      throw Object.assign(httpError(errors[0]), { messages: errors });
+    }
+
+    if (context.dryRun) await parent.validate();
+    else await parent.save();
+  } catch (error) {
+    await reloadProduct(parent, context);
+    throw error;
+  }
+
+  if (!context.dryRun) await recordImportedStock(parent, previousStock, context);
+
+  return 'updated';
+};
+
+// Crear o actualizar el producto de una fila
+const applyProductRow = async (values, context) => {
+  const sku = values.sku?.toUpperCase();
+  let product = (sku && context.bySku.get(sku)) || (values.slug && context.bySlug.get(values.slug));
+  const isNew = !product;
+
+  if (isNew && values.slug && await Product.exists({ slug: values.slug })) {
+    throw httpError(`El slug "${values.slug}" pertenece a un producto de otra tienda`);
+  }
+
+  if (isNew) {
+    product = new Product({ storeId: context.store._id, images: [DEFAULT_IMAGE] });
+  }
+
+  const previousStock = isNew ? new Map() : inventory.snapshotStock(product);
+  const errors = [];
+
+  ['name', 'description', 'cabysCode', 'averageShippingTime', 'physicalLocation'].forEach(field => {
+    if (values[field] !== undefined) product[field] = values[field];
+  });
+  if (sku) product.sku = sku;
+  if (values.slug) product.slug = values.slug;
+
+  [['price', false], ['stock', true], ['weight', false]].forEach(([field, integer]) => {
+    if (values[field] === undefined) return;
+    // Con variantes el stock se calcula a partir de ellas
+    if (field === 'stock' && product.hasVariants) return;
+
+    const number = parseNumber(values[field]);
+    if (Number.isNaN(number) || (integer && !Number.isInteger(number))) {
+      errors.push(`${field} debe ser un número${integer ? ' entero' : ''}`);
+    } else {
+      product[field] = number;
+    }
+  });
+
+  ['featured', 'isActive'].forEach(field => {
+    if (values[field] === undefined) return;
+    const flag = parseBoolean(values[field]);
+    if (flag === null) errors.push(`${field} debe ser sí o no`);
+    else product[field] = flag;
+  });
+
+  // El estado prevalece sobre isActive cuando vienen ambos
+  if (values.status !== undefined) {
+    const status = values.status.toLowerCase();
+    if (!isNew && status !== product.status && !Product.PRODUCT_TRANSITIONS[product.status]?.includes(status)) {
+      errors.push(`No se puede cambiar el producto de ${product.status} a ${status}`);
+    } else {
+      product.status = status;
+    }
+  }
+
+  if (values.tags !== undefined) product.tags = parseList(values.tags);
+  if (values.images !== undefined) {
+    const images = parseList(values.images);
+    product.images = images.length > 0 ? images : [DEFAULT_IMAGE];
+  }
+
+  if (values.category !== undefined) {
+    if (!context.categories.has(values.category)) {
+      const category = await Category.resolve(values.category);
+      context.categories.set(values.category, category && category.isActive ? category : null);
+    }
+
+    const category = context.categories.get(values.category);
+    if (!category) {
+      errors.push(`Categoría "${values.category}" no válida`);
+    } else {
+      product.category = category.name.es;
+      product.categoryId = category._id;
+    }
+  }
+
+  // Las columnas spec: se combinan con las especificaciones existentes
+  const specColumns = Object.entries(values).filter(([key]) => key.startsWith(SPEC_PREFIX));
+  if (specColumns.length > 0 || values.category !== undefined) {
+    const specifications = {
+      ...Object.fromEntries(product.specifications || []),
+      ...Object.fromEntries(specColumns.map(([key, value]) => [key.slice(SPEC_PREFIX.length), value]))
+    };
+    const check = validateSpecifications(specifications, await Category.getAttributes(product.categoryId));
+    errors.push(...check.errors);
+    product.specifications = new Map(Object.entries(check.specifications));
+  }
+
+  try {
+    if (errors.length > 0) {
+      throw Object.assign(httpError(errors[0]), { messages: errors });
+    }
+
+    if (context.dryRun) await product.validate();
+    else await product.save();
+  } catch (error) {
+    // Descartar los cambios de la fila para que una fila de variante no los guarde
+    if (!isNew) await reloadProduct(product, context);
+    throw error;
+  }
+
+  if (!context.dryRun) await recordImportedStock(product, previousStock, context);
+
+  if (isNew) {
+    if (product.sku) context.bySku.set(product.sku, product);
+    if (product.slug) context.bySlug.set(product.slug, product);
+  }
+
+  return isNew ? 'created' : 'updated';
+};
+
+// Procesar las filas de un trabajo guardando avance y errores
+const runImportJob = async (job, rows, store) => {
+  job.status = 'processing';
+  job.startedAt = new Date();
+  job.progress.total = rows.length;
+  await job.save();
+
+  try {
+    const products = await Product.find({ storeId: store._id });
+    const context = {
+      store,
+      dryRun: job.dryRun,
+      bySku: new Map(products.filter(product => product.sku).map(product => [product.sku, product])),
+      bySlug: new Map(products.map(product => [product.slug, product])),
+      categories: new Map(),
+      seen: new Set(),
+      actor: job.userId,
+      reason: `Importación ${job.fileName}`,
+      movements: []
+    };
+
+    for (const { number, values } of rows) {
+      try {
+        // Una misma fila no puede repetirse dentro del archivo
+        const key = values.variantOf
+          ? `variant:${values.sku?.toUpperCase()}`
+          : values.sku ? `sku:${values.sku.toUpperCase()}` : values.slug ? `slug:${values.slug}` : null;
+        if (key && context.seen.has(key)) {
+          throw httpError('Fila repetida en el archivo (mismo SKU o slug)');
+        }
+        if (key) context.seen.add(key);
+
+        const result = values.variantOf
+          ? await applyVariantRow(values, context)
+          : await applyProductRow(values, context);
+        job.progress[result] += 1;
+      } catch (error) {
+        job.progress.failed += 1;
+        if (job.rowErrors.length < MAX_ROW_ERRORS) {
+          job.rowErrors.push({
+            row: number,
+            sku: values.sku,
+            slug: values.slug,
+            messages: error.messages || errorMessages(error)
+          });
+        }
+      }
+
+      job.progress.processed += 1;
+      if (job.progress.processed % PROGRESS_INTERVAL === 0) {
+        await job.save();
+      }
+    }
+
+    if (!job.dryRun) {
+      if (job.progress.created > 0) {
+        await Store.findByIdAndUpdate(store._id, { $inc: { totalProducts: job.progress.created } });
+      }
+      suggestIndex.invalidate();
+      await inventory.notifyLowStock(context.movements).catch(() => {});
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.completedAt = new Date();
+  await job.save();
+  return job;
+};
+
+// Validar el archivo y encolar la importación; devuelve el trabajo creado
+const startImport = async ({ store, user, file, dryRun = false }) => {
+  const format = detectFormat(file.originalname);
+  if (!format) {
+    throw httpError('Formato no soportado; use un archivo .csv o .xlsx');
+  }
+
+  const rows = await readRows(file.buffer, format);
+
+  const job = await ProductImportJob.create({
+    storeId: store._id,
+    userId: user._id,
+    fileName: file.originalname,
+    format,
+    dryRun
+  });
+
+  // El procesamiento continúa después de responder al cliente
+  setImmediate(() => {
+    runImportJob(job, rows, store).catch(() => {});
+  });
+
+  return job;
+};
+
+// Generar el archivo de productos de una tienda
+const exportProducts = async (store, format = 'csv') => {
+  if (!FORMATS[format]) {
+    throw httpError('Formato no soportado; use csv o xlsx');
+  }
+
+  const products = await Product.find({ storeId: store._id }).sort({ createdAt: 1 });
+
+  const specKeys = [...new Set(products.flatMap(product => Array.from((product.specifications || new Map()).keys())))].sort();
+  const headers = [...COLUMNS, ...specKeys.map(key => `${SPEC_PREFIX}${key}`)];
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Productos');
+  worksheet.columns = headers.map(header => ({ header, key: header }));
+
+  for (const product of products) {
+    worksheet.addRow({
+      sku: product.sku,
+      slug: product.slug,
+      name: product.name,
+      description: product.description,
+      category: product.category,
+      price: product.price,
+      stock: product.stock,
+      cabysCode: product.cabysCode,
+      weight: product.weight,
+      averageShippingTime: product.averageShippingTime,
+      physicalLocation: product.physicalLocation,
+      tags: (product.tags || []).join(LIST_SEPARATOR),
+      images: (product.images || []).join(LIST_SEPARATOR),
+      featured: product.featured,
+      isActive: product.isActive,
+      status: product.status,
+      ...Object.fromEntries(specKeys.map(key => [`${SPEC_PREFIX}${key}`, product.specifications?.get(key)]))
+    });
+
+    // Una fila por variante, ligada al producto por su slug
+    for (const variant of product.variants || []) {
+      worksheet.addRow({
+        sku: variant.sku,
+        variantOf: product.slug,
+        options: variant.label,
+        price: variant.price,
+        stock: variant.stock,
+        isActive: variant.isActive
+      });
+    }
+  }
+
+  const buffer = format === 'xlsx'
+    ? await workbook.xlsx.writeBuffer()
+    : await workbook.csv.writeBuffer({ formatterOptions: { writeBOM: true } });
+
+  return {
+    buffer: Buffer.from(buffer),
+    contentType: FORMATS[format].contentType,
+    fileName: `productos-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`
+  };
+};
+
+module.exports = {
+  COLUMNS,
+  readRows,
+  startImport,
+  exportProducts
+};
@@ -0,0 +1,123 @@
+/**
+ * PROGRAMADOR DE PUBLICACIÓN DE PRODUCTOS
+ *
+ * Revisa periódicamente los productos programados cuya fecha de publicación
+ * ya llegó para activarlos, y los activos cuya fecha de retiro venció para
+ * pausarlos. En ambos casos se notifica a la tienda.
+ *
+ * Cada producto se cambia con una actualización condicionada a su estado
+ * actual, de modo que varias instancias del servidor no lo publiquen (ni
+ * notifiquen) dos veces.
+ *
+ * @service ProductScheduler
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const Notification = require('../models/Notification');
+const suggestIndex = require('./suggestIndex');
+
+// Segundos entre cada revisión
+const INTERVAL_MS = parseInt(process.env.PRODUCT_SCHEDULER_INTERVAL_SECONDS || '60') * 1000;
+
+let timer = null;
+let running = false;
+
+// Notificar al dueño de la tienda sobre un cambio de su producto
+const notifyStore = async (product, title, message) => {
+  const store = await Store.findById(product.storeId).select('userId');
+  if (!store) return;
+
+  await Notification.createNotification({
+    userId: store.userId,
+    type: 'product',
+    title,
+    message,
+    data: { productId: product._id, status: product.status },
+    actionUrl: `/products/${product._id}`,
+    relatedId: product._id,
+    relatedType: 'Product'
+  });
+};
+
+// Cambiar el estado de los productos que cumplan el filtro y notificar
+const flipProducts = async (filter, update, buildNotice) => {
+  const products = await Product.find(filter).select('name storeId status');
+  let changed = 0;
+
+  for (const product of products) {
+    const result = await Product.updateOne({ _id: product._id, status: product.status }, update);
+    if (result.modifiedCount === 0) continue;
+
+    changed += 1;
+    product.status = update.status;
+    const { title, message } = buildNotice(product);
+    // Una notificación fallida no debe detener el resto
+    await notifyStore(product, title, message).catch(() => {});
+  }
+
+  return changed;
+};
+
+// Ejecutar una revisión: publicar los programados y retirar los vencidos
+const runOnce = async (now = new Date()) => {
+  const published = await flipProducts(
+    { status: 'scheduled', publishDate: { $lte: now } },
+    { status: 'active', isActive: true },
+    product => ({
+      title: 'Producto publicado',
+      message: `"${product.name}" ya está visible en la tienda`
+    })
+  );
+
+  const unpublished = await flipProducts(
+    { status: 'active', unpublishAt: { $lte: now } },
+    { status: 'paused', isActive: false },
+    product => ({
+      title: 'Producto retirado',
+      message: `"${product.name}" llegó a su fecha de retiro y dejó de mostrarse`
+    })
+  );
+
+  if (published > 0 || unpublished > 0) {
+    suggestIndex.invalidate();
+  }
+
+  return { published, unpublished };
+};
+
+// Iniciar las revisiones periódicas (una sola a la vez)
+const start = () => {
+  if (timer) return;
+
+  const tick = () => {
+    if (running) return;
+    running = true;
+    runOnce()
+      .catch(error => {
+        // Una revisión fallida se reintenta en la siguiente
+        console.error('Error en el programador de publicación de productos:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  timer = setInterval(tick, INTERVAL_MS);
+  // No mantener vivo el proceso solo por el programador
+  timer.unref();
+  tick();
+};
+
+const stop = () => {
+  if (timer) clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  runOnce,
+  start,
+  stop
+};
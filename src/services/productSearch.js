@@ -0,0 +1,452 @@
+/**
+ * BÚSQUEDA FACETADA DE PRODUCTOS
+ *
+ * Busca productos activos y devuelve, junto con los resultados, los conteos
+ * por categoría, tienda, rango de precio, calificación y etiqueta. Cada faceta
+ * se cuenta aplicando los filtros de las demás, para que el usuario pueda
+ * elegir varios valores de una misma faceta.
+ *
+ * Al elegir una categoría también se puede filtrar por sus atributos
+ * declarados (attr.<clave>=valor o attr.<clave>=min-max para los numéricos)
+ * y se devuelven sus facetas.
+ *
+ * @service ProductSearch
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const suggestIndex = require('./suggestIndex');
+const { coerceValue } = require('./productAttributes');
+
+// Límites de los rangos de precio en colones
+const PRICE_BUCKETS = [0, 5000, 10000, 25000, 50000, 100000, 250000];
+
+// Calificación mínima de cada rango ("4 estrellas o más")
+const RATING_BRACKETS = [4, 3, 2, 1];
+
+// Peso de cada señal en la relevancia
+const RELEVANCE_WEIGHTS = {
+  text: 1,
+  rating: 0.5,
+  sales: 0.3
+};
+
+const SORT_OPTIONS = {
+  relevance: { relevance: -1, _id: 1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  rating: { rating: -1, reviewsCount: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  best_selling: { salesCount: -1, _id: 1 }
+};
+
+const MAX_LIMIT = 100;
+const TAG_FACET_SIZE = 20;
+const ATTRIBUTE_FACET_SIZE = 20;
+
+// Prefijo de los parámetros que filtran por atributos (ej: attr.ram=8 GB,16 GB)
+const ATTRIBUTE_PREFIX = 'attr.';
+
+// Convertir un parámetro de query (repetido o separado por comas) en lista
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+// Convertir "5000-10000" o "250000-" en un rango de precio
+const parsePriceRange = (value) => {
+  const [min, max] = value.split('-').map(part => (part === '' ? undefined : Number(part)));
+  if ((min !== undefined && Number.isNaN(min)) || (max !== undefined && Number.isNaN(max))) {
+    return null;
+  }
+
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lt = max;
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Etiqueta del rango de precio que empieza en un límite
+const priceBucketLabel = (min) => {
+  const index = PRICE_BUCKETS.indexOf(min);
+  const max = PRICE_BUCKETS[index + 1];
+  return max !== undefined ? `${min}-${max}` : `${min}-`;
+};
+
+// Atributos filtrables de las categorías elegidas (sin repetir claves)
+const getSelectedAttributes = async (query) => {
+  const categories = await Promise.all(toList(query.category).map(value => Category.resolve(value)));
+  const lists = await Promise.all(categories.filter(Boolean).map(category => Category.getAttributes(category)));
+
+  const attributes = new Map();
+  lists.flat()
+    .filter(attribute => attribute.filterable !== false)
+    .forEach(attribute => {
+      if (!attributes.has(attribute.key)) attributes.set(attribute.key, attribute);
+    });
+
+  return Array.from(attributes.values());
+};
+
+// Convertir "6-7", "8-" o "8" en un rango numérico (inclusivo)
+const parseNumberRange = (value) => {
+  const [min, max] = value.includes('-')
+    ? value.split('-').map(part => (part === '' ? undefined : Number(part.replace(',', '.'))))
+    : [Number(value.replace(',', '.')), Number(value.replace(',', '.'))];
+  if ([min, max].some(part => part !== undefined && Number.isNaN(part))) return null;
+
+  const range = {};
+  if (min !== undefined) range.$gte = min;
+  if (max !== undefined) range.$lte = max;
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Filtro de un atributo declarado según su tipo
+const buildAttributeFilter = (attribute, values) => {
+  const field = `specifications.${attribute.key}`;
+
+  if (attribute.type === 'number') {
+    const ranges = values.map(parseNumberRange).filter(Boolean);
+    return ranges.length > 0 ? { $or: ranges.map(range => ({ [field]: range })) } : null;
+  }
+
+  const accepted = values
+    .map(value => coerceValue(attribute, value))
+    .filter(({ error }) => !error)
+    .map(({ value }) => value);
+  return accepted.length > 0 ? { [field]: { $in: accepted } } : null;
+};
+
+// Construir el filtro de cada faceta a partir de los valores elegidos
+const buildFacetFilters = async (query, attributes = []) => {
+  const filters = {};
+
+  // Cada categoría incluye a sus descendientes
+  const categories = toList(query.category);
+  if (categories.length > 0) {
+    filters.category = { $or: await Promise.all(categories.map(value => Category.productFilter(value))) };
+  }
+
+  const storeIds = toList(query.storeId).filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (storeIds.length > 0) {
+    filters.store = { storeId: { $in: storeIds.map(id => new mongoose.Types.ObjectId(id)) } };
+  }
+
+  const ranges = toList(query.price).map(parsePriceRange).filter(Boolean);
+  if (query.minPrice || query.maxPrice) {
+    const range = {};
+    if (query.minPrice) range.$gte = parseFloat(query.minPrice);
+    if (query.maxPrice) range.$lte = parseFloat(query.maxPrice);
+    ranges.push(range);
+  }
+  if (ranges.length > 0) {
+    filters.price = { $or: ranges.map(range => ({ price: range })) };
+  }
+
+  // Varios rangos de calificación equivalen al más amplio
+  const ratings = toList(query.rating).map(Number).filter(rating => !Number.isNaN(rating));
+  if (ratings.length > 0) {
+    filters.rating = { rating: { $gte: Math.min(...ratings) } };
+  }
+
+  const tags = toList(query.tags);
+  if (tags.length > 0) {
+    filters.tags = { tags: { $in: tags } };
+  }
+
+  // Solo se filtra por atributos declarados en las categorías elegidas
+  attributes.forEach(attribute => {
+    const values = toList(query[`${ATTRIBUTE_PREFIX}${attribute.key}`]);
+    const filter = values.length > 0 && buildAttributeFilter(attribute, values);
+    if (filter) {
+      filters[`${ATTRIBUTE_PREFIX}${attribute.key}`] = filter;
+    }
+  });
+
+  return filters;
+};
+
+// Combinar los filtros de las facetas, omitiendo la indicada
+const combineFilters = (filters, except) => {
+  const clauses = Object.entries(filters)
+    .filter(([name]) => name !== except)
+    .map(([, clause]) => clause);
+
+  return clauses.length > 0 ? { $and: clauses } : {};
+};
+
+// Faceta de un atributo: conteo por valor, o mínimo y máximo si es numérico
+const attributeFacetPipeline = (attribute, filters) => {
+  const field = `specifications.${attribute.key}`;
+  const pipeline = [{ $match: combineFilters(filters, `${ATTRIBUTE_PREFIX}${attribute.key}`) }];
+
+  if (attribute.type === 'number') {
+    return [
+      ...pipeline,
+      { $match: { [field]: { $type: 'number' } } },
+      { $group: { _id: null, min: { $min: `$${field}` }, max: { $max: `$${field}` }, count: { $sum: 1 } } }
+    ];
+  }
+
+  return [
+    ...pipeline,
+    { $match: { [field]: { $exists: true, $ne: null } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: ATTRIBUTE_FACET_SIZE }
+  ];
+};
+
+// Formatear la faceta de un atributo para la respuesta
+const formatAttributeFacet = (attribute, buckets, selectedValues) => {
+  const facet = {
+    key: attribute.key,
+    label: attribute.label,
+    type: attribute.type,
+    unit: attribute.unit
+  };
+
+  if (attribute.type === 'number') {
+    const [stats] = buckets;
+    return { ...facet, min: stats?.min ?? null, max: stats?.max ?? null, count: stats?.count || 0, selected: selectedValues };
+  }
+
+  const selected = selectedValues.map(value => coerceValue(attribute, value).value);
+  return {
+    ...facet,
+    values: buckets.map(({ _id, count }) => ({
+      value: _id,
+      count,
+      selected: selected.includes(_id)
+    }))
+  };
+};
+
+// Relevancia: puntaje de texto combinado con calificación y ventas
+const relevanceStage = (hasText) => ({
+  $addFields: {
+    relevance: {
+      $add: [
+        hasText ? { $multiply: [{ $meta: 'textScore' }, RELEVANCE_WEIGHTS.text] } : 0,
+        { $multiply: [{ $divide: [{ $ifNull: ['$rating', 0] }, 5] }, RELEVANCE_WEIGHTS.rating] },
+        { $multiply: [{ $log10: { $add: [{ $ifNull: ['$salesCount', 0] }, 1] } }, RELEVANCE_WEIGHTS.sales] }
+      ]
+    }
+  }
+});
+
+// Buscar productos con facetas
+const searchProducts = async (query = {}) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || 20));
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  const sortBy = SORT_OPTIONS[query.sort] ? query.sort : 'relevance';
+
+  // $text debe ir en la primera etapa del pipeline
+  const baseMatch = Product.visibleFilter();
+  if (text) {
+    baseMatch.$text = { $search: text };
+  }
+
+  const attributes = await getSelectedAttributes(query);
+  const filters = await buildFacetFilters(query, attributes);
+
+  const [result] = await Product.aggregate([
+    { $match: baseMatch },
+    relevanceStage(Boolean(text)),
+    {
+      $facet: {
+        results: [
+          { $match: combineFilters(filters) },
+          { $sort: SORT_OPTIONS[sortBy] },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'stores',
+              localField: 'storeId',
+              foreignField: '_id',
+              as: 'store'
+            }
+          },
+          { $unwind: { path: '$store', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              name: 1,
+              description: 1,
+              category: 1,
+              price: 1,
+              stock: 1,
+              images: 1,
+              rating: 1,
+              reviewsCount: 1,
+              salesCount: 1,
+              tags: 1,
+              specifications: 1,
+              slug: 1,
+              featured: 1,
+              storeId: 1,
+              'store._id': 1,
+              'store.userId': 1,
+              'store.description': 1,
+              'store.rating': 1,
+              'store.verified': 1,
+              variants: 1,
+              relevance: 1
+            }
+          }
+        ],
+        total: [
+          { $match: combineFilters(filters) },
+          { $count: 'count' }
+        ],
+        categories: [
+          { $match: combineFilters(filters, 'category') },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        stores: [
+          { $match: combineFilters(filters, 'store') },
+          { $group: { _id: '$storeId', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          {
+            $lookup: {
+              from: 'stores',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'store'
+            }
+          },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'store.userId',
+              foreignField: '_id',
+              as: 'owner'
+            }
+          },
+          {
+            $project: {
+              count: 1,
+              name: { $arrayElemAt: ['$owner.fullName', 0] }
+            }
+          }
+        ],
+        prices: [
+          { $match: combineFilters(filters, 'price') },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        ratings: [
+          { $match: combineFilters(filters, 'rating') },
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(RATING_BRACKETS.map(min => [
+                `from${min}`,
+                { $sum: { $cond: [{ $gte: ['$rating', min] }, 1, 0] } }
+              ]))
+            }
+          }
+        ],
+        tags: [
+          { $match: combineFilters(filters, 'tags') },
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TAG_FACET_SIZE }
+        ],
+        ...Object.fromEntries(attributes.map(attribute => [
+          `attribute_${attribute.key}`,
+          attributeFacetPipeline(attribute, filters)
+        ]))
+      }
+    }
+  ]);
+
+  const selected = (name) => toList(query[name]);
+  const total = result.total[0]?.count || 0;
+  const ratingCounts = result.ratings[0] || {};
+
+  // Con variantes se informa el rango de precios de las activas
+  const products = result.results.map(product => {
+    const { variants, ...rest } = product;
+    const prices = (variants || [])
+      .filter(variant => variant.isActive !== false)
+      .map(variant => variant.price ?? product.price);
+
+    return {
+      ...rest,
+      hasVariants: prices.length > 0,
+      priceRange: prices.length > 0
+        ? { min: Math.min(...prices), max: Math.max(...prices) }
+        : { min: product.price, max: product.price }
+    };
+  });
+
+  return {
+    products,
+    // Corrección sugerida cuando la búsqueda de texto no encuentra nada
+    didYouMean: total === 0 && text ? await suggestIndex.didYouMean(text) : null,
+    facets: {
+      categories: result.categories.map(({ _id, count }) => ({
+        value: _id,
+        count,
+        selected: selected('category').includes(_id)
+      })),
+      stores: result.stores.map(({ _id, name, count }) => ({
+        value: _id,
+        name,
+        count,
+        selected: selected('storeId').includes(_id.toString())
+      })),
+      prices: result.prices.map(({ _id, count }) => ({
+        value: priceBucketLabel(_id),
+        min: _id,
+        max: PRICE_BUCKETS[PRICE_BUCKETS.indexOf(_id) + 1],
+        count,
+        selected: selected('price').includes(priceBucketLabel(_id))
+      })),
+      ratings: RATING_BRACKETS.map(min => ({
+        value: min,
+        count: ratingCounts[`from${min}`] || 0,
+        selected: selected('rating').map(Number).includes(min)
+      })),
+      tags: result.tags.map(({ _id, count }) => ({
+        value: _id,
+        count,
+        selected: selected('tags').includes(_id)
+      })),
+      attributes: attributes.map(attribute => formatAttributeFacet(
+        attribute,
+        result[`attribute_${attribute.key}`],
+        selected(`${ATTRIBUTE_PREFIX}${attribute.key}`)
+      ))
+    },
+    sort: sortBy,
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    }
+  };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  RATING_BRACKETS,
+  searchProducts
+};
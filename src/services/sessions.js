@@ -0,0 +1,159 @@
+/**
+ * SERVICIO DE SESIONES
+ *
+ * Cada inicio de sesión crea una sesión por dispositivo (Session) con su
+ * navegador, IP y último uso. El cliente recibe un access token JWT de
+ * corta duración que lleva el ID de la sesión, y un refresh token que se
+ * cambia por uno nuevo en cada renovación. Del refresh token solo se guarda
+ * su hash; si alguien presenta uno ya rotado (por ejemplo, uno robado) la
+ * sesión completa se cierra.
+ *
+ * El middleware de autenticación rechaza los access tokens de sesiones
+ * cerradas, así que cerrar una sesión invalida sus tokens de inmediato.
+ *
+ * @service Sessions
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Duración del access token (formato de jsonwebtoken, por ejemplo "15m")
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+// Días sin uso tras los que vence una sesión
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30');
+
+// Cada cuánto se actualiza el último uso de la sesión al recibir un access token
+const LAST_USED_UPDATE_MS = 5 * 60 * 1000;
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const expiryDate = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Datos del dispositivo de la petición
+const deviceInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip
+});
+
+// Tokens que recibe el cliente para una sesión
+const issueTokens = (session, secret) => {
+  const token = jwt.sign(
+    { userId: session.user.toString(), sessionId: session._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+  return {
+    token,
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+    sessionId: session._id
+  };
+};
+
+// Abrir una sesión para el usuario desde el dispositivo de la petición
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(secret),
+    ...deviceInfo(req),
+    expiresAt: expiryDate()
+  });
+
+  return issueTokens(session, secret);
+};
+
+// Cambiar un refresh token por tokens nuevos (el anterior deja de servir)
+const refreshSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    throw sessionError('Refresh token inválido');
+  }
+
+  const presentedHash = hashToken(secret);
+  const nextSecret = newSecret();
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: presentedHash, ...Session.activeFilter() },
+    {
+      tokenHash: hashToken(nextSecret),
+      previousTokenHash: presentedHash,
+      lastUsedAt: new Date(),
+      expiresAt: expiryDate(),
+      ...deviceInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // Un token ya rotado significa que alguien más lo tiene: cerrar la sesión
+    const reused = await Session.findOneAndUpdate(
+      { _id: sessionId, previousTokenHash: presentedHash, ...Session.activeFilter() },
+      { revokedAt: new Date(), revokedReason: 'token_reuse' }
+    );
+    throw sessionError(reused ? 'Refresh token reutilizado; la sesión fue cerrada' : 'Sesión expirada o revocada');
+  }
+
+  const user = await User.findById(session.user).select('isActive suspension');
+  if (!user || !user.isActive || user.isSuspended) {
+    await revokeSession(session._id, user && user.isSuspended ? 'suspended' : 'deactivated');
+    throw sessionError(!user ? 'Usuario no encontrado' : (user.isSuspended ? 'Cuenta suspendida' : 'Cuenta desactivada'));
+  }
+
+  return issueTokens(session, nextSecret);
+};
+
+// Sesión vigente del access token (null si se cerró o venció)
+const findActiveSession = async (sessionId, userId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findOne({ _id: sessionId, user: userId, ...Session.activeFilter() })
+    .select('lastUsedAt');
+  if (session && Date.now() - session.lastUsedAt.getTime() > LAST_USED_UPDATE_MS) {
+    Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() }).catch(() => null);
+  }
+
+  return session;
+};
+
+// Sesiones abiertas de un usuario, la más reciente primero
+const listSessions = (userId) => Session.find({ user: userId, ...Session.activeFilter() })
+  .select('userAgent ip lastUsedAt expiresAt createdAt')
+  .sort({ lastUsedAt: -1 });
+
+// Cerrar una sesión (devuelve null si no existe o ya estaba cerrada)
+const revokeSession = (sessionId, reason = 'revoked', { userId } = {}) => {
+  const filter = { _id: sessionId, ...Session.activeFilter() };
+  if (userId) filter.user = userId;
+
+  return Session.findOneAndUpdate(filter, { revokedAt: new Date(), revokedReason: reason }, { new: true });
+};
+
+// Cerrar todas las sesiones de un usuario (salvo la indicada en except)
+const revokeAllSessions = async (userId, reason = 'revoked', { except } = {}) => {
+  const { modifiedCount } = await Session.revokeAll(userId, reason, { except });
+  return modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  findActiveSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,175 @@
+/**
+ * CALCULADORA DE ENVÍOS
+ *
+ * Cotiza el envío de cada tienda según su tabla de tarifas por zona
+ * (GAM, rural, por provincia o nacional), el peso facturable de los
+ * productos (real o volumétrico) y la dirección de destino.
+ *
+ * @service ShippingCalculator
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const Store = require('../models/Store');
+const shippingConfig = require('../config/shippingRates');
+const { normalizeText } = require('../utils/text');
+
+// Las tarifas más específicas tienen prioridad sobre las generales
+const COVERAGE_PRIORITY = {
+  provincia: 3,
+  gam: 2,
+  rural: 2,
+  nacional: 1
+};
+
+// Redondear montos a dos decimales
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Verificar si la dirección está dentro de la Gran Área Metropolitana
+const isGamAddress = (address) => {
+  const provincia = Object.keys(shippingConfig.gamCantones)
+    .find(name => normalizeText(name) === normalizeText(address.provincia));
+
+  if (!provincia) return false;
+
+  return shippingConfig.gamCantones[provincia]
+    .some(canton => normalizeText(canton) === normalizeText(address.canton));
+};
+
+// Verificar si una tarifa cubre la dirección
+const rateCoversAddress = (rate, address, gam) => {
+  const provincias = (rate.provincias || []).map(normalizeText);
+  const inProvincias = provincias.length === 0 || provincias.includes(normalizeText(address.provincia));
+
+  switch (rate.coverage) {
+    case 'provincia':
+      return provincias.length > 0 && inProvincias;
+    case 'gam':
+      return gam && inProvincias;
+    case 'rural':
+      return !gam && inProvincias;
+    case 'nacional':
+      return true;
+    default:
+      return false;
+  }
+};
+
+// Peso facturable de una línea: el mayor entre el real y el volumétrico
+const getBillableWeight = (product, quantity) => {
+  const actual = product.weight || shippingConfig.defaultWeightKg;
+
+  const { length, width, height } = product.dimensions || {};
+  const volumetric = length && width && height
+    ? (length * width * height) / shippingConfig.volumetricDivisor
+    : 0;
+
+  return Math.max(actual, volumetric) * quantity;
+};
+
+// Sumar días hábiles a una fecha
+const addBusinessDays = (date, days) => {
+  const result = new Date(date);
+  let remaining = days;
+
+  while (remaining > 0) {
+    result.setDate(result.getDate() + 1);
+    const day = result.getDay();
+    if (day !== 0 && day !== 6) remaining -= 1;
+  }
+
+  return result;
+};
+
+// Calcular el costo de una tarifa para un peso y subtotal
+const calculateRateCost = (rate, weight, subtotal) => {
+  if (rate.freeShippingOver && subtotal >= rate.freeShippingOver) {
+    return 0;
+  }
+
+  const extraKg = Math.max(0, Math.ceil(weight - (rate.includedWeightKg || 0)));
+  return roundAmount(rate.baseCost + extraKg * (rate.costPerKg || 0));
+};
+
+// Cotizar las opciones de envío de una tienda.
+// items: [{ product, quantity, total }] con el documento del producto
+const quoteStore = (store, items, address, now = new Date()) => {
+  const gam = isGamAddress(address);
+  const rates = store && store.shippingRates && store.shippingRates.length > 0
+    ? store.shippingRates.filter(rate => rate.isActive !== false)
+    : shippingConfig.rates;
+
+  const weight = Math.round(
+    items.reduce((sum, item) => sum + getBillableWeight(item.product, item.quantity), 0) * 1000
+  ) / 1000;
+  const subtotal = items.reduce((sum, item) => sum + (item.total || item.product.price * item.quantity), 0);
+
+  // Por cada método quedarse con la tarifa más específica que cubra la dirección
+  const bestByMethod = {};
+  for (const rate of rates) {
+    if (!rateCoversAddress(rate, address, gam)) continue;
+
+    const method = rate.method || 'standard';
+    const current = bestByMethod[method];
+    if (!current || COVERAGE_PRIORITY[rate.coverage] > COVERAGE_PRIORITY[current.coverage]) {
+      bestByMethod[method] = rate;
+    }
+  }
+
+  const options = Object.entries(bestByMethod)
+    .map(([method, rate]) => ({
+      method,
+      name: rate.name,
+      cost: calculateRateCost(rate, weight, subtotal),
+      etaMinDays: rate.etaMinDays,
+      etaMaxDays: rate.etaMaxDays,
+      estimatedDelivery: {
+        from: addBusinessDays(now, rate.etaMinDays),
+        to: addBusinessDays(now, rate.etaMaxDays)
+      }
+    }))
+    .sort((a, b) => a.cost - b.cost);
+
+  return {
+    zone: gam ? 'gam' : 'rural',
+    weight,
+    subtotal: roundAmount(subtotal),
+    options
+  };
+};
+
+// Cotizar envíos agrupando los items por tienda
+const quoteShipping = async (items, address) => {
+  const byStore = {};
+  for (const item of items) {
+    const storeId = item.product.storeId.toString();
+    if (!byStore[storeId]) byStore[storeId] = [];
+    byStore[storeId].push(item);
+  }
+
+  const stores = await Store.find({ _id: { $in: Object.keys(byStore) } });
+
+  return Object.entries(byStore).map(([storeId, storeItems]) => {
+    const store = stores.find(candidate => candidate._id.toString() === storeId);
+    return {
+      store: storeId,
+      ...quoteStore(store, storeItems, address)
+    };
+  });
+};
+
+// Validar que la dirección tenga los datos necesarios para cotizar
+const validateShippingAddress = (address) => {
+  if (!address || !address.provincia || !address.canton) {
+    return 'La dirección de envío debe incluir provincia y cantón';
+  }
+  return null;
+};
+
+module.exports = {
+  isGamAddress,
+  getBillableWeight,
+  quoteStore,
+  quoteShipping,
+  validateShippingAddress
+};
@@ -0,0 +1,243 @@
+/**
+ * ÍNDICE DE SUGERENCIAS DE BÚSQUEDA
+ *
+ * Mantiene en memoria las palabras de los nombres de productos, categorías,
+ * etiquetas y nombres de tiendas para responder autocompletado por prefijo
+ * sin tildes ni mayúsculas, y sugerir correcciones ("quizás quiso decir")
+ * cuando una búsqueda no encuentra resultados.
+ *
+ * El índice se construye al primer uso y se reconstruye cuando vence o
+ * cuando se invalida porque cambió un producto.
+ *
+ * @service SuggestIndex
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const { normalizeText, tokenize, levenshtein } = require('../utils/text');
+
+// Minutos que dura el índice antes de reconstruirse
+const INDEX_TTL_MS = parseInt(process.env.SUGGEST_INDEX_TTL_MINUTES || '10') * 60 * 1000;
+
+const SUGGESTION_TYPES = ['products', 'categories', 'tags', 'stores'];
+const MIN_CORRECTION_LENGTH = 3;
+
+let index = null;
+let builtAt = 0;
+let building = null;
+
+// Búsqueda binaria de la primera palabra >= prefijo
+const lowerBound = (tokens, prefix) => {
+  let low = 0;
+  let high = tokens.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (tokens[middle].token < prefix) low = middle + 1;
+    else high = middle;
+  }
+
+  return low;
+};
+
+// Construir el índice a partir de productos activos y tiendas
+const buildIndex = async () => {
+  const [products, stores] = await Promise.all([
+    Product.find(Product.visibleFilter()).select('name category tags slug salesCount').lean(),
+    Store.find({ isPublic: { $ne: false } }).select('userId totalSales').populate('userId', 'fullName isActive').lean()
+  ]);
+
+  const entries = [];
+  const categories = new Map();
+  const tags = new Map();
+
+  for (const product of products) {
+    entries.push({
+      type: 'products',
+      id: product._id,
+      text: product.name,
+      slug: product.slug,
+      weight: product.salesCount || 0
+    });
+
+    if (product.category) {
+      const key = normalizeText(product.category);
+      const current = categories.get(key) || { text: product.category, weight: 0 };
+      current.weight += 1;
+      categories.set(key, current);
+    }
+
+    for (const tag of product.tags || []) {
+      const key = normalizeText(tag);
+      if (!key) continue;
+      const current = tags.get(key) || { text: tag, weight: 0 };
+      current.weight += 1;
+      tags.set(key, current);
+    }
+  }
+
+  categories.forEach(({ text, weight }) => entries.push({ type: 'categories', text, weight }));
+  tags.forEach(({ text, weight }) => entries.push({ type: 'tags', text, weight }));
+
+  for (const store of stores) {
+    if (!store.userId || store.userId.isActive === false) continue;
+    entries.push({
+      type: 'stores',
+      id: store._id,
+      text: store.userId.fullName,
+      weight: store.totalSales || 0
+    });
+  }
+
+  // Palabras ordenadas para búsqueda por prefijo y vocabulario para correcciones
+  const tokens = [];
+  const vocabulary = new Map();
+
+  entries.forEach((entry, entryIndex) => {
+    entry.key = normalizeText(entry.text);
+    entry.words = tokenize(entry.text);
+
+    new Set(entry.words).forEach(token => {
+      tokens.push({ token, entry: entryIndex });
+      vocabulary.set(token, (vocabulary.get(token) || 0) + 1 + entry.weight);
+    });
+  });
+
+  tokens.sort((a, b) => (a.token < b.token ? -1 : a.token > b.token ? 1 : 0));
+
+  return { entries, tokens, vocabulary };
+};
+
+// Obtener el índice vigente, reconstruyéndolo si venció
+const getIndex = async () => {
+  if (index && Date.now() - builtAt < INDEX_TTL_MS) {
+    return index;
+  }
+
+  // Evitar reconstrucciones simultáneas
+  if (!building) {
+    building = buildIndex()
+      .then(result => {
+        index = result;
+        builtAt = Date.now();
+        return result;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+
+  return index || building;
+};
+
+// Marcar el índice como vencido (por ejemplo al crear o editar productos)
+const invalidate = () => {
+  builtAt = 0;
+};
+
+// Entradas cuyas palabras empiezan con cada palabra de la consulta
+const findMatches = (currentIndex, words) => {
+  const [first, ...rest] = [...words].sort((a, b) => b.length - a.length);
+
+  const candidates = new Set();
+  for (let i = lowerBound(currentIndex.tokens, first); i < currentIndex.tokens.length; i++) {
+    const { token, entry } = currentIndex.tokens[i];
+    if (!token.startsWith(first)) break;
+    candidates.add(entry);
+  }
+
+  return Array.from(candidates)
+    .map(entryIndex => currentIndex.entries[entryIndex])
+    .filter(entry => rest.every(word => entry.words.some(token => token.startsWith(word))));
+};
+
+// Corregir cada palabra que no exista en el vocabulario con la más parecida
+const correctWords = (currentIndex, words) => {
+  let changed = false;
+
+  const corrected = words.map(word => {
+    if (word.length < MIN_CORRECTION_LENGTH || currentIndex.vocabulary.has(word)) {
+      return word;
+    }
+
+    // Si alguna palabra empieza así, la consulta ya es válida como prefijo
+    const position = lowerBound(currentIndex.tokens, word);
+    if (currentIndex.tokens[position]?.token.startsWith(word)) {
+      return word;
+    }
+
+    const maxDistance = word.length >= 6 ? 2 : 1;
+    let best = null;
+
+    currentIndex.vocabulary.forEach((weight, token) => {
+      if (Math.abs(token.length - word.length) > maxDistance) return;
+
+      const distance = levenshtein(word, token);
+      if (distance > maxDistance) return;
+
+      if (!best || distance < best.distance || (distance === best.distance && weight > best.weight)) {
+        best = { token, distance, weight };
+      }
+    });
+
+    if (best) {
+      changed = true;
+      return best.token;
+    }
+    return word;
+  });
+
+  return changed ? corrected.join(' ') : null;
+};
+
+// Sugerencias de autocompletado agrupadas por tipo
+const suggest = async (query, { limit = 5 } = {}) => {
+  const words = tokenize(query);
+  const suggestions = Object.fromEntries(SUGGESTION_TYPES.map(type => [type, []]));
+
+  if (words.length === 0) {
+    return { suggestions, didYouMean: null };
+  }
+
+  const currentIndex = await getIndex();
+  const normalizedQuery = normalizeText(query);
+  const matches = findMatches(currentIndex, words);
+
+  // Primero las que empiezan con la consulta completa, luego por peso
+  matches.sort((a, b) =>
+    Number(b.key.startsWith(normalizedQuery)) - Number(a.key.startsWith(normalizedQuery)) ||
+    b.weight - a.weight ||
+    a.key.localeCompare(b.key)
+  );
+
+  for (const entry of matches) {
+    const list = suggestions[entry.type];
+    if (list.length >= limit) continue;
+
+    list.push(entry.id
+      ? { id: entry.id, text: entry.text, ...(entry.slug ? { slug: entry.slug } : {}) }
+      : { text: entry.text, count: entry.weight });
+  }
+
+  return {
+    suggestions,
+    didYouMean: matches.length === 0 ? correctWords(currentIndex, words) : null
+  };
+};
+
+// Corrección sugerida para una búsqueda sin resultados
+const didYouMean = async (query) => {
+  const words = tokenize(query);
+  if (words.length === 0) return null;
+
+  const currentIndex = await getIndex();
+  return correctWords(currentIndex, words);
+};
+
+module.exports = {
+  suggest,
+  didYouMean,
+  invalidate
+};
@@ -0,0 +1,115 @@
+/**
+ * MOTOR DE IVA
+ *
+ * Determina la tarifa de IVA de cada producto según la tabla configurada
+ * y calcula el impuesto por línea, aplicando la exoneración vigente del
+ * comprador cuando la tenga.
+ *
+ * @service TaxEngine
+ * @author Marketplace CR Development Team
+ * @version 1.0.0
+ */
+
+const taxRates = require('../config/taxRates');
+const { normalizeText } = require('../utils/text');
+
+// La tabla solo puede usar tarifas vigentes; un error de captura detiene el arranque
+const invalidRates = [
+  ['defaultRate', taxRates.defaultRate],
+  ...Object.entries(taxRates.cabysPrefixes).map(([prefix, rate]) => [`CABYS ${prefix}`, rate]),
+  ...Object.entries(taxRates.categories).map(([category, rate]) => [`categoría ${category}`, rate])
+].filter(([, rate]) => !taxRates.allowedRates.includes(rate));
+
+if (invalidRates.length > 0) {
+  throw new Error(`Tarifas de IVA no permitidas en config/taxRates: ${invalidRates.map(([key, rate]) => `${key} (${rate})`).join(', ')}`);
+}
+
+// Redondear montos a dos decimales
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Obtener la tarifa de un producto: primero por CABYS, luego por categoría
+const getProductRate = (product) => {
+  if (product.cabysCode) {
+    const prefix = Object.keys(taxRates.cabysPrefixes)
+      .filter(candidate => product.cabysCode.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (prefix) {
+      return { rate: taxRates.cabysPrefixes[prefix], source: 'cabys' };
+    }
+  }
+
+  const category = normalizeText(product.category);
+  const categoryKey = Object.keys(taxRates.categories).find(key => normalizeText(key) === category);
+  if (categoryKey) {
+    return { rate: taxRates.categories[categoryKey], source: 'category' };
+  }
+
+  return { rate: taxRates.defaultRate, source: 'default' };
+};
+
+// Obtener la exoneración vigente del comprador, si tiene una
+const getActiveExemption = (buyer) => {
+  const exemption = buyer?.taxExemption;
+  if (!exemption || !exemption.documentNumber || !exemption.percentage) {
+    return null;
+  }
+
+  if (exemption.expiresAt && new Date(exemption.expiresAt) < new Date()) {
+    return null;
+  }
+
+  return exemption;
+};
+
+// Calcular el IVA de una línea
+const calculateLineTax = (product, taxableAmount, buyer) => {
+  const { rate, source } = getProductRate(product);
+  const grossAmount = roundAmount(taxableAmount * rate);
+
+  const exemption = getActiveExemption(buyer);
+  const exemptAmount = exemption && rate > 0
+    ? roundAmount(grossAmount * Math.min(exemption.percentage, 100) / 100)
+    : 0;
+
+  return {
+    rate,
+    source,
+    grossAmount,
+    exemptAmount,
+    amount: roundAmount(grossAmount - exemptAmount),
+    exemption: exemptAmount > 0
+      ? {
+          documentType: exemption.documentType,
+          documentNumber: exemption.documentNumber,
+          institution: exemption.institution,
+          issuedAt: exemption.issuedAt,
+          percentage: exemption.percentage
+        }
+      : undefined
+  };
+};
+
+// Resumir el impuesto de varias líneas por tarifa
+const summarizeTaxes = (lines) => {
+  const byRate = {};
+
+  for (const line of lines) {
+    const key = String(line.tax.rate);
+    if (!byRate[key]) {
+      byRate[key] = { rate: line.tax.rate, taxableAmount: 0, amount: 0, exemptAmount: 0 };
+    }
+    byRate[key].taxableAmount = roundAmount(byRate[key].taxableAmount + line.total);
+    byRate[key].amount = roundAmount(byRate[key].amount + line.tax.amount);
+    byRate[key].exemptAmount = roundAmount(byRate[key].exemptAmount + line.tax.exemptAmount);
+  }
+
+  return Object.values(byRate).sort((a, b) => b.rate - a.rate);
+};
+
+module.exports = {
+  getProductRate,
+  getActiveExemption,
+  calculateLineTax,
+  summarizeTaxes
+};
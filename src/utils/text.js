@@ -0,0 +1,37 @@
+// Normalizar texto para comparaciones sin tildes ni mayúsculas
+const normalizeText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+// Separar un texto normalizado en palabras (letras y números)
+const tokenize = (value) => normalizeText(value)
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Distancia de edición entre dos palabras (inserciones, borrados y cambios)
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  levenshtein
+};